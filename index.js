@@ -3,19 +3,62 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const multer = require("multer");
 const bcrypt = require("bcryptjs");
 const fs = require("fs");
-const path = require("path");
-const twilio = require("twilio");
-const nodemailer = require("nodemailer");
 const crypto = require("crypto");
 
 // Import organization routes
 const organizationRoutes = require("./routes/organization");
+const authRoutes = require("./routes/auth");
+const studentRoutes = require("./routes/student");
+const adminRoutes = require("./routes/admin");
+
+// Account models are shared with the route modules
+const Student = require("./models/Student");
+const Organization = require("./models/Organization");
+const Admin = require("./models/Admin");
+const Project = require("./models/Project");
+const Application = require("./models/Application");
+const ResetToken = require("./models/ResetToken");
+const IssuedDocument = require("./models/IssuedDocument");
+const {
+  issueTokens,
+  issueChallengeToken,
+  verifyEmailVerificationToken,
+  revokeAllForSubject,
+} = require("./services/tokenService");
+const twoFactor = require("./services/twoFactor");
+const createTwoFactorRouter = require("./routes/twoFactor");
+const { evaluatePassword, setPassword } = require("./services/passwordPolicy");
+const { isUnverified, sendVerificationEmail } = require("./services/emailVerification");
+const { startPreferenceFreezer } = require("./services/preferences");
+const { canonicalSkillText, listTaxonomy } = require("./services/skills");
+const { startReminderScheduler } = require("./services/interviews");
+const { startLifecycleScheduler } = require("./services/projectLifecycle");
+const { describeForVerification } = require("./services/documents");
+const { authenticateToken, requireRole, requireOwner } = require("./middleware/auth");
+const { transporter, escapeHtml } = require("./services/mailer");
+const otpProvider = require("./services/otp");
+const { limit, unlock } = require("./services/rateLimit");
+const { rateLimit, accountLockout } = require("./middleware/rateLimit");
+const { upload, discardUploads } = require("./middleware/upload");
+const {
+  databaseName,
+  connectionString: buildConnectionString,
+  mongooseOptions,
+} = require("./services/database");
 
 const app = express();
 
+// Railway terminates requests at a proxy; trust it so req.ip is the client IP
+// TRUST_PROXY takes a hop count, true/false, or addresses/subnets (default 1)
+const trustProxy = (value = process.env.TRUST_PROXY) => {
+  if (value === undefined || value === "") return 1;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set("trust proxy", trustProxy());
+
 // CORS middleware - must be before any routes
 // FIXED: Changed origin to match actual frontend URL with typo
 app.use(
@@ -32,49 +75,11 @@ app.options("*", cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// ✅ Setup upload directory
-const uploadDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-
-// ✅ Serve uploads as static for direct file access
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
-  filename: (req, file, cb) => {
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${file.originalname}`;
-    cb(null, unique);
-  },
-});
-const upload = multer({ storage });
-
 // ====== MongoDB (Mongoose) Connection ======
 // Use MONGODB_URI from Railway environment variables
 // MONGO_DB_NAME specifies the database name
-const mongoUri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/sia";
-const dbName = process.env.MONGO_DB_NAME || "internship_db";
-
-// Construct MongoDB connection string with database name
-let connectionString = mongoUri;
-if (!mongoUri.includes('/') || mongoUri.endsWith('/')) {
-  // If URI doesn't have a database name, append it
-  connectionString = mongoUri.endsWith('/') 
-    ? `${mongoUri}${dbName}` 
-    : `${mongoUri}/${dbName}`;
-} else if (mongoUri.match(/\/[^\/]+$/)) {
-  // If URI already has a database name, replace it with MONGO_DB_NAME
-  connectionString = mongoUri.replace(/\/[^\/]+$/, `/${dbName}`);
-}
-
-// MongoDB connection options for better reliability
-const mongooseOptions = {
-  serverSelectionTimeoutMS: 5000,
-  socketTimeoutMS: 45000,
-  maxPoolSize: 10,
-  minPoolSize: 2,
-  retryWrites: true,
-  w: 'majority'
-};
+const dbName = databaseName();
+const connectionString = buildConnectionString();
 
 mongoose
   .connect(connectionString, mongooseOptions)
@@ -82,6 +87,9 @@ mongoose
     console.log("✅ Connected to MongoDB");
     console.log("📍 Database:", dbName);
     console.log("📍 MongoDB URI:", connectionString.replace(/\/\/.*@/, "//***:***@"));
+    startPreferenceFreezer();
+    startReminderScheduler();
+    startLifecycleScheduler();
   })
   .catch((err) => {
     console.error("❌ MongoDB connection failed:", err.message);
@@ -103,120 +111,6 @@ mongoose.connection.on('reconnected', () => {
 
 const { Schema, model } = mongoose;
 
-// ---- Student Schema ----
-const studentSchema = new Schema(
-  {
-    studentId: { type: String, unique: true, required: true },
-    fullName: String,
-    dob: String,
-    email: String,
-    alternateEmail: String,
-    contactNumber: String,
-    gender: String,
-    panNumber: String,
-    currentAddress: String,
-    permanentAddress: String,
-    photoPath: String,
-    govIdProofPath: String,
-    guardian: {
-      name: String,
-      relation: String,
-      email: String,
-      phone: String,
-      address: String,
-      idProofPath: String,
-    },
-    academic: {
-      programme: String,
-      semester: String,
-      discipline: String,
-      cgpa: String,
-      skills: String,
-      resumePath: String,
-    },
-    passwordHash: String,
-  },
-  { timestamps: true }
-);
-
-// ---- Admin Schema ----
-const adminSchema = new Schema(
-  {
-    adminId: { type: String, unique: true, required: true },
-    fullName: String,
-    emailAddress: String,
-    adminDesignation: String,
-    contactNumber: String,
-    photoPath: String,
-    govIdProofPath: String,
-    collegeIdProofPath: String,
-    passwordHash: String,
-  },
-  { timestamps: true }
-);
-
-// ---- Organization Schema ----
-const organizationSchema = new Schema(
-  {
-    username: { type: String, unique: true, required: true },
-    orgName: String,
-    cinRegistrationNumber: String,
-    country: String,
-    state: String,
-    detailedAddress: String,
-    orgDocumentPath: String,
-    coordinator: {
-      name: String,
-      designation: String,
-      email: String,
-      alternateEmail: String,
-      phone: String,
-    },
-    passwordHash: String,
-  },
-  { timestamps: true }
-);
-
-// ---- Project Schema ----
-const projectSchema = new Schema(
-  {
-    organizationId: { type: String, required: true },
-    projectCode: String,
-    projectName: String,
-    description: String, // Added: Project description field
-    internsRequired: String,
-    cgpaRequirement: String,
-    discipline: String,
-    skills: String,
-    coordinatorName: String,
-    coordinatorEmail: String,
-    coordinatorAltEmail: String,
-    coordinatorPhone: String,
-    coordinatorDesignation: String,
-    guidelinesFilePath: String,
-    status: { type: String, enum: ["draft", "scheduled", "active", "completed"], default: "draft" }, // Added: Status enum
-    scheduledTime: String,
-    startDate: Date, // Added: Project start date
-    endDate: Date, // Added: Project end date
-  },
-  { timestamps: true }
-);
-
-// ---- Application Schema ----
-// Tracks student applications to projects for counting purposes
-const applicationSchema = new Schema(
-  {
-    projectId: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
-    studentId: { type: String, required: true },
-    status: { type: String, enum: ["pending", "accepted", "rejected"], default: "pending" },
-  },
-  { timestamps: true }
-);
-
-// Create index for efficient queries
-applicationSchema.index({ projectId: 1 });
-applicationSchema.index({ studentId: 1 });
-
 // ---- Notification Schema ----
 const notificationSchema = new Schema(
   {
@@ -227,98 +121,140 @@ const notificationSchema = new Schema(
   { timestamps: true }
 );
 
-// ---- Reset Token Schema ----
-const resetTokenSchema = new Schema(
-  {
-    email: { type: String, required: true },
-    token: { type: String, required: true, unique: true },
-    expiresAt: { type: Date, required: true },
-    status: { type: String, enum: ["pending", "approved", "denied", "expired", "used"], default: "pending" },
-    userType: { type: String, enum: ["student", "admin", "org"] },
-  },
-  { timestamps: true }
-);
-
-const Student = model("Student", studentSchema);
-const Admin = model("Admin", adminSchema);
-const Organization = model("Organization", organizationSchema);
-const Project = model("Project", projectSchema);
-const Application = model("Application", applicationSchema);
 const Notification = model("Notification", notificationSchema);
-const ResetToken = model("ResetToken", resetTokenSchema);
 
-// Note: Authentication middleware is now in routes/organization.js
+// Note: Authentication and role guards live in middleware/auth.js
 
-// ====== Twilio Setup ======
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
-const serviceSid = process.env.TWILIO_SERVICE_ID;
-
-// ===== SMTP Setup =====
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS,
-  },
-});
+// Students may only touch their own record; admins may read any student
+const studentOwnerOrAdmin = (getStudentId) => [
+  authenticateToken,
+  requireOwner("student", getStudentId, { allowAdmin: true }),
+];
+
+// Students and admins as above; organizations may open the files of students
+// who applied to one of their projects (resume review)
+const studentFileAccess = async (req, res, next) => {
+  if (req.user.role !== "org") {
+    return requireOwner("student", (r) => r.params.studentId, { allowAdmin: true })(req, res, next);
+  }
+
+  try {
+    const projectIds = await Project.find({ organization_id: req.user.id }).distinct("_id");
+    const applied = await Application.exists({
+      studentId: req.params.studentId,
+      projectId: { $in: projectIds },
+    });
+    if (!applied) return res.status(403).json({ error: "You do not have access to this resource" });
+    next();
+  } catch (err) {
+    console.error("🔥 Student file access error:", err);
+    res.status(500).json({ error: "Unable to serve file." });
+  }
+};
+
+// Note: OTP delivery is chosen by OTP_PROVIDER (see services/otp)
+
+// ====== Brute-force protection ======
+// Limits can be tuned with RATE_LIMIT_<NAME>_MAX / _WINDOW_MINUTES (see services/rateLimit)
+const loginLimit = limit("login", 20, 15);
+const otpSendLimit = limit("otp_send", 5, 15);
+const otpVerifyLimit = limit("otp_verify", 20, 15);
+const forgotPasswordLimit = limit("forgot_password", 5, 60);
+const verificationResendLimit = limit("verification_resend", 5, 60);
+
+// Scopes an admin can unlock through /api/admin/unlock-account
+const LOCKOUT_SCOPES = ["student-login", "admin-login", "org-login", "student-otp", "admin-otp", "2fa"];
+
+// Invalid OTPs are answered with 400 rather than 401, so the routes flag them
+// (a request that is only missing fields is not a failed attempt)
+const otpFailure = (res) => res.locals.failedAttempt === true;
+
+// Phone numbers are keyed the way OTPs are sent (+91 unless a country code is
+// given), so "98..." and "+9198..." share one counter
+const phoneKey = (phone) => {
+  if (!phone) return phone;
+  const value = String(Array.isArray(phone) ? phone[0] : phone).trim();
+  const digits = value.replace(/\D/g, "");
+  return value.startsWith("+") ? `+${digits}` : `+91${digits}`;
+};
+const otpPhone = (req) => phoneKey(req.body.phone);
+// Note: SMTP transporter is shared from services/mailer.js
 
 // =======================================================
 // =================== STUDENT SECTION ===================
 // =======================================================
 
-app.get("/api/student/profile", async (req, res) => {
-  try {
-    const { studentId } = req.query;
-    if (!studentId) return res.status(400).json({ error: "Student ID required" });
+app.get(
+  "/api/student/profile",
+  studentOwnerOrAdmin((req) => req.query.studentId),
+  async (req, res) => {
+    try {
+      const studentId = req.query.studentId || req.user.studentId;
+      if (!studentId) return res.status(400).json({ error: "Student ID required" });
 
-    const student = await Student.findOne({ studentId }).lean();
-    if (!student) return res.status(404).json({ error: "Student not found." });
+      const student = await Student.findOne({ studentId }).lean();
+      if (!student) return res.status(404).json({ error: "Student not found." });
 
-    const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
-    const academic = student.academic || {};
+      const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
+      const academic = student.academic || {};
 
-    res.json({
-      studentId: student.studentId,
-      fullName: student.fullName || "",
-      dob: student.dob || "",
-      email: student.email || "",
-      alternateEmail: student.alternateEmail || "",
-      contact: student.contactNumber || "",
-      currentAddress: student.currentAddress || "",
-      permanentAddress: student.permanentAddress || "",
-      programme: academic.programme || "",
-      semester: academic.semester || "",
-      discipline: academic.discipline || "",
-      cgpa: academic.cgpa || "",
-      skills: academic.skills || "",
-      photo: `${baseUrl}/api/student/file/photo/${studentId}`,
-      resume: `${baseUrl}/api/student/file/resume/${studentId}`,
-    });
-  } catch (err) {
-    console.error("🔥 Profile fetch error:", err);
-    res.status(500).json({ error: "Failed to fetch profile." });
+      res.json({
+        studentId: student.studentId,
+        fullName: student.fullName || "",
+        dob: student.dob || "",
+        email: student.email || "",
+        emailVerified: !isUnverified(student),
+        pendingEmail: student.pendingEmail || null,
+        alternateEmail: student.alternateEmail || "",
+        contact: student.contactNumber || "",
+        currentAddress: student.currentAddress || "",
+        permanentAddress: student.permanentAddress || "",
+        programme: academic.programme || "",
+        semester: academic.semester || "",
+        discipline: academic.discipline || "",
+        cgpa: academic.cgpa || "",
+        skills: academic.skills || "",
+        photo: `${baseUrl}/api/student/file/photo/${studentId}`,
+        resume: `${baseUrl}/api/student/file/resume/${studentId}`,
+      });
+    } catch (err) {
+      console.error("🔥 Profile fetch error:", err);
+      res.status(500).json({ error: "Failed to fetch profile." });
+    }
   }
-});
+);
 
 app.post(
   "/api/student/update-profile",
+  authenticateToken,
+  requireRole("student"),
   upload.fields([
     { name: "photo", maxCount: 1 },
     { name: "resume", maxCount: 1 },
   ]),
+  // Multipart body is only parsed after upload, so the ownership check runs here
+  // and the stored files are removed when it rejects the request
+  (req, res, next) => {
+    let allowed = false;
+    requireOwner("student", (r) => r.body.studentId)(req, res, () => {
+      allowed = true;
+    });
+    if (allowed) return next();
+    discardUploads(req);
+  },
   async (req, res) => {
     try {
-      const rawId = req.body.studentId;
-      const studentId = Array.isArray(rawId) ? rawId[0] : rawId;
-      if (!studentId) return res.status(400).json({ error: "Student ID required." });
+      const studentId = req.user.studentId;
+      if (!studentId) {
+        discardUploads(req);
+        return res.status(400).json({ error: "Student ID required." });
+      }
 
       const student = await Student.findOne({ studentId });
-      if (!student) return res.status(404).json({ error: "Student not found." });
+      if (!student) {
+        discardUploads(req);
+        return res.status(404).json({ error: "Student not found." });
+      }
 
       const {
         fullName,
@@ -337,7 +273,9 @@ app.post(
 
       if (fullName !== undefined) student.fullName = fullName;
       if (dob !== undefined) student.dob = dob;
-      if (email !== undefined) student.email = email;
+      // A new address only replaces the current one after it is confirmed
+      const emailChanged = email !== undefined && email !== student.email;
+      if (emailChanged) student.pendingEmail = email;
       if (alternateEmail !== undefined) student.alternateEmail = alternateEmail;
       if (contact !== undefined) student.contactNumber = contact;
       if (currentAddress !== undefined) student.currentAddress = currentAddress;
@@ -348,7 +286,7 @@ app.post(
       if (semester !== undefined) student.academic.semester = semester;
       if (discipline !== undefined) student.academic.discipline = discipline;
       if (cgpa !== undefined) student.academic.cgpa = cgpa;
-      if (skills !== undefined) student.academic.skills = skills;
+      if (skills !== undefined) student.academic.skills = canonicalSkillText(skills);
 
       if (req.files?.photo?.[0]) {
         student.photoPath = req.files.photo[0].path;
@@ -359,7 +297,20 @@ app.post(
       }
 
       await student.save();
-      res.json({ message: "✅ Profile updated successfully" });
+
+      if (emailChanged) {
+        // The profile is already saved; a mail failure only means the link must be resent
+        await sendVerificationEmail({ role: "student", account: student, email, name: student.fullName }).catch(
+          (err) => console.error("🔥 Verification email error:", err)
+        );
+      }
+
+      res.json({
+        message: emailChanged
+          ? "✅ Profile updated. Confirm your new email address using the link we sent."
+          : "✅ Profile updated successfully",
+        emailVerificationRequired: emailChanged,
+      });
     } catch (err) {
       console.error("🔥 Update profile error:", err);
       res.status(500).json({ error: err.message });
@@ -367,138 +318,177 @@ app.post(
   }
 );
 
-app.get("/api/student/file/:type/:studentId", async (req, res) => {
-  try {
-    const { type, studentId } = req.params;
-    if (!["photo", "resume"].includes(type))
-      return res.status(400).json({ error: "Invalid file type." });
+app.get(
+  "/api/student/file/:type/:studentId",
+  authenticateToken,
+  studentFileAccess,
+  async (req, res) => {
+    try {
+      const { type, studentId } = req.params;
+      if (!["photo", "resume"].includes(type))
+        return res.status(400).json({ error: "Invalid file type." });
 
-    const student = await Student.findOne({ studentId }).lean();
-    if (!student) return res.status(404).json({ error: "Student not found." });
+      const student = await Student.findOne({ studentId }).lean();
+      if (!student) return res.status(404).json({ error: "Student not found." });
 
-    let filePath;
-    if (type === "photo") {
-      filePath = student.photoPath;
-    } else {
-      filePath = student.academic?.resumePath;
-    }
+      let filePath;
+      if (type === "photo") {
+        filePath = student.photoPath;
+      } else {
+        filePath = student.academic?.resumePath;
+      }
 
-    if (!filePath || !fs.existsSync(filePath)) {
-      return res.status(404).json({ error: "File not found." });
-    }
+      if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: "File not found." });
+      }
 
-    res.setHeader(
-      "Content-Type",
-      type === "photo" ? "image/jpeg" : "application/pdf"
-    );
-    res.setHeader("Content-Disposition", "inline");
+      res.setHeader(
+        "Content-Type",
+        type === "photo" ? "image/jpeg" : "application/pdf"
+      );
+      res.setHeader("Content-Disposition", "inline");
 
-    const stream = fs.createReadStream(filePath);
-    stream.on("error", (err) => {
-      console.error("🔥 File stream error:", err);
-      res.status(500).json({ error: "Unable to read file" });
-    });
-    stream.pipe(res);
-  } catch (err) {
-    console.error("🔥 File serve error:", err);
-    res.status(500).json({ error: "Unable to serve file." });
+      const stream = fs.createReadStream(filePath);
+      stream.on("error", (err) => {
+        console.error("🔥 File stream error:", err);
+        res.status(500).json({ error: "Unable to read file" });
+      });
+      stream.pipe(res);
+    } catch (err) {
+      console.error("🔥 File serve error:", err);
+      res.status(500).json({ error: "Unable to serve file." });
+    }
   }
-});
+);
 
 // === UNIVERSAL FORGOT PASSWORD (MongoDB) ===
-app.post("/api/auth/forgot-password", async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: "Email required." });
-
-    console.log("📨 Forgot password requested for:", email);
-
-    const student = await Student.findOne({
-      $or: [{ email }, { alternateEmail: email }],
-    }).lean();
-
-    const admin = !student
-      ? await Admin.findOne({ emailAddress: email }).lean()
-      : null;
-
-    const org = !student && !admin
-      ? await Organization.findOne({
-          $or: [
-            { "coordinator.email": email },
-            { "coordinator.alternateEmail": email },
-          ],
-        }).lean()
-      : null;
-
-    console.log("🔍 Lookup results:", {
-      student: !!student,
-      admin: !!admin,
-      org: !!org,
-    });
+// Flow: forgot-password returns an opaque requestId -> the email owner clicks Yes/No ->
+// the client polls reset-status/:requestId -> reset-password with requestId (+ accountId
+// when one email is shared by several accounts)
+const RESET_TTL_MS = 10 * 60 * 1000;
+
+const hashResetValue = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+const accountModels = { student: Student, admin: Admin, org: Organization };
+const accountTypeNames = { student: "Student", admin: "Admin", org: "Organization" };
+
+// Every account registered to an email, across students, admins and organizations
+// Only the primary address counts, and only once it is verified: alternate
+// addresses are never confirmed, so they are not trusted with reset links
+const findAccountsByEmail = async (email) => {
+  const verified = { emailVerified: { $ne: false } };
+  const [students, admins, orgs] = await Promise.all([
+    Student.find({ email, ...verified }).select("studentId").lean(),
+    Admin.find({ emailAddress: email }).select("adminId").lean(),
+    Organization.find({ "coordinator.email": email, ...verified }).select("username").lean(),
+  ]);
+
+  return [
+    ...students.map((s) => ({ userType: "student", accountId: s._id, label: s.studentId })),
+    ...admins.map((a) => ({ userType: "admin", accountId: a._id, label: a.adminId })),
+    ...orgs.map((o) => ({ userType: "org", accountId: o._id, label: o.username })),
+  ];
+};
+
+// Flips a request to "expired" once its time is up so every reader sees the same status
+const checkResetExpiry = async (entry) => {
+  if (["pending", "approved"].includes(entry.status) && entry.expiresAt < new Date()) {
+    entry.status = "expired";
+    await entry.save();
+  }
+  return entry;
+};
 
-    let userType = null;
-    if (student) userType = "student";
-    else if (admin) userType = "admin";
-    else if (org) userType = "org";
-    else return res.status(404).json({ error: "Email not found." });
+const publicAccounts = (entry) =>
+  entry.accounts.map((a) => ({
+    accountId: a.accountId.toString(),
+    userType: a.userType,
+    label: a.label,
+  }));
 
-    await ResetToken.deleteMany({ email });
+app.post(
+  "/api/auth/forgot-password",
+  rateLimit(forgotPasswordLimit, { scope: "email", identify: (req) => req.body.email }),
+  async (req, res) => {
+    try {
+      const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+      if (!email) return res.status(400).json({ error: "Email required." });
 
-    const token = crypto.randomBytes(32).toString("hex");
-    const expires = new Date(Date.now() + 10 * 60 * 1000);
+      const accounts = await findAccountsByEmail(email);
 
-    await ResetToken.create({
-      email,
-      token,
-      expiresAt: expires,
-      status: "pending",
-      userType,
-    });
+      // Only the newest request for an email stays usable
+      await ResetToken.updateMany(
+        { email, status: { $in: ["pending", "approved"] } },
+        { status: "expired" }
+      );
 
-    const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
-    const yesLink = `${baseUrl}/verify-reset?token=${token}`;
-    const noLink = `${baseUrl}/deny-reset?token=${token}`;
-
-    const html = `
-      <p>Dear ${userType.toUpperCase()},</p>
-      <p>We received a password reset request for your ${userType} account.</p>
-      <p>Please confirm whether this was you:</p>
-      <a href="${yesLink}"
-         style="background:#4F46E5;color:white;padding:10px 20px;text-decoration:none;border-radius:8px;">✅ Yes</a>
-      <a href="${noLink}"
-         style="background:#EF4444;color:white;padding:10px 20px;text-decoration:none;border-radius:8px;margin-left:10px;">🚫 No</a>
-      <p>This link will expire in 10 minutes.</p>
-    `;
-
-    await transporter.sendMail({
-      from: `"SIA Support" <${process.env.SMTP_USER}>`,
-      to: email,
-      subject: `${userType.toUpperCase()} Password Reset Verification`,
-      html,
-    });
+      // A request is recorded even for unknown emails so the response and
+      // later status polling look the same either way
+      const token = crypto.randomBytes(32).toString("hex");
+      const requestId = crypto.randomBytes(24).toString("hex");
 
-    res.json({
-      message: `✅ Verification email sent to ${userType} email!`,
-    });
-  } catch (err) {
-    console.error("🔥 Forgot-password error:", err);
-    res.status(500).json({ error: "Internal server error." });
+      await ResetToken.create({
+        email,
+        tokenHash: hashResetValue(token),
+        requestIdHash: hashResetValue(requestId),
+        accounts,
+        expiresAt: new Date(Date.now() + RESET_TTL_MS),
+        status: "pending",
+      });
+
+      if (accounts.length > 0) {
+        const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
+        const yesLink = `${baseUrl}/verify-reset?token=${token}`;
+        const noLink = `${baseUrl}/deny-reset?token=${token}`;
+        const accountList = accounts
+          .map((a) => `<li>${accountTypeNames[a.userType]}: ${escapeHtml(a.label)}</li>`)
+          .join("");
+
+        const html = `
+          <p>Hello,</p>
+          <p>We received a password reset request for the following account(s) registered to this email:</p>
+          <ul>${accountList}</ul>
+          <p>Please confirm whether this was you:</p>
+          <a href="${yesLink}"
+             style="background:#4F46E5;color:white;padding:10px 20px;text-decoration:none;border-radius:8px;">✅ Yes</a>
+          <a href="${noLink}"
+             style="background:#EF4444;color:white;padding:10px 20px;text-decoration:none;border-radius:8px;margin-left:10px;">🚫 No</a>
+          <p>This link will expire in 10 minutes.</p>
+        `;
+
+        // Not awaited so response time does not reveal whether the email is registered
+        transporter
+          .sendMail({
+            from: `"SIA Support" <${process.env.SMTP_USER}>`,
+            to: email,
+            subject: "Password Reset Verification",
+            html,
+          })
+          .catch((err) => console.error("🔥 Reset email error:", err));
+      }
+
+      res.json({
+        message: "✅ If this email is registered, a verification email has been sent.",
+        requestId,
+        expiresInSeconds: RESET_TTL_MS / 1000,
+      });
+    } catch (err) {
+      console.error("🔥 Forgot-password error:", err);
+      res.status(500).json({ error: "Internal server error." });
+    }
   }
-});
+);
 
 app.get("/verify-reset", async (req, res) => {
   try {
     const { token } = req.query;
     if (!token) return res.status(400).send("Missing token");
 
-    const entry = await ResetToken.findOne({ token, status: "pending" });
+    const entry = await ResetToken.findOne({ tokenHash: hashResetValue(token), status: "pending" });
     if (!entry) return res.status(404).send("Invalid or expired token");
 
-    if (new Date(entry.expiresAt) < new Date()) {
-      entry.status = "expired";
-      await entry.save();
-      return res.status(400).send("Link expired.");
-    }
+    await checkResetExpiry(entry);
+    if (entry.status === "expired") return res.status(400).send("Link expired.");
 
     entry.status = "approved";
     await entry.save();
@@ -514,7 +504,10 @@ app.get("/deny-reset", async (req, res) => {
     const { token } = req.query;
     if (!token) return res.status(400).send("Missing token");
 
-    await ResetToken.updateOne({ token }, { status: "denied" });
+    await ResetToken.updateOne(
+      { tokenHash: hashResetValue(token), status: { $in: ["pending", "approved"] } },
+      { status: "denied" }
+    );
 
     res.send("<h2>🚫 Reset request denied successfully.</h2>");
   } catch (err) {
@@ -523,15 +516,116 @@ app.get("/deny-reset", async (req, res) => {
   }
 });
 
-app.get("/api/auth/reset-status/:email", async (req, res) => {
+// === EMAIL VERIFICATION ===
+const verificationModels = { student: Student, org: Organization };
+
+// Where each account type keeps the address being verified
+const primaryEmail = {
+  student: (account) => account.email,
+  org: (account) => account.coordinator && account.coordinator.email,
+};
+
+const setPrimaryEmail = {
+  student: (account, email) => {
+    account.email = email;
+  },
+  org: (account, email) => {
+    if (!account.coordinator) account.coordinator = {};
+    account.coordinator.email = email;
+  },
+};
+
+app.get("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) return res.status(400).send("Missing token");
+
+    let payload;
+    try {
+      payload = verifyEmailVerificationToken(token);
+    } catch (err) {
+      return res.status(400).send("Invalid or expired link. Please request a new one.");
+    }
+
+    const Model = verificationModels[payload.role];
+    const account = Model && (await Model.findById(payload.sub));
+    if (!account) return res.status(404).send("Account not found");
+
+    if (account.pendingEmail && account.pendingEmail === payload.email) {
+      // Confirming a changed address
+      setPrimaryEmail[payload.role](account, payload.email);
+      account.pendingEmail = undefined;
+    } else if (primaryEmail[payload.role](account) !== payload.email) {
+      return res.status(400).send("This link is no longer valid for your account.");
+    }
+
+    account.emailVerified = true;
+    account.emailVerifiedAt = new Date();
+    await account.save();
+
+    res.send("<h2>✅ Email confirmed. You can now log in.</h2>");
+  } catch (err) {
+    console.error("🔥 Verify email error:", err);
+    res.status(500).send("Server error");
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Body: { email }
+ * Re-sends the link for an unverified (or pending) student/coordinator email
+ * Answers the same way whether or not anything was sent
+ */
+app.post(
+  "/api/auth/resend-verification",
+  rateLimit(verificationResendLimit, { scope: "email", identify: (req) => req.body.email }),
+  async (req, res) => {
+    try {
+      const email = typeof req.body.email === "string" ? req.body.email.trim() : "";
+      if (!email) return res.status(400).json({ error: "Email required." });
+
+      const [students, orgs] = await Promise.all([
+        Student.find({ $or: [{ email, emailVerified: false }, { pendingEmail: email }] }),
+        Organization.find({
+          $or: [{ "coordinator.email": email, emailVerified: false }, { pendingEmail: email }],
+        }),
+      ]);
+
+      const targets = [
+        ...students.map((account) => ({ role: "student", account, name: account.fullName })),
+        ...orgs.map((account) => ({ role: "org", account, name: account.coordinator?.name })),
+      ];
+
+      targets.forEach((target) =>
+        sendVerificationEmail({ ...target, email }).catch((err) =>
+          console.error("🔥 Verification email error:", err)
+        )
+      );
+
+      res.json({ message: "✅ If this email is awaiting verification, a new link has been sent." });
+    } catch (err) {
+      console.error("🔥 Resend verification error:", err);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+// Polled by the client that started the reset; never returns the emailed token
+app.get("/api/auth/reset-status/:requestId", async (req, res) => {
   try {
-    const { email } = req.params;
-    if (!email) return res.status(400).json({ error: "Email required." });
+    const { requestId } = req.params;
+    if (!requestId) return res.status(400).json({ error: "Request ID required." });
 
-    const entry = await ResetToken.findOne({ email }).sort({ createdAt: -1 }).lean();
+    const entry = await ResetToken.findOne({ requestIdHash: hashResetValue(requestId) });
     if (!entry) return res.status(404).json({ error: "No reset request found." });
 
-    res.json({ token: entry.token, status: entry.status });
+    await checkResetExpiry(entry);
+
+    const body = { status: entry.status, expiresAt: entry.expiresAt };
+    // Accounts are only listed once the email owner has confirmed the request
+    if (entry.status === "approved") body.accounts = publicAccounts(entry);
+
+    res.json(body);
   } catch (err) {
     console.error("🔥 Reset-status error:", err);
     res.status(500).json({ error: "Server error" });
@@ -540,50 +634,51 @@ app.get("/api/auth/reset-status/:email", async (req, res) => {
 
 const resetPasswordHandler = async (req, res) => {
   try {
-    const { token, password } = req.body;
-    if (!token || !password)
-      return res.status(400).json({ error: "Token and password required" });
+    const { requestId, password, accountId } = req.body;
+    if (!requestId || !password)
+      return res.status(400).json({ error: "Request ID and password required" });
 
-    const entry = await ResetToken.findOne({ token });
-    if (!entry) return res.status(400).json({ error: "Invalid token" });
-    if (entry.status !== "approved")
-      return res.status(400).json({ error: `Token not approved. Status: ${entry.status}` });
-    if (new Date(entry.expiresAt) < new Date())
-      return res.status(400).json({ error: "Token expired" });
+    const entry = await ResetToken.findOne({ requestIdHash: hashResetValue(requestId) });
+    if (!entry) return res.status(400).json({ error: "Invalid request" });
 
-    const hash = await bcrypt.hash(password, 10);
-
-    if (entry.userType === "student") {
-      const student = await Student.findOne({
-        $or: [{ email: entry.email }, { alternateEmail: entry.email }],
-      });
-      if (student) {
-        student.passwordHash = hash;
-        await student.save();
-      }
-    } else if (entry.userType === "admin") {
-      const admin = await Admin.findOne({ emailAddress: entry.email });
-      if (admin) {
-        admin.passwordHash = hash;
-        await admin.save();
-      }
-    } else if (entry.userType === "org") {
-      const org = await Organization.findOne({
-        $or: [
-          { "coordinator.email": entry.email },
-          { "coordinator.alternateEmail": entry.email },
-        ],
+    await checkResetExpiry(entry);
+    if (entry.status !== "approved")
+      return res.status(400).json({ error: `Reset not approved. Status: ${entry.status}` });
+
+    let target;
+    if (accountId) {
+      target = entry.accounts.find((a) => a.accountId.toString() === String(accountId));
+      if (!target) return res.status(400).json({ error: "Account is not part of this reset request" });
+    } else if (entry.accounts.length === 1) {
+      [target] = entry.accounts;
+    } else {
+      return res.status(400).json({
+        error: "This email is shared by several accounts. Choose one with accountId.",
+        accounts: publicAccounts(entry),
       });
-      if (org) {
-        org.passwordHash = hash;
-        await org.save();
-      }
     }
 
+    const account = await accountModels[target.userType].findById(target.accountId);
+    if (!account) return res.status(404).json({ error: "Account no longer exists" });
+
+    const policy = await evaluatePassword(password, account);
+    if (!policy.valid)
+      return res.status(400).json({ error: policy.message, passwordErrors: policy.errors });
+
+    await setPassword(account, password);
+    await account.save();
+
+    // Sign out every existing session of the account
+    await revokeAllForSubject(account._id, target.userType);
+
     entry.status = "used";
     await entry.save();
 
-    res.json({ message: "✅ Password reset successful!" });
+    res.json({
+      message: "✅ Password reset successful!",
+      userType: target.userType,
+      label: target.label,
+    });
   } catch (err) {
     console.error("🔥 Reset password error:", err);
     res.status(500).json({ error: "Server error" });
@@ -593,12 +688,57 @@ const resetPasswordHandler = async (req, res) => {
 app.post("/api/auth/reset", resetPasswordHandler);
 app.post("/api/auth/reset-password", resetPasswordHandler);
 
+// Token refresh and logout
+app.use("/api/auth", authRoutes);
+
+/**
+ * GET /verify/:code
+ * Public check of an offer letter or certificate by the code printed on it
+ */
+app.get("/verify/:code", async (req, res) => {
+  try {
+    const code = String(req.params.code).trim().toUpperCase();
+    const document = await IssuedDocument.findOne({ verificationCode: code }).lean();
+    if (!document) {
+      return res.status(404).json({ valid: false, error: "No document was issued with this code" });
+    }
+
+    res.json(describeForVerification(document));
+  } catch (err) {
+    console.error("🔥 GET /verify/:code error:", err);
+    res.status(500).json({ error: "Failed to verify document", details: err.message });
+  }
+});
+
+/**
+ * GET /api/skills
+ * Skill taxonomy (canonical names, categories and accepted aliases) for autocomplete
+ * Skills saved on student profiles and projects are converted to these names
+ */
+app.get("/api/skills", (req, res) => {
+  res.json(listTaxonomy());
+});
+
 // =======================================================
 // ====================== ADMIN SECTION ==================
 // =======================================================
 
+// The first admin can register freely; after that only admins can add admins
+const authorizeAdminRegistration = async (req, res, next) => {
+  try {
+    const adminCount = await Admin.estimatedDocumentCount();
+    if (adminCount === 0) return next();
+
+    authenticateToken(req, res, () => requireRole("admin")(req, res, next));
+  } catch (err) {
+    console.error("🔥 Admin registration auth error:", err);
+    res.status(500).json({ error: "Registration failed.", details: err.message });
+  }
+};
+
 app.post(
   "/api/admin/register",
+  authorizeAdminRegistration,
   upload.fields([
     { name: "profilePhoto", maxCount: 1 },
     { name: "govtId", maxCount: 1 },
@@ -611,6 +751,10 @@ app.post(
       if (!adminId || !fullName || !email || !phone || !designation || !password)
         return res.status(400).json({ error: "All fields are required." });
 
+      const policy = await evaluatePassword(password);
+      if (!policy.valid)
+        return res.status(400).json({ error: policy.message, passwordErrors: policy.errors });
+
       const profilePhoto = req.files?.profilePhoto?.[0]?.path ?? null;
       const govtId = req.files?.govtId?.[0]?.path ?? null;
       const collegeId = req.files?.collegeId?.[0]?.path ?? null;
@@ -640,113 +784,200 @@ app.post(
   }
 );
 
-app.post("/api/admin/login", async (req, res) => {
-  try {
-    const { admin_id, password } = req.body;
-    if (!admin_id || !password)
-      return res.status(400).json({ error: "Admin ID and password required." });
+app.post(
+  "/api/admin/login",
+  rateLimit(loginLimit, { scope: "admin", identify: (req) => req.body.admin_id }),
+  accountLockout("admin-login", (req) => req.body.admin_id),
+  async (req, res) => {
+    try {
+      const { admin_id, password } = req.body;
+      if (!admin_id || !password)
+        return res.status(400).json({ error: "Admin ID and password required." });
+
+      const admin = await Admin.findOne({ adminId: admin_id });
+      if (!admin) return res.status(401).json({ error: "Invalid login." });
+
+      const match = await bcrypt.compare(password, admin.passwordHash || "");
+      if (!match) return res.status(401).json({ error: "Invalid password." });
+
+      // Second step happens at /api/auth/2fa/verify
+      if (twoFactor.isEnabled(admin)) {
+        return res.json({
+          message: "Two-factor authentication required",
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken({
+            subject: admin._id,
+            role: "admin",
+            claims: { adminId: admin.adminId },
+          }),
+        });
+      }
 
-    const admin = await Admin.findOne({ adminId: admin_id });
-    if (!admin) return res.status(401).json({ error: "Invalid login." });
+      const tokens = await issueTokens({
+        subject: admin._id,
+        role: "admin",
+        claims: { adminId: admin.adminId },
+      });
 
-    const match = await bcrypt.compare(password, admin.passwordHash || "");
-    if (!match) return res.status(401).json({ error: "Invalid password." });
+      res.json({
+        message: "✅ Login successful",
+        ...tokens,
+        admin: {
+          adminId: admin.adminId,
+          fullName: admin.fullName,
+          email: admin.emailAddress,
+        },
+      });
+    } catch (err) {
+      console.error("🔥 Admin login error:", err);
+      res.status(500).json({ error: "Login failed", details: err.message });
+    }
+  }
+);
 
-    res.json({
-      message: "✅ Login successful",
-      admin: {
-        adminId: admin.adminId,
-        fullName: admin.fullName,
+app.post(
+  "/api/admin/send-otp",
+  rateLimit(otpSendLimit, { scope: "admin", identify: otpPhone }),
+  async (req, res) => {
+    try {
+      const { phone } = req.body;
+      if (!phone) return res.status(400).json({ error: "Phone required." });
+      const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
+
+      const admin = await Admin.findOne({ contactNumber: phone }).lean();
+      if (!admin)
+        return res.status(404).json({ error: "Phone not registered." });
+
+      await otpProvider.send({
+        to: formatted,
+        purpose: "admin-login",
         email: admin.emailAddress,
-      },
-    });
-  } catch (err) {
-    console.error("🔥 Admin login error:", err);
-    res.status(500).json({ error: "Login failed", details: err.message });
+        name: admin.fullName,
+      });
+
+      res.json({ message: "OTP sent successfully." });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
-app.post("/api/admin/send-otp", async (req, res) => {
-  try {
-    const { phone } = req.body;
-    const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
+app.post(
+  "/api/admin/verify-otp",
+  rateLimit(otpVerifyLimit, { scope: "admin", identify: otpPhone }),
+  accountLockout("admin-otp", otpPhone, { isFailure: otpFailure }),
+  async (req, res) => {
+    try {
+      const { phone, otp } = req.body;
+      if (!phone || !otp) return res.status(400).json({ error: "Phone and OTP required." });
+      const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
 
-    const admin = await Admin.findOne({ contactNumber: phone }).lean();
-    if (!admin)
-      return res.status(404).json({ error: "Phone not registered." });
+      const check = await otpProvider.verify({ to: formatted, purpose: "admin-login", code: otp });
 
-    await twilioClient.verify
-      .services(serviceSid)
-      .verifications.create({ to: formatted, channel: "sms" });
+      if (check.approved) return res.json({ message: "✅ OTP verified", redirect: "/AdminPortal" });
 
-    res.json({ message: "OTP sent successfully." });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      res.locals.failedAttempt = true;
+      res.status(400).json({ error: "Invalid OTP" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
-app.post("/api/admin/verify-otp", async (req, res) => {
-  try {
-    const { phone, otp } = req.body;
-    const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
+/**
+ * POST /api/admin/unlock-account
+ * Clears a brute-force lock before it expires
+ * Body: { scope, identifier } e.g. { scope: "student-login", identifier: "STU123" }
+ */
+app.post(
+  "/api/admin/unlock-account",
+  authenticateToken,
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { scope, identifier } = req.body;
+      if (!LOCKOUT_SCOPES.includes(scope) || !identifier)
+        return res.status(400).json({
+          error: `scope (${LOCKOUT_SCOPES.join(", ")}) and identifier are required.`,
+        });
 
-    const check = await twilioClient.verify
-      .services(serviceSid)
-      .verificationChecks.create({ to: formatted, code: otp });
+      await unlock(scope, scope.endsWith("-otp") ? phoneKey(identifier) : identifier);
+      console.log(`🔓 ${req.user.adminId || req.user.id} unlocked ${scope} account ${identifier}`);
 
-    if (check.status === "approved")
-      res.json({ message: "✅ OTP verified", redirect: "/AdminPortal" });
-    else res.status(400).json({ error: "Invalid OTP" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+      res.json({ message: "✅ Account unlocked", scope, identifier });
+    } catch (err) {
+      console.error("🔥 Unlock account error:", err);
+      res.status(500).json({ error: "Failed to unlock account", details: err.message });
+    }
   }
-});
+);
 
-app.post("/api/student/send-otp", async (req, res) => {
-  try {
-    let { phone } = req.body;
-    const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
+// Authenticator-app (TOTP) enrollment for admins
+app.use(
+  "/api/admin/2fa",
+  createTwoFactorRouter({ Model: Admin, role: "admin", accountName: (admin) => admin.adminId })
+);
 
-    const cleanPhone = phone.replace(/\D/g, "");
-    const normalized = formatted.replace("+", "");
+app.use("/api/admin", adminRoutes);
 
-    const student = await Student.findOne({
-      contactNumber: { $in: [phone, cleanPhone, normalized] },
-    }).lean();
+app.post(
+  "/api/student/send-otp",
+  rateLimit(otpSendLimit, { scope: "student", identify: otpPhone }),
+  async (req, res) => {
+    try {
+      let { phone } = req.body;
+      if (!phone) return res.status(400).json({ error: "Phone required." });
+      const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
 
-    console.log("📞 Checking for:", phone, formatted, "→ Found:", !!student);
+      const cleanPhone = phone.replace(/\D/g, "");
+      const normalized = formatted.replace("+", "");
 
-    if (!student) {
-      return res.status(404).json({ error: "Phone not registered." });
-    }
+      const student = await Student.findOne({
+        contactNumber: { $in: [phone, cleanPhone, normalized] },
+      }).lean();
+
+      console.log("📞 Checking for:", phone, formatted, "→ Found:", !!student);
+
+      if (!student) {
+        return res.status(404).json({ error: "Phone not registered." });
+      }
 
-    await twilioClient.verify
-      .services(serviceSid)
-      .verifications.create({ to: formatted, channel: "sms" });
+      await otpProvider.send({
+        to: formatted,
+        purpose: "student-login",
+        email: student.email,
+        name: student.fullName,
+      });
 
-    res.json({ message: "✅ OTP sent successfully." });
-  } catch (error) {
-    console.error("🔥 Error sending OTP:", error);
-    res.status(500).json({ error: "Failed to send OTP" });
+      res.json({ message: "✅ OTP sent successfully." });
+    } catch (error) {
+      console.error("🔥 Error sending OTP:", error);
+      res.status(500).json({ error: "Failed to send OTP" });
+    }
   }
-});
+);
 
-app.post("/api/student/verify-otp", async (req, res) => {
-  try {
-    const { phone, otp } = req.body;
-    const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
+app.post(
+  "/api/student/verify-otp",
+  rateLimit(otpVerifyLimit, { scope: "student", identify: otpPhone }),
+  accountLockout("student-otp", otpPhone, { isFailure: otpFailure }),
+  async (req, res) => {
+    try {
+      const { phone, otp } = req.body;
+      if (!phone || !otp) return res.status(400).json({ error: "Phone and OTP required." });
+      const formatted = (!phone.startsWith("+") ? `+91${phone}` : phone);
 
-    const check = await twilioClient.verify
-      .services(serviceSid)
-      .verificationChecks.create({ to: formatted, code: otp });
+      const check = await otpProvider.verify({ to: formatted, purpose: "student-login", code: otp });
 
-    if (check.status === "approved")
-      res.json({ message: "✅ OTP verified", redirect: "/SP" });
-    else res.status(400).json({ error: "Invalid OTP" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+      if (check.approved) return res.json({ message: "✅ OTP verified", redirect: "/SP" });
+
+      res.locals.failedAttempt = true;
+      res.status(400).json({ error: "Invalid OTP" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 // =======================================================
 // ==================== STUDENT SECTION =================
@@ -791,17 +1022,22 @@ app.post("/api/student/register", uploadStudentDocs, async (req, res) => {
     if (existing)
       return res.status(400).json({ error: "Student ID already exists." });
 
+    const policy = await evaluatePassword(password);
+    if (!policy.valid)
+      return res.status(400).json({ error: policy.message, passwordErrors: policy.errors });
+
     const hashed = await bcrypt.hash(password, 10);
     const photo = req.files?.photo?.[0]?.path || null;
     const govProof = req.files?.govProof?.[0]?.path || null;
     const guardianIdProof = req.files?.guardianIdProof?.[0]?.path || null;
     const resume = req.files?.resume?.[0]?.path || null;
 
-    await Student.create({
+    const student = await Student.create({
       studentId,
       fullName,
       dob,
       email,
+      emailVerified: false,
       alternateEmail: altEmail,
       contactNumber: contact,
       gender,
@@ -823,46 +1059,74 @@ app.post("/api/student/register", uploadStudentDocs, async (req, res) => {
         semester,
         discipline,
         cgpa,
-        skills,
+        skills: skills && canonicalSkillText(skills),
         resumePath: resume,
       },
       passwordHash: hashed,
     });
 
-    res.json({ message: "✅ Student registered successfully!" });
+    await sendVerificationEmail({ role: "student", account: student, email, name: fullName }).catch(
+      (err) => console.error("🔥 Verification email error:", err)
+    );
+
+    res.json({
+      message: "✅ Student registered successfully! Check your email to verify your address.",
+      emailVerificationRequired: true,
+    });
   } catch (err) {
     console.error("🔥 Student register error:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post("/api/student/login", async (req, res) => {
-  try {
-    const { studentId, password } = req.body;
-    if (!studentId || !password)
-      return res.status(400).json({ error: "Student ID and password required." });
-
-    const student = await Student.findOne({ studentId });
-    if (!student)
-      return res.status(401).json({ error: "Invalid credentials." });
+app.post(
+  "/api/student/login",
+  rateLimit(loginLimit, { scope: "student", identify: (req) => req.body.studentId }),
+  accountLockout("student-login", (req) => req.body.studentId),
+  async (req, res) => {
+    try {
+      const { studentId, password } = req.body;
+      if (!studentId || !password)
+        return res.status(400).json({ error: "Student ID and password required." });
 
-    const valid = await bcrypt.compare(password, student.passwordHash || "");
-    if (!valid)
-      return res.status(401).json({ error: "Invalid credentials." });
+      const student = await Student.findOne({ studentId });
+      if (!student)
+        return res.status(401).json({ error: "Invalid credentials." });
+
+      const valid = await bcrypt.compare(password, student.passwordHash || "");
+      if (!valid)
+        return res.status(401).json({ error: "Invalid credentials." });
+
+      if (isUnverified(student))
+        return res.status(403).json({
+          error: "Please verify your email address before logging in.",
+          emailVerificationRequired: true,
+        });
+
+      const tokens = await issueTokens({
+        subject: student._id,
+        role: "student",
+        claims: { studentId: student.studentId },
+      });
 
-    res.json({
-      message: "✅ Login successful",
-      student: {
-        studentId: student.studentId,
-        fullName: student.fullName,
-        email: student.email,
-      },
-    });
-  } catch (err) {
-    console.error("🔥 Student login error:", err);
-    res.status(500).json({ error: "Server error", details: err.message });
+      res.json({
+        message: "✅ Login successful",
+        ...tokens,
+        student: {
+          studentId: student.studentId,
+          fullName: student.fullName,
+          email: student.email,
+        },
+      });
+    } catch (err) {
+      console.error("🔥 Student login error:", err);
+      res.status(500).json({ error: "Server error", details: err.message });
+    }
   }
-});
+);
+
+// Student applications (JWT-protected)
+app.use("/api/student", studentRoutes);
 
 // =======================================================
 // ================= ORGANIZATION SECTION ================
@@ -902,6 +1166,11 @@ app.post(
         return res.status(400).json({ error: "All fields required." });
       }
 
+      const policy = await evaluatePassword(password);
+      if (!policy.valid) {
+        return res.status(400).json({ error: policy.message, passwordErrors: policy.errors });
+      }
+
       const username = `${orgName.replace(/\s+/g, "").toLowerCase()}@sia.com`;
 
       const existing = await Organization.findOne({ username }).lean();
@@ -929,11 +1198,17 @@ app.post(
           alternateEmail: coordAltEmail,
           phone: coordPhone,
         },
+        emailVerified: false,
         passwordHash: hashed,
       });
 
+      await sendVerificationEmail({ role: "org", account: org, email: coordEmail, name: coordName }).catch(
+        (err) => console.error("🔥 Verification email error:", err)
+      );
+
       res.json({
-        message: "✅ Organization registered successfully!",
+        message: "✅ Organization registered successfully! Check the coordinator email to verify the address.",
+        emailVerificationRequired: true,
         organizationId: org._id.toString(),
         username,
       });
@@ -944,33 +1219,57 @@ app.post(
   }
 );
 
-app.post("/api/organization/login", async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: "Username and password required." });
-
-    const org = await Organization.findOne({ username });
-    if (!org)
-      return res.status(401).json({ error: "Invalid username or password." });
+app.post(
+  "/api/organization/login",
+  rateLimit(loginLimit, { scope: "org", identify: (req) => req.body.username }),
+  accountLockout("org-login", (req) => req.body.username),
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+      if (!username || !password)
+        return res.status(400).json({ error: "Username and password required." });
+
+      const org = await Organization.findOne({ username });
+      if (!org)
+        return res.status(401).json({ error: "Invalid username or password." });
+
+      const valid = await bcrypt.compare(password, org.passwordHash || "");
+      if (!valid)
+        return res.status(401).json({ error: "Invalid username or password." });
+
+      if (isUnverified(org))
+        return res.status(403).json({
+          error: "Please verify the coordinator email address before logging in.",
+          emailVerificationRequired: true,
+        });
+
+      // Second step happens at /api/auth/2fa/verify
+      if (twoFactor.isEnabled(org)) {
+        return res.json({
+          message: "Two-factor authentication required",
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken({ subject: org._id, role: "org" }),
+        });
+      }
 
-    const valid = await bcrypt.compare(password, org.passwordHash || "");
-    if (!valid)
-      return res.status(401).json({ error: "Invalid username or password." });
+      // Organization routes read the subject as the organization_id
+      const tokens = await issueTokens({ subject: org._id, role: "org" });
 
-    res.json({
-      message: "✅ Login successful",
-      organization: {
-        organizationId: org._id.toString(),
-        username: org.username,
-        orgName: org.orgName,
-      },
-    });
-  } catch (err) {
-    console.error("🔥 Organization Login Error:", err);
-    res.status(500).json({ error: "Login failed", details: err.message });
+      res.json({
+        message: "✅ Login successful",
+        ...tokens,
+        organization: {
+          organizationId: org._id.toString(),
+          username: org.username,
+          orgName: org.orgName,
+        },
+      });
+    } catch (err) {
+      console.error("🔥 Organization Login Error:", err);
+      res.status(500).json({ error: "Login failed", details: err.message });
+    }
   }
-});
+);
 
 // =======================================================
 // ============= ORGANIZATION ROUTES ====================
@@ -978,20 +1277,24 @@ app.post("/api/organization/login", async (req, res) => {
 // Use modular organization routes with JWT authentication
 app.use("/api/organization", organizationRoutes);
 
-// Keep existing login and notifications routes below
-// (These don't require the new JWT auth structure)
+// Notifications are readable by the owning organization and by admins
 
-app.get("/api/organization/notifications/:orgId", async (req, res) => {
-  try {
-    const rows = await Notification.find({ organizationId: req.params.orgId })
-      .sort({ createdAt: -1 })
-      .lean();
-    res.json(rows || []);
-  } catch (err) {
-    console.error("🔥 Notifications:", err);
-    res.status(500).json({ error: err.message });
+app.get(
+  "/api/organization/notifications/:orgId",
+  authenticateToken,
+  requireOwner("org", (req) => req.params.orgId, { allowAdmin: true }),
+  async (req, res) => {
+    try {
+      const rows = await Notification.find({ organizationId: req.params.orgId })
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json(rows || []);
+    } catch (err) {
+      console.error("🔥 Notifications:", err);
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 
 // =======================================================
@@ -0,0 +1,95 @@
+const { verifyAccessToken } = require("../services/tokenService");
+
+/**
+ * JWT Authentication Middleware
+ * Verifies Bearer token and extracts user ID and role
+ * Attaches req.user = { id, role, studentId?, adminId? } for use in routes
+ */
+const authenticateToken = (req, res, next) => {
+  try {
+    // Extract token from Authorization header
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return res.status(401).json({
+        error: "Authorization token required. Format: Bearer <token>",
+      });
+    }
+
+    const token = authHeader.substring(7); // Remove "Bearer " prefix
+
+    // Verify JWT token
+    const decoded = verifyAccessToken(token);
+
+    // Attach user ID and role to request object
+    req.user = {
+      id: decoded.sub || decoded.id || decoded.organizationId || decoded._id, // Support different token formats
+      role: decoded.role,
+      studentId: decoded.studentId,
+      adminId: decoded.adminId,
+    };
+
+    if (!req.user.id) {
+      return res.status(401).json({ error: "Invalid token: missing user ID" });
+    }
+
+    next();
+  } catch (err) {
+    if (err.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    if (err.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Token expired" });
+    }
+    console.error("🔥 Authentication error:", err);
+    return res.status(500).json({ error: "Authentication failed", details: err.message });
+  }
+};
+
+/**
+ * Role Guard
+ * Must run after authenticateToken
+ * Usage: router.get("/path", authenticateToken, requireRole("org"), handler)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: "You do not have access to this resource" });
+  }
+  next();
+};
+
+// The identifier a role's records are owned by: studentId for students, _id for orgs
+const ownIdFor = (user) => (user.role === "student" ? user.studentId : user.id);
+
+/**
+ * Ownership Guard
+ * Must run after authenticateToken
+ * Lets the owning student/org through, and admins when allowAdmin is set
+ * getOwnerId(req) returns the id the request targets; when it returns nothing
+ * the route is expected to fall back to the caller's own record
+ */
+const requireOwner = (role, getOwnerId, { allowAdmin = false } = {}) => (req, res, next) => {
+  const { user } = req;
+  if (!user) {
+    return res.status(401).json({ error: "Authorization token required. Format: Bearer <token>" });
+  }
+
+  if (allowAdmin && user.role === "admin") return next();
+
+  if (user.role !== role) {
+    return res.status(403).json({ error: "You do not have access to this resource" });
+  }
+
+  const ownerId = getOwnerId(req);
+  const requested = Array.isArray(ownerId) ? ownerId[0] : ownerId;
+  if (requested && String(requested) !== String(ownIdFor(user))) {
+    return res.status(403).json({ error: "You can only access your own records" });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateToken,
+  requireRole,
+  requireOwner,
+};
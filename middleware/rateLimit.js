@@ -0,0 +1,79 @@
+const rateLimitService = require("../services/rateLimit");
+
+/**
+ * Sends the shared 429 response with a Retry-After header (seconds)
+ */
+const tooManyRequests = (res, retryAfterMs, error = "Too many requests. Please try again later.") => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Rate Limit Middleware
+ * Counts every request against `limit`, keyed by the client IP and, when
+ * `identify` returns a value, separately by that account identifier
+ * `scope` keeps identifiers of different account types apart
+ * Usage: rateLimit(limit("login", 20, 15), { scope: "student", identify: (req) => req.body.studentId })
+ */
+const rateLimit = (limit, { scope = "", identify } = {}) => async (req, res, next) => {
+  try {
+    const keys = [`ip:${req.ip}`];
+    const identifier = identify && firstValue(identify(req));
+    if (identifier) keys.push(`id:${scope}:${String(identifier).trim().toLowerCase()}`);
+
+    for (const key of keys) {
+      const { allowed, retryAfterMs } = await rateLimitService.hit(limit, key);
+      if (!allowed) return tooManyRequests(res, retryAfterMs);
+    }
+
+    next();
+  } catch (err) {
+    // Fail open: a broken counter store must not take logins down
+    console.error("🔥 Rate limit error:", err);
+    next();
+  }
+};
+
+/**
+ * Account Lockout Middleware
+ * Rejects requests for a locked account, then watches the response:
+ * failures count towards a lock, successes reset the count
+ * `isFailure(res)` decides what a failure is: by default a 401, which the
+ * login routes only send for a wrong credential; routes answering a wrong
+ * code with another status set res.locals.failedAttempt instead
+ * `scope` separates counters, e.g. "student-login" vs "admin-otp"
+ */
+const accountLockout = (scope, identify, { isFailure = (res) => res.statusCode === 401 } = {}) =>
+  async (req, res, next) => {
+    const identifier = firstValue(identify(req));
+    if (!identifier) return next();
+
+    try {
+      const remaining = await rateLimitService.lockRemaining(scope, identifier);
+      if (remaining > 0) {
+        return tooManyRequests(res, remaining, "Account temporarily locked after repeated failed attempts.");
+      }
+    } catch (err) {
+      console.error("🔥 Lockout check error:", err);
+      return next();
+    }
+
+    res.on("finish", () => {
+      const update = isFailure(res)
+        ? rateLimitService.recordFailure(scope, identifier)
+        : res.statusCode < 300 && rateLimitService.recordSuccess(scope, identifier);
+
+      Promise.resolve(update).catch((err) => console.error("🔥 Lockout update error:", err));
+    });
+
+    next();
+  };
+
+module.exports = {
+  rateLimit,
+  accountLockout,
+  tooManyRequests,
+};
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+
+/**
+ * File Upload Middleware
+ * Multer disk storage shared by every route that accepts files
+ * Files are written to uploads/ or, for files added to projects, to storage/
+ * Neither folder is served statically; files are only downloaded through
+ * routes that check who is asking
+ * Each file gets a unique prefix on the original name
+ */
+
+// ✅ Setup upload directory
+const uploadDir = path.join(__dirname, "..", "uploads");
+if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+const privateDir = path.join(__dirname, "..", "storage");
+
+const diskStorage = (directory) =>
+  multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(directory, { recursive: true });
+      cb(null, directory);
+    },
+    filename: (req, file, cb) => {
+      const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${path.basename(file.originalname)}`;
+      cb(null, unique);
+    },
+  });
+
+const storage = diskStorage(uploadDir);
+
+// Accepts any file type (registration documents, photos, resumes)
+const upload = multer({ storage });
+
+/**
+ * Builds an upload middleware that only accepts some file types
+ * @param {object} options
+ * @param {string[]} options.mimeTypes - accepted MIME types
+ * @param {number} options.maxSizeMb - per-file size limit
+ * @param {string} [options.directory] - where files are written (default uploads/)
+ */
+const restrictedUpload = ({ mimeTypes, maxSizeMb, directory }) =>
+  multer({
+    storage: directory ? diskStorage(directory) : storage,
+    limits: { fileSize: maxSizeMb * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (mimeTypes.includes(file.mimetype)) return cb(null, true);
+      const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+      err.message = `Unsupported file type ${file.mimetype}`;
+      cb(err);
+    },
+  });
+
+/**
+ * Wraps a multer middleware so upload errors become 400 responses
+ * instead of reaching the route's 500 handler
+ */
+const handleUploadErrors = (middleware) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === "LIMIT_FILE_SIZE" ? "File is too large" : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next(err);
+  });
+
+// Removes the files multer stored for a request that is being rejected
+const discardUploads = (req) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  for (const file of files) fs.unlink(file.path, () => {});
+};
+
+module.exports = {
+  uploadDir,
+  privateDir,
+  upload,
+  restrictedUpload,
+  handleUploadErrors,
+  discardUploads,
+};
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const twoFactorSchema = require("./twoFactorSchema");
+
+/**
+ * Admin Schema
+ * Represents a college administrator
+ */
+const adminSchema = new mongoose.Schema(
+  {
+    adminId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    fullName: String,
+    emailAddress: String,
+    adminDesignation: String,
+    contactNumber: String,
+    photoPath: String,
+    govIdProofPath: String,
+    collegeIdProofPath: String,
+    passwordHash: String,
+    // Previous password hashes, newest first (see services/passwordPolicy.js)
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+    twoFactor: {
+      type: twoFactorSchema,
+      default: () => ({}),
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+const Admin = mongoose.model("Admin", adminSchema);
+
+module.exports = Admin;
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * AllotmentRun Schema
+ * One run of the allotment engine (see services/allotment)
+ * Dry runs only keep the report; committed runs also keep every status change
+ * they made so they can be rolled back
+ */
+const allotmentRunSchema = new mongoose.Schema(
+  {
+    dryRun: {
+      type: Boolean,
+      required: true,
+    },
+    // committing: applications are being changed; a run that failed part way stays here
+    status: {
+      type: String,
+      enum: ["dry_run", "committing", "committed", "rolled_back"],
+      required: true,
+    },
+    triggeredBy: {
+      type: String,
+      required: true,
+    },
+    summary: {
+      students: Number,
+      projects: Number,
+      matched: Number,
+      unmatched: Number,
+      seats: Number,
+      seatsFilled: Number,
+    },
+    // matches / unmatched / projects as produced by services/allotment/matching.js, with names added
+    report: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    changes: [
+      {
+        _id: false,
+        applicationId: mongoose.Schema.Types.ObjectId,
+        studentId: String,
+        projectId: mongoose.Schema.Types.ObjectId,
+        from: String,
+        to: String,
+      },
+    ],
+    rolledBackAt: {
+      type: Date,
+      default: null,
+    },
+    rolledBackBy: {
+      type: String,
+      default: null,
+    },
+    // Changes skipped on rollback because the application moved on since the run
+    rollbackConflicts: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+allotmentRunSchema.index({ createdAt: -1 });
+
+const AllotmentRun = mongoose.model("AllotmentRun", allotmentRunSchema);
+
+module.exports = AllotmentRun;
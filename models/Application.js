@@ -1,8 +1,10 @@
 const mongoose = require("mongoose");
+const { STATUSES } = require("../services/applicationStatus");
 
 /**
  * Application Schema
- * Tracks student applications to projects for counting purposes
+ * A student's application to a project
+ * Status changes follow services/applicationStatus.js and are logged in statusHistory
  */
 const applicationSchema = new mongoose.Schema(
   {
@@ -19,19 +21,55 @@ const applicationSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "accepted", "rejected"],
+      enum: STATUSES,
       default: "pending",
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+        actorRole: {
+          type: String,
+          enum: ["student", "org", "admin", "system"],
+        },
+        actorId: String,
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Organization's ranking of this applicant within the project (1 = best), used by the allotment engine
+    orgRank: {
+      type: Number,
+      default: null,
+    },
+    // Interview slot the student has booked, if any (see services/interviews.js)
+    interviewSlotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InterviewSlot",
+      default: null,
+    },
+    withdrawnAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while the project is soft-deleted; the application itself is kept as it was
+    projectWithdrawnAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Create compound index for efficient queries
-applicationSchema.index({ projectId: 1, studentId: 1 });
+// One application per student per project
+applicationSchema.index({ projectId: 1, studentId: 1 }, { unique: true });
 
 const Application = mongoose.model("Application", applicationSchema);
 
 module.exports = Application;
-
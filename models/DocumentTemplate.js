@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+/**
+ * DocumentTemplate Schema
+ * An organization's wording for a generated document (see services/documents.js)
+ * body uses {{placeholders}}; blank lines separate paragraphs
+ */
+const documentTemplateSchema = new mongoose.Schema(
+  {
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["offer_letter", "completion_certificate"],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    // Printed under the signature line, e.g. "{{coordinator.name}}, {{coordinator.designation}}"
+    signature: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// One template of each kind per organization
+documentTemplateSchema.index({ organization_id: 1, kind: 1 }, { unique: true });
+
+const DocumentTemplate = mongoose.model("DocumentTemplate", documentTemplateSchema);
+
+module.exports = DocumentTemplate;
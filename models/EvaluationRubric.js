@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+/**
+ * EvaluationRubric Schema
+ * The criteria an organization scores interns against in mid-term and final
+ * evaluations; organizations without one use the default in services/progress.js
+ */
+const evaluationRubricSchema = new mongoose.Schema(
+  {
+    organization_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    criteria: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        label: { type: String, required: true },
+        maxScore: { type: Number, required: true },
+        // Relative importance in the percentage; weights need not add up to 1
+        weight: { type: Number, default: 1 },
+      },
+    ],
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+const EvaluationRubric = mongoose.model("EvaluationRubric", evaluationRubricSchema);
+
+module.exports = EvaluationRubric;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+/**
+ * InternshipProgress Schema
+ * Tracks an accepted application through the internship: weekly logs, the
+ * final report, coordinator evaluations and the resulting completion status
+ * Created the first time the internship is opened (see services/progress.js)
+ */
+const internshipProgressSchema = new mongoose.Schema(
+  {
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: true,
+      unique: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    studentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    weeklyLogs: [
+      {
+        _id: false,
+        week: { type: Number, required: true }, // 1 = the week starting on the project start date
+        summary: { type: String, required: true },
+        tasksCompleted: { type: String, default: "" },
+        blockers: { type: String, default: "" },
+        hoursWorked: { type: Number, default: null },
+        submittedAt: { type: Date, required: true },
+        updatedAt: { type: Date, default: null },
+      },
+    ],
+    finalReport: {
+      filePath: { type: String, default: null },
+      originalName: { type: String, default: null },
+      submittedAt: { type: Date, default: null },
+    },
+    evaluations: [
+      {
+        _id: false,
+        stage: { type: String, enum: ["mid_term", "final"], required: true },
+        // Rubric criteria as they were when the evaluation was made, with the score given
+        scores: [
+          {
+            _id: false,
+            key: String,
+            label: String,
+            maxScore: Number,
+            weight: Number,
+            score: Number,
+          },
+        ],
+        percentage: Number,
+        comments: { type: String, default: "" },
+        evaluatedBy: String,
+        evaluatedAt: Date,
+      },
+    ],
+    completionStatus: {
+      type: String,
+      enum: ["in_progress", "completed", "not_completed"],
+      default: "in_progress",
+    },
+    // Weighted mid-term/final percentage, set once the final evaluation is in
+    finalScore: {
+      type: Number,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+const InternshipProgress = mongoose.model("InternshipProgress", internshipProgressSchema);
+
+module.exports = InternshipProgress;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+/**
+ * InterviewSlot Schema
+ * One interview time an organization offers for a project
+ * A slot holds at most one booking; see services/interviews.js
+ */
+const interviewSlotSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    durationMinutes: {
+      type: Number,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ["online", "in_person", "phone"],
+      required: true,
+    },
+    location: {
+      type: String,
+      default: "",
+    },
+    meetingLink: {
+      type: String,
+      default: "",
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["open", "booked", "cancelled"],
+      default: "open",
+    },
+    // Set while booked
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      default: null,
+    },
+    studentId: {
+      type: String,
+      default: null,
+    },
+    bookedAt: {
+      type: Date,
+      default: null,
+    },
+    // Calendar UID of the current booking and its revision, so invites can be updated/cancelled
+    inviteUid: {
+      type: String,
+      default: null,
+    },
+    inviteSequence: {
+      type: Number,
+      default: 0,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+interviewSlotSchema.index({ projectId: 1, startsAt: 1 });
+interviewSlotSchema.index({ status: 1, startsAt: 1 });
+
+const InterviewSlot = mongoose.model("InterviewSlot", interviewSlotSchema);
+
+module.exports = InterviewSlot;
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+/**
+ * IssuedDocument Schema
+ * A generated offer letter or completion certificate
+ * The PDF lives under uploads/documents; verificationCode is printed on it and
+ * can be checked by anyone at GET /verify/:code
+ */
+const issuedDocumentSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["offer_letter", "completion_certificate"],
+      required: true,
+    },
+    applicationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: true,
+      index: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    studentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    verificationCode: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    filePath: {
+      type: String,
+      required: true,
+    },
+    // Values printed on the document, kept so verification does not depend on later edits
+    details: {
+      studentName: String,
+      projectCode: String,
+      projectName: String,
+      organizationName: String,
+      startDate: Date,
+      endDate: Date,
+    },
+    issuedBy: {
+      role: { type: String, enum: ["student", "org", "admin", "system"] },
+      id: String,
+    },
+    // Set when the document is replaced by a newer one or withdrawn
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    // Set when the project was purged; the document and its PDF are kept and still verify
+    projectPurgedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+const IssuedDocument = mongoose.model("IssuedDocument", issuedDocumentSchema);
+
+module.exports = IssuedDocument;
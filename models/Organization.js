@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const twoFactorSchema = require("./twoFactorSchema");
 
 /**
  * Organization Schema
@@ -27,10 +28,25 @@ const organizationSchema = new mongoose.Schema(
       alternateEmail: String,
       phone: String,
     },
+    // Verification state of coordinator.email
+    // Unset on organizations created before email verification existed (treated as verified)
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    // New coordinator email from PUT /profile, waiting for confirmation
+    pendingEmail: String,
     passwordHash: {
       type: String,
       required: true,
     },
+    // Previous password hashes, newest first (see services/passwordPolicy.js)
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+    twoFactor: {
+      type: twoFactorSchema,
+      default: () => ({}),
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+/**
+ * OtpCode Schema
+ * One-time codes issued by the self-hosted and console OTP providers
+ * Only a bcrypt hash of the code is stored
+ */
+const otpCodeSchema = new mongoose.Schema(
+  {
+    // Who the code was sent to, e.g. "+919876543210"
+    identifier: {
+      type: String,
+      required: true,
+    },
+    // What the code unlocks, e.g. "admin-login"
+    purpose: {
+      type: String,
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Only one live code per identifier and purpose
+otpCodeSchema.index({ identifier: 1, purpose: 1 }, { unique: true });
+// Let MongoDB remove codes once they expire
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpCode = mongoose.model("OtpCode", otpCodeSchema);
+
+module.exports = OtpCode;
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * PreferenceList Schema
+ * A student's ranked list of preferred projects for one allotment cycle
+ * projectIds is ordered, most preferred first (see services/preferences.js)
+ */
+const preferenceListSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: String,
+      required: true,
+    },
+    cycle: {
+      type: String,
+      required: true,
+    },
+    projectIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ],
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// One list per student per cycle
+preferenceListSchema.index({ studentId: 1, cycle: 1 }, { unique: true });
+
+const PreferenceList = mongoose.model("PreferenceList", preferenceListSchema);
+
+module.exports = PreferenceList;
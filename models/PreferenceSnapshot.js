@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+/**
+ * PreferenceSnapshot Schema
+ * Read-only copy of a student's preference list taken when the cycle locked
+ * Project code and name are copied so the audit trail survives project edits
+ */
+const preferenceSnapshotSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: String,
+      required: true,
+    },
+    cycle: {
+      type: String,
+      required: true,
+    },
+    projects: [
+      {
+        _id: false,
+        rank: Number,
+        projectId: mongoose.Schema.Types.ObjectId,
+        project_code: String,
+        project_name: String,
+      },
+    ],
+    // When the list was last edited before it was frozen
+    listUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+    frozenAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// A list is frozen once per cycle
+preferenceSnapshotSchema.index({ cycle: 1, studentId: 1 }, { unique: true });
+
+const PreferenceSnapshot = mongoose.model("PreferenceSnapshot", preferenceSnapshotSchema);
+
+module.exports = PreferenceSnapshot;
@@ -3,6 +3,10 @@ const mongoose = require("mongoose");
 /**
  * Project Schema
  * Represents an internship project posted by an organization
+ * Status changes follow services/projectLifecycle.js and are logged in statusHistory
+ * Deleted projects are only marked (see services/projectArchive.js) and are
+ * left out of every query unless it filters on deletedAt or sets { withDeleted: true }
+ * estimatedDocumentCount cannot filter, so it requires { withDeleted: true }
  */
 const projectSchema = new mongoose.Schema(
   {
@@ -28,10 +32,29 @@ const projectSchema = new mongoose.Schema(
       enum: ["draft", "scheduled", "active", "completed"],
       default: "draft",
     },
+    // When a scheduled project goes live (any Date-parsable string)
     scheduled_time: {
       type: String,
       default: null,
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+        action: String,
+        actorRole: {
+          type: String,
+          enum: ["org", "admin", "system"],
+        },
+        actorId: String,
+        note: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     start_date: {
       type: Date,
       default: null,
@@ -50,7 +73,54 @@ const projectSchema = new mongoose.Schema(
     coordinatorAltEmail: String,
     coordinatorPhone: String,
     coordinatorDesignation: String,
+    // Legacy free-text path; guidelines are now uploaded as an attachment
+    // (scripts/migrate-guidelines.js moves existing files into attachments)
     guidelinesFilePath: String,
+    // Files uploaded with the project (see services/attachments.js)
+    attachments: [
+      {
+        kind: {
+          type: String,
+          enum: ["guidelines", "brochure", "nda_template", "other"],
+          required: true,
+        },
+        filePath: { type: String, required: true },
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        uploadedBy: String,
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Number of interns wanted; parsed from internsRequired for older projects
+    seats: {
+      type: Number,
+      default: null,
+    },
+    // Structured criteria checked by services/eligibility.js
+    // cgpaRequirement / discipline / skills above are kept as display text
+    eligibility: {
+      minCgpa: { type: Number, default: null },
+      disciplines: [String],
+      programmes: [String],
+      semesters: [Number],
+      requiredSkills: [String],
+      optionalSkills: [String],
+    },
+    // Soft delete: set when the organization deletes the project
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: String,
+      default: null,
+    },
+    // Admins may purge the project for good after this date
+    purgeAfter: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields
@@ -59,6 +129,51 @@ const projectSchema = new mongoose.Schema(
 
 // Create indexes for better query performance
 projectSchema.index({ organization_id: 1, createdAt: -1 });
+// Used by the lifecycle scheduler
+projectSchema.index({ status: 1, end_date: 1 });
+projectSchema.index({ deletedAt: 1, purgeAfter: 1 });
+// Full-text search for the student catalog
+projectSchema.index(
+  { project_name: "text", description: "text" },
+  { name: "project_text", weights: { project_name: 3, description: 1 } }
+);
+
+// Hide soft-deleted projects from queries that do not ask for them
+const QUERY_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "countDocuments",
+  "distinct",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+];
+projectSchema.pre(QUERY_HOOKS, function () {
+  if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+// It reads the collection's metadata count, which always includes deleted projects
+projectSchema.pre("estimatedDocumentCount", function () {
+  if (this.getOptions().withDeleted) return;
+  throw new Error("Project.estimatedDocumentCount includes deleted projects; use countDocuments or set { withDeleted: true }");
+});
+
+// Aggregations get the same condition in their first $match ($text must stay in the first stage)
+projectSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return;
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (!("deletedAt" in first.$match)) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
 
 const Project = mongoose.model("Project", projectSchema);
 
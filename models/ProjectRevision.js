@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+/**
+ * ProjectRevision Schema
+ * One recorded change to a project's details (see services/projectRevisions.js)
+ * `changes` is the field-level diff against the previous revision and
+ * `snapshot` the tracked fields after the change, which restore copies back
+ */
+const projectRevisionSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    // 1, 2, 3... per project
+    revision: {
+      type: Number,
+      required: true,
+    },
+    // baseline: state found when a project created before revisions was first changed
+    action: {
+      type: String,
+      enum: ["create", "baseline", "update", "restore"],
+      required: true,
+    },
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      enum: ["org", "admin", "system"],
+    },
+    actorId: String,
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+projectRevisionSchema.index({ projectId: 1, revision: -1 }, { unique: true });
+
+const ProjectRevision = mongoose.model("ProjectRevision", projectRevisionSchema);
+
+module.exports = ProjectRevision;
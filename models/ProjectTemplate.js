@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+/**
+ * ProjectTemplate Schema
+ * A project saved by an organization to create similar projects from later
+ * (see services/projectTemplates.js)
+ * `snapshot` holds the project's tracked fields as recorded by
+ * services/projectRevisions.js; attachments are copies of the project's files
+ */
+const projectTemplateSchema = new mongoose.Schema(
+  {
+    organization_id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sourceProjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Same shape as Project.attachments
+    attachments: [
+      {
+        kind: {
+          type: String,
+          enum: ["guidelines", "brochure", "nda_template", "other"],
+          required: true,
+        },
+        filePath: { type: String, required: true },
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        uploadedBy: String,
+        uploadedAt: { type: Date, default: Date.now },
+      },
+    ],
+    createdBy: String,
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+projectTemplateSchema.index({ organization_id: 1, name: 1 }, { unique: true });
+
+const ProjectTemplate = mongoose.model("ProjectTemplate", projectTemplateSchema);
+
+module.exports = ProjectTemplate;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+/**
+ * RateLimitCounter Schema
+ * Shared attempt counters and account locks for the Mongo rate-limit store
+ * Lets limits hold across multiple server instances
+ */
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Let MongoDB remove counters once their window has passed
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
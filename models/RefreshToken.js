@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+/**
+ * RefreshToken Schema
+ * Stores hashed refresh tokens issued at login
+ * Tokens issued from the same login share a family so a reused token can revoke the whole chain
+ */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["student", "admin", "org"],
+      required: true,
+    },
+    // Extra JWT claims to carry over when the token is rotated
+    claims: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Let MongoDB remove tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ subject: 1, role: 1 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
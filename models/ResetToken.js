@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * ResetToken Schema
+ * One password reset request
+ * - tokenHash: sha256 of the token emailed in the Yes/No links
+ * - requestIdHash: sha256 of the opaque id the requesting client polls with
+ * - accounts: every student/admin/org account registered to the email (may be empty)
+ */
+const resetTokenSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    requestIdHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    accounts: [
+      {
+        _id: false,
+        userType: { type: String, enum: ["student", "admin", "org"], required: true },
+        accountId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        label: String, // studentId / adminId / org username, shown when choosing an account
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "denied", "expired", "used"],
+      default: "pending",
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+// Keep expired requests around for an hour so polling clients see "expired", then drop them
+resetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+const ResetToken = mongoose.model("ResetToken", resetTokenSchema);
+
+module.exports = ResetToken;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+/**
+ * Student Schema
+ * Represents a student who applies to internship projects
+ */
+const studentSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    fullName: String,
+    dob: String,
+    email: String,
+    // Unset on accounts created before email verification existed (treated as verified)
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    // New address from update-profile, waiting for confirmation
+    pendingEmail: String,
+    alternateEmail: String,
+    contactNumber: String,
+    gender: String,
+    panNumber: String,
+    currentAddress: String,
+    permanentAddress: String,
+    photoPath: String,
+    govIdProofPath: String,
+    guardian: {
+      name: String,
+      relation: String,
+      email: String,
+      phone: String,
+      address: String,
+      idProofPath: String,
+    },
+    academic: {
+      programme: String,
+      semester: String,
+      discipline: String,
+      cgpa: String,
+      skills: String,
+      resumePath: String,
+    },
+    passwordHash: String,
+    // Previous password hashes, newest first (see services/passwordPolicy.js)
+    passwordHistory: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt fields
+  }
+);
+
+const Student = mongoose.model("Student", studentSchema);
+
+module.exports = Student;
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+/**
+ * Two-Factor Sub-Schema
+ * TOTP authenticator-app settings shared by the Admin and Organization models
+ */
+const twoFactorSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Active base32 secret, set once enrollment is confirmed
+    secret: {
+      type: String,
+      default: null,
+    },
+    // Secret handed out by /2fa/setup, waiting for the first valid code
+    pendingSecret: {
+      type: String,
+      default: null,
+    },
+    // sha256 hashes of the unused single-use recovery codes
+    recoveryCodeHashes: {
+      type: [String],
+      default: [],
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = twoFactorSchema;
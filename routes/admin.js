@@ -0,0 +1,291 @@
+const express = require("express");
+const AllotmentRun = require("../models/AllotmentRun");
+const PreferenceSnapshot = require("../models/PreferenceSnapshot");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const { runAllotment, rollbackRun } = require("../services/allotment");
+const preferences = require("../services/preferences");
+const Application = require("../models/Application");
+const Project = require("../models/Project");
+const Organization = require("../models/Organization");
+const InternshipProgress = require("../models/InternshipProgress");
+const progress = require("../services/progress");
+const archive = require("../services/projectArchive");
+
+const router = express.Router();
+
+const adminOnly = [authenticateToken, requireRole("admin")];
+
+// Runs are recorded against the human-readable admin id when the token carries one
+const adminActor = (req) => req.user.adminId || req.user.id;
+
+// Shapes a run for list views; the full report is only returned by the detail route
+const formatRunSummary = (run) => ({
+  _id: run._id.toString(),
+  dryRun: run.dryRun,
+  status: run.status,
+  triggeredBy: run.triggeredBy,
+  summary: run.summary,
+  changes: (run.changes || []).length,
+  createdAt: run.createdAt,
+  rolledBackAt: run.rolledBackAt,
+  rolledBackBy: run.rolledBackBy,
+});
+
+/**
+ * POST /api/admin/allotment/runs
+ * Runs the allotment engine over every active project
+ * Body: { dryRun } - defaults to true; pass false to write the results to applications
+ */
+router.post("/allotment/runs", adminOnly, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== "false";
+
+    const run = await runAllotment({ dryRun, triggeredBy: adminActor(req) });
+
+    res.status(201).json({
+      message: dryRun ? "✅ Dry run complete. No applications were changed." : "✅ Allotment committed",
+      run: run.toObject(),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/admin/allotment/runs error:", err);
+    res.status(500).json({
+      error: "Failed to run allotment",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/allotment/runs
+ * Lists allotment runs, newest first
+ */
+router.get("/allotment/runs", adminOnly, async (req, res) => {
+  try {
+    const runs = await AllotmentRun.find().select("-report").sort({ createdAt: -1 }).limit(100).lean();
+    res.json(runs.map(formatRunSummary));
+  } catch (err) {
+    console.error("🔥 GET /api/admin/allotment/runs error:", err);
+    res.status(500).json({
+      error: "Failed to fetch allotment runs",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/allotment/runs/:id
+ * Returns one run with its full report and recorded changes
+ */
+router.get("/allotment/runs/:id", adminOnly, async (req, res) => {
+  try {
+    const run = await AllotmentRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ error: "Allotment run not found" });
+
+    res.json(run);
+  } catch (err) {
+    console.error("🔥 GET /api/admin/allotment/runs/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid allotment run ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch allotment run",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/allotment/runs/:id/rollback
+ * Restores the application statuses a committed run changed
+ * Applications changed again since the run are skipped and listed in rollbackConflicts
+ */
+router.post("/allotment/runs/:id/rollback", adminOnly, async (req, res) => {
+  try {
+    const { run, error, status } = await rollbackRun(req.params.id, adminActor(req));
+    if (error) return res.status(status).json({ error });
+
+    res.json({
+      message: run.rollbackConflicts.length
+        ? "⚠️ Run rolled back. Some applications had changed since the run and were left as they are."
+        : "✅ Run rolled back",
+      run: formatRunSummary(run),
+      conflicts: run.rollbackConflicts,
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/admin/allotment/runs/:id/rollback error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid allotment run ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to roll back allotment run",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/preferences/snapshots
+ * Frozen student preference lists for audit
+ * Query: cycle (default: current cycle), studentId
+ */
+router.get("/preferences/snapshots", adminOnly, async (req, res) => {
+  try {
+    const cycle = req.query.cycle || preferences.currentCycle();
+
+    const filter = { cycle };
+    if (req.query.studentId) filter.studentId = String(req.query.studentId);
+
+    const snapshots = await PreferenceSnapshot.find(filter).sort({ studentId: 1 }).lean();
+
+    res.json({ cycle, snapshots });
+  } catch (err) {
+    console.error("🔥 GET /api/admin/preferences/snapshots error:", err);
+    res.status(500).json({
+      error: "Failed to fetch preference snapshots",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/progress/overdue
+ * Per-project overview of overdue weekly logs, final reports and evaluations
+ * Covers accepted applications only
+ * Query: all=true to include projects with nothing overdue
+ */
+router.get("/progress/overdue", adminOnly, async (req, res) => {
+  try {
+    const now = new Date();
+    const accepted = await Application.find({ status: "accepted" })
+      .select("projectId studentId")
+      .lean();
+
+    const projectIds = [...new Set(accepted.map((a) => a.projectId.toString()))];
+    const [projects, records] = await Promise.all([
+      Project.find({ _id: { $in: projectIds } }).lean(),
+      InternshipProgress.find({ applicationId: { $in: accepted.map((a) => a._id) } }).lean(),
+    ]);
+    const projectsById = new Map(projects.map((p) => [p._id.toString(), p]));
+    const recordsByApplication = new Map(records.map((r) => [r.applicationId.toString(), r]));
+    const orgs = await Organization.find({ _id: { $in: [...new Set(projects.map((p) => p.organization_id))] } })
+      .select("orgName")
+      .lean();
+    const orgNames = new Map(orgs.map((o) => [o._id.toString(), o.orgName]));
+
+    const byProject = new Map();
+    for (const application of accepted) {
+      const project = projectsById.get(application.projectId.toString());
+      if (!project) continue;
+
+      const key = project._id.toString();
+      if (!byProject.has(key)) {
+        byProject.set(key, {
+          project_id: key,
+          project_code: project.project_code,
+          project_name: project.project_name,
+          organization_id: project.organization_id,
+          organization_name: orgNames.get(project.organization_id) || "",
+          interns: 0,
+          overdue_logs: 0,
+          students_with_overdue_logs: [],
+          missing_final_reports: [],
+          missing_mid_term_evaluations: [],
+          missing_final_evaluations: [],
+        });
+      }
+
+      const entry = byProject.get(key);
+      const summary = progress.summarize(recordsByApplication.get(application._id.toString()), project, now);
+      entry.interns += 1;
+      if (summary.overdueLogs.length > 0) {
+        entry.overdue_logs += summary.overdueLogs.length;
+        entry.students_with_overdue_logs.push({ studentId: application.studentId, weeks: summary.overdueLogs });
+      }
+      if (summary.finalReport.overdue) entry.missing_final_reports.push(application.studentId);
+      if (summary.evaluations.mid_term.overdue) entry.missing_mid_term_evaluations.push(application.studentId);
+      if (summary.evaluations.final.overdue) entry.missing_final_evaluations.push(application.studentId);
+    }
+
+    const hasOverdue = (p) =>
+      p.overdue_logs > 0 ||
+      p.missing_final_reports.length > 0 ||
+      p.missing_mid_term_evaluations.length > 0 ||
+      p.missing_final_evaluations.length > 0;
+    const rows = [...byProject.values()].filter((p) => req.query.all === "true" || hasOverdue(p));
+
+    res.json({
+      generated_at: now,
+      totals: {
+        projects: rows.filter(hasOverdue).length,
+        overdue_logs: rows.reduce((sum, p) => sum + p.overdue_logs, 0),
+        missing_final_reports: rows.reduce((sum, p) => sum + p.missing_final_reports.length, 0),
+        missing_mid_term_evaluations: rows.reduce((sum, p) => sum + p.missing_mid_term_evaluations.length, 0),
+        missing_final_evaluations: rows.reduce((sum, p) => sum + p.missing_final_evaluations.length, 0),
+      },
+      projects: rows,
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/admin/progress/overdue error:", err);
+    res.status(500).json({
+      error: "Failed to fetch overdue progress",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/projects/deleted
+ * Lists soft-deleted projects of every organization, oldest deletion first
+ * Query: purgeable=true to only return projects past their retention period
+ */
+router.get("/projects/deleted", adminOnly, async (req, res) => {
+  try {
+    const filter = { deletedAt: { $ne: null } };
+    if (req.query.purgeable === "true") filter.purgeAfter = { $lte: new Date() };
+
+    const projects = await Project.find(filter).sort({ deletedAt: 1 }).lean();
+    res.json(projects.map((project) => archive.formatDeleted(project)));
+  } catch (err) {
+    console.error("🔥 GET /api/admin/projects/deleted error:", err);
+    res.status(500).json({
+      error: "Failed to fetch deleted projects",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/projects/:id
+ * Permanently removes a deleted project once its retention period has ended,
+ * together with its applications, revisions, interview slots and files
+ */
+router.delete("/projects/:id", adminOnly, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!project) {
+      return res.status(404).json({ error: "Deleted project not found" });
+    }
+
+    const { error, status, applications } = await archive.purge(project);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      message: "✅ Project purged",
+      projectId: req.params.id,
+      applications_deleted: applications,
+    });
+  } catch (err) {
+    console.error("🔥 DELETE /api/admin/projects/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to purge project",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require("express");
+const {
+  issueTokens,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../services/tokenService");
+const twoFactor = require("../services/twoFactor");
+const { describePolicy } = require("../services/passwordPolicy");
+const { limit } = require("../services/rateLimit");
+const { rateLimit, accountLockout } = require("../middleware/rateLimit");
+const Admin = require("../models/Admin");
+const Organization = require("../models/Organization");
+
+const router = express.Router();
+
+// Account types that can have a TOTP second factor
+const twoFactorModels = { admin: Admin, org: Organization };
+
+// Claims that belong to the JWT itself rather than to the account
+const RESERVED_CLAIMS = ["sub", "id", "role", "typ", "iat", "exp"];
+
+// Keys brute-force counters by the account behind a challenge token
+const challengeAccount = (req) => {
+  try {
+    const { role, sub } = verifyChallengeToken(req.body.challengeToken);
+    return `${role}:${sub}`;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access/refresh token pair
+ * The old refresh token is revoked (rotation)
+ * Body: { refreshToken }
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    console.error("🔥 POST /api/auth/refresh error:", err);
+    res.status(500).json({
+      error: "Failed to refresh token",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the refresh token and every token rotated from the same login
+ * Body: { refreshToken }
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    // Respond the same way for unknown tokens so logout is idempotent
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("🔥 POST /api/auth/logout error:", err);
+    res.status(500).json({
+      error: "Failed to log out",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/password-policy
+ * Returns the password requirements so clients can show them before submit
+ */
+router.get("/password-policy", (req, res) => {
+  res.json(describePolicy());
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second step of an admin/org login when two-factor authentication is enabled
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Response: same token pair as the login endpoints
+ */
+router.post(
+  "/2fa/verify",
+  rateLimit(limit("two_factor", 10, 15), { scope: "2fa", identify: challengeAccount }),
+  accountLockout("2fa", challengeAccount),
+  async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "challengeToken and code (or recoveryCode) are required" });
+      }
+
+      let challenge;
+      try {
+        challenge = verifyChallengeToken(challengeToken);
+      } catch (err) {
+        return res.status(401).json({ error: "Login session expired. Please sign in again." });
+      }
+
+      const Model = twoFactorModels[challenge.role];
+      const account = Model && (await Model.findById(challenge.sub));
+      if (!account) {
+        return res.status(401).json({ error: "Login session expired. Please sign in again." });
+      }
+
+      const valid = await twoFactor.verifySecondFactor(account, { code, recoveryCode });
+      if (!valid) return res.status(401).json({ error: "Invalid code" });
+
+      const claims = Object.fromEntries(
+        Object.entries(challenge).filter(([key]) => !RESERVED_CLAIMS.includes(key))
+      );
+      const tokens = await issueTokens({ subject: account._id, role: challenge.role, claims });
+
+      res.json({
+        message: "✅ Login successful",
+        ...tokens,
+        recoveryCodesRemaining: recoveryCode ? account.twoFactor.recoveryCodeHashes.length : undefined,
+      });
+    } catch (err) {
+      console.error("🔥 POST /api/auth/2fa/verify error:", err);
+      res.status(500).json({
+        error: "Failed to verify code",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,310 +1,2136 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const fs = require("fs");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const Project = require("../models/Project");
 const Organization = require("../models/Organization");
 const Application = require("../models/Application");
+const Student = require("../models/Student");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const createTwoFactorRouter = require("./twoFactor");
+const { evaluatePassword, setPassword } = require("../services/passwordPolicy");
+const { sendVerificationEmail } = require("../services/emailVerification");
+const { STATUSES, transitionError, applyTransition } = require("../services/applicationStatus");
+const {
+  normalizeCriteria,
+  criteriaFromLegacy,
+  evaluateEligibility,
+  parseCgpa,
+  parseSeats,
+} = require("../services/eligibility");
+const { canonicalSkillText } = require("../services/skills");
+const { matchScore } = require("../services/matchScore");
+const InterviewSlot = require("../models/InterviewSlot");
+const interviews = require("../services/interviews");
+const DocumentTemplate = require("../models/DocumentTemplate");
+const IssuedDocument = require("../models/IssuedDocument");
+const documents = require("../services/documents");
+const EvaluationRubric = require("../models/EvaluationRubric");
+const InternshipProgress = require("../models/InternshipProgress");
+const progress = require("../services/progress");
+const lifecycle = require("../services/projectLifecycle");
+const pagination = require("../services/pagination");
+const attachments = require("../services/attachments");
+const spreadsheet = require("../services/projectSpreadsheet");
+const ProjectRevision = require("../models/ProjectRevision");
+const revisions = require("../services/projectRevisions");
+const ProjectTemplate = require("../models/ProjectTemplate");
+const templates = require("../services/projectTemplates");
+const archive = require("../services/projectArchive");
+const { restrictedUpload, handleUploadErrors, discardUploads } = require("../middleware/upload");
 
 const router = express.Router();
 
+// Every route in this module acts on the authenticated organization's own data
+const orgOnly = [authenticateToken, requireRole("org")];
+
+/**
+ * Sets seats and the structured eligibility criteria from a create/update body
+ * An explicit `eligibility` object wins; otherwise each legacy text field that
+ * was sent (cgpaRequirement, discipline, skills) updates its own criterion
+ * Returns an error message, or null
+ */
+const applyStructuredFields = (project, body, isNew) => {
+  if (body.seats !== undefined && body.seats !== null && body.seats !== "") {
+    const seats = Number(body.seats);
+    if (!Number.isInteger(seats) || seats < 0) {
+      return "seats must be a whole number";
+    }
+    project.seats = seats;
+    project.internsRequired = String(seats);
+  } else if (body.internsRequired !== undefined) {
+    project.seats = parseSeats(body.internsRequired);
+  }
+
+  if (body.eligibility !== undefined) {
+    const { criteria, error } = normalizeCriteria(body.eligibility);
+    if (error) return error;
+    project.eligibility = criteria;
+    return null;
+  }
+
+  const { criteria: legacy } = criteriaFromLegacy(body);
+  if (isNew || body.cgpaRequirement !== undefined) project.eligibility.minCgpa = legacy.minCgpa;
+  if (isNew || body.discipline !== undefined) project.eligibility.disciplines = legacy.disciplines;
+  if (isNew || body.skills !== undefined) project.eligibility.optionalSkills = legacy.optionalSkills;
+  return null;
+};
+
+// Sort orders for the project list
+const PROJECT_SORTS = {
+  recent: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  name: { project_name: 1, _id: 1 },
+  start_date: { start_date: 1, _id: 1 },
+  end_date: { end_date: 1, _id: 1 },
+  applications: { applications: -1, _id: -1 },
+};
+
+// Zero-filled { status: count } from [{ _id: status, count }]
+const countsByStatus = (statuses, groups = []) => {
+  const counts = Object.fromEntries(statuses.map((status) => [status, 0]));
+  for (const { _id, count } of groups) {
+    if (_id in counts) counts[_id] = count;
+  }
+  return counts;
+};
+
+/**
+ * GET /api/organization/projects
+ * Lists the organization's projects with application counts per status
+ * Query:
+ *   status      - comma-separated project statuses
+ *   q           - matches project name or code
+ *   start_after - projects starting on or after this date
+ *   end_before  - projects ending on or before this date
+ *   sort        - recent (default) | oldest | name | start_date | end_date | applications
+ *   page, limit - page number (from 1) and size (default 20, max 50)
+ * Response: { projects, page, limit, total, total_pages, status_counts, application_counts }
+ * status_counts ignores the status filter so every tab can show its count
+ */
+router.get("/projects", orgOnly, async (req, res) => {
+  try {
+    const organizationId = req.user.id;
+    const sortName = req.query.sort || "recent";
+    const sort = PROJECT_SORTS[sortName];
+    if (!sort) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(PROJECT_SORTS).join(", ")}` });
+    }
+    const limit = pagination.pageLimit(req.query.limit);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const match = { organization_id: organizationId };
+    if (req.query.q && String(req.query.q).trim()) {
+      const text = new RegExp(String(req.query.q).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      match.$or = [{ project_name: text }, { project_code: text }];
+    }
+    for (const [param, field, op] of [
+      ["start_after", "start_date", "$gte"],
+      ["end_before", "end_date", "$lte"],
+    ]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${param} format` });
+      }
+      match[field] = { ...match[field], [op]: date };
+    }
+
+    const statuses = parseList(req.query.status);
+    const unknown = statuses.filter((status) => !lifecycle.STATUSES.includes(status));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown status "${unknown[0]}". Use one of: ${lifecycle.STATUSES.join(", ")}` });
+    }
+    const statusMatch = statuses.length > 0 ? { status: { $in: statuses } } : {};
+
+    // Application counts per status for each project, joined in the same pipeline
+    const withApplicationCounts = [
+      {
+        $lookup: {
+          from: Application.collection.name,
+          let: { projectId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$projectId", "$$projectId"] } } },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+          ],
+          as: "application_groups",
+        },
+      },
+      { $addFields: { applications: { $sum: "$application_groups.count" } } },
+    ];
+    const pageStages = [{ $skip: (page - 1) * limit }, { $limit: limit }];
+    // Sorting by application count needs the counts first; otherwise only the page is joined
+    const items =
+      sortName === "applications"
+        ? [...withApplicationCounts, { $sort: sort }, ...pageStages]
+        : [{ $sort: sort }, ...pageStages, ...withApplicationCounts];
+
+    const [result] = await Project.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          items: [{ $match: statusMatch }, ...items],
+          total: [{ $match: statusMatch }, { $count: "count" }],
+          status_counts: [{ $group: { _id: "$status", count: { $sum: 1 } } }],
+          application_counts: [
+            { $match: statusMatch },
+            ...withApplicationCounts,
+            { $unwind: "$application_groups" },
+            { $group: { _id: "$application_groups._id", count: { $sum: "$application_groups.count" } } },
+          ],
+        },
+      },
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    res.json({
+      projects: result.items.map((project) => ({
+        _id: project._id.toString(),
+        project_code: project.project_code,
+        project_name: project.project_name,
+        status: project.status || "draft",
+        scheduled_time: project.scheduled_time || null,
+        start_date: project.start_date || null,
+        end_date: project.end_date || null,
+        applications: project.applications,
+        application_counts: countsByStatus(STATUSES, project.application_groups),
+      })),
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+      status_counts: countsByStatus(lifecycle.STATUSES, result.status_counts),
+      application_counts: countsByStatus(STATUSES, result.application_counts),
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects error:", err);
+    res.status(500).json({
+      error: "Failed to fetch projects",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Validates a create body and builds the unsaved project
+ * Shared by POST /projects and the spreadsheet import
+ * @returns {{ project, event } | { error }} - event is the publish transition to emit after saving, if any
+ */
+const buildNewProject = async (body, organizationId) => {
+  const { project_code, project_name, description, status, scheduled_time, start_date, end_date } = body;
+
+  // Validate required fields
+  if (!project_code || !project_name) {
+    return { error: "project_code and project_name are required" };
+  }
+
+  // Parse dates if provided
+  let startDate = null;
+  let endDate = null;
+  if (start_date) {
+    startDate = new Date(start_date);
+    if (isNaN(startDate.getTime())) {
+      return { error: "Invalid start_date format" };
+    }
+  }
+  if (end_date) {
+    endDate = new Date(end_date);
+    if (isNaN(endDate.getTime())) {
+      return { error: "Invalid end_date format" };
+    }
+  }
+
+  // Validate date range
+  if (startDate && endDate && startDate > endDate) {
+    return { error: "start_date must be before end_date" };
+  }
+
+  const project = new Project({
+    organization_id: organizationId,
+    project_code,
+    project_name,
+    description: description || "",
+    status: "draft",
+    scheduled_time: scheduled_time || null,
+    start_date: startDate,
+    end_date: endDate,
+    // Include other optional fields if provided
+    internsRequired: body.internsRequired || null,
+    cgpaRequirement: body.cgpaRequirement || null,
+    discipline: body.discipline || null,
+    skills: body.skills ? canonicalSkillText(body.skills) : null,
+    coordinatorName: body.coordinatorName || null,
+    coordinatorEmail: body.coordinatorEmail || null,
+    coordinatorAltEmail: body.coordinatorAltEmail || null,
+    coordinatorPhone: body.coordinatorPhone || null,
+    coordinatorDesignation: body.coordinatorDesignation || null,
+  });
+
+  const fieldError = applyStructuredFields(project, body, true);
+  if (fieldError) {
+    return { error: fieldError };
+  }
+
+  // New projects start as drafts; asking for another status publishes them right away
+  let event = null;
+  if (status && status !== "draft") {
+    const statusError = await lifecycle.transitionError(project, status, "org");
+    if (statusError) {
+      return { error: statusError };
+    }
+    event = lifecycle.applyTransition(project, status, { role: "org", id: organizationId });
+  }
+
+  return { project, event };
+};
+
+/**
+ * POST /api/organization/projects
+ * Creates a new project for the authenticated organization
+ * Uses organization_id from JWT token (req.user.id)
+ * Accepts JSON, or multipart with files in guidelines, brochure, nda_template
+ * and attachments (eligibility is then sent as a JSON string)
+ */
+router.post("/projects", orgOnly, attachments.projectUpload, async (req, res) => {
+  try {
+    const organizationId = req.user.id;
+    const bodyError = attachments.parseMultipartBody(req);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    const { project, event, error } = await buildNewProject(req.body, organizationId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (attachments.tooManyAttachments(project, req.files)) {
+      return res.status(400).json({ error: `A project can have at most ${attachments.MAX_OTHER} other attachments` });
+    }
+    attachments.addAttachments(project, req.files, { role: "org", id: organizationId });
+
+    await project.save();
+    attachments.markSaved(res);
+    await revisions.recordRevision({ project, actor: { role: "org", id: organizationId }, action: "create" });
+    if (event) lifecycle.emitTransition(event);
+
+    res.status(201).json({
+      _id: project._id.toString(),
+      project_code: project.project_code,
+      project_name: project.project_name,
+      status: project.status,
+      scheduled_time: project.scheduled_time,
+      seats: project.seats,
+      eligibility: project.eligibility,
+      attachments: project.attachments.map(attachments.formatAttachment),
+      applications: 0, // New project has no applications yet
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects error:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Project code already exists" });
+    }
+    res.status(500).json({
+      error: "Failed to create project",
+      details: err.message,
+    });
+  }
+});
+
+const importUpload = handleUploadErrors(
+  restrictedUpload({ mimeTypes: spreadsheet.MIME_TYPES, maxSizeMb: 5 }).single("file")
+);
+
+// Row summary returned by the import preview and result
+const formatImported = (project) => ({
+  _id: project._id.toString(),
+  project_code: project.project_code,
+  project_name: project.project_name,
+  status: project.status,
+  start_date: project.start_date,
+  end_date: project.end_date,
+  seats: project.seats,
+  eligibility: project.eligibility,
+});
+
+/**
+ * POST /api/organization/projects/import
+ * Creates projects from a CSV or XLSX file (multipart field "file", max 5 MB)
+ * Every row is validated like POST /projects; nothing is saved unless every row is valid
+ * Query: dry_run=true to only validate and preview
+ * Columns: see services/projectSpreadsheet.js (the export uses the same headers)
+ */
+router.post("/projects/import", orgOnly, importUpload, async (req, res) => {
+  try {
+    const organizationId = req.user.id;
+    if (!req.file) {
+      return res.status(400).json({ error: "Upload a CSV or XLSX file in the file field" });
+    }
+    const format = spreadsheet.formatOf(req.file);
+    if (!format) {
+      discardUploads(req);
+      return res.status(400).json({ error: "Only .csv and .xlsx files can be imported" });
+    }
+
+    const dryRun = req.query.dry_run === "true" || req.body.dry_run === "true";
+    const parsed = await spreadsheet.readProjects(req.file.path, format).finally(() => discardUploads(req));
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const existing = await Project.find({ organization_id: organizationId }).select("project_code").lean();
+    const takenCodes = new Set(existing.map((p) => String(p.project_code).toLowerCase()));
+    const rowsByCode = new Map();
+    const valid = [];
+    const errors = [];
+
+    for (const { row, body } of parsed.rows) {
+      const code = String(body.project_code || "").toLowerCase();
+      let result = {};
+      if (code && takenCodes.has(code)) {
+        result.error = "Project code already exists";
+      } else if (code && rowsByCode.has(code)) {
+        result.error = `Duplicate project_code (also on row ${rowsByCode.get(code)})`;
+      } else {
+        result = await buildNewProject(body, organizationId);
+        if (!result.error) {
+          const validation = result.project.validateSync();
+          if (validation) result.error = validation.message;
+        }
+      }
+      if (code && !rowsByCode.has(code)) rowsByCode.set(code, row);
+
+      if (result.error) {
+        errors.push({ row, project_code: body.project_code || null, error: result.error });
+      } else {
+        valid.push({ row, ...result });
+      }
+    }
+
+    const summary = {
+      format,
+      total_rows: parsed.rows.length,
+      valid_rows: valid.length,
+      invalid_rows: errors.length,
+      ignored_columns: parsed.ignoredHeaders,
+      errors,
+    };
+
+    if (dryRun) {
+      return res.json({
+        dry_run: true,
+        ...summary,
+        preview: valid.map(({ row, project }) => ({ row, ...formatImported(project) })),
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "The file has errors; no projects were imported", ...summary });
+    }
+
+    // All or nothing: if the insert fails part way, the rows already written are removed
+    const projects = valid.map(({ project }) => project);
+    try {
+      await Project.insertMany(projects, { ordered: true });
+    } catch (err) {
+      await Project.deleteMany({ _id: { $in: projects.map((p) => p._id) } });
+      throw err;
+    }
+    for (const project of projects) {
+      await revisions.recordRevision({ project, actor: { role: "org", id: organizationId }, action: "create" });
+    }
+    valid.forEach(({ event }) => event && lifecycle.emitTransition(event));
+
+    res.status(201).json({
+      message: `✅ Imported ${projects.length} project(s)`,
+      ...summary,
+      projects: projects.map(formatImported),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/import error:", err);
+    res.status(500).json({
+      error: "Failed to import projects",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/export
+ * Downloads the organization's projects with application counts per status
+ * Query: format=csv (default) | xlsx, status (comma-separated project statuses)
+ */
+router.get("/projects/export", orgOnly, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ error: "format must be csv or xlsx" });
+    }
+
+    const filter = { organization_id: req.user.id };
+    const statuses = parseList(req.query.status);
+    if (statuses.length > 0) filter.status = { $in: statuses };
+
+    const projects = await Project.find(filter).sort({ createdAt: -1 }).lean();
+    const groups = await Application.aggregate([
+      { $match: { projectId: { $in: projects.map((p) => p._id) } } },
+      { $group: { _id: { projectId: "$projectId", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+    const counts = new Map();
+    for (const { _id, count } of groups) {
+      const key = _id.projectId.toString();
+      if (!counts.has(key)) counts.set(key, {});
+      counts.get(key)[_id.status] = count;
+    }
+
+    const file = await spreadsheet.writeProjects(projects, counts, STATUSES, format);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.attachment(`projects-${stamp}.${format}`);
+    res.type(format === "xlsx" ? spreadsheet.XLSX_TYPE : "text/csv");
+    res.send(file);
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/export error:", err);
+    res.status(500).json({
+      error: "Failed to export projects",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/organization/projects/:id
+ * Updates an existing project
+ * Only updates projects belonging to the authenticated organization
+ * A changed status must be a valid lifecycle transition
+ * Accepts the same multipart files as POST; uploaded guidelines, brochure or
+ * NDA template replace the current file of that kind
+ */
+router.put("/projects/:id", orgOnly, attachments.projectUpload, async (req, res) => {
+  try {
+    const organizationId = req.user.id;
+    const bodyError = attachments.parseMultipartBody(req);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    const projectId = req.params.id;
+    const { project_code, project_name, description, status, scheduled_time, start_date, end_date } = req.body;
+
+    // Find project and verify ownership
+    const project = await Project.findOne({
+      _id: projectId,
+      organization_id: organizationId,
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const before = revisions.snapshot(project);
+
+    // Update fields if provided
+    if (project_code !== undefined) project.project_code = project_code;
+    if (project_name !== undefined) project.project_name = project_name;
+    if (description !== undefined) project.description = description;
+    if (scheduled_time !== undefined) project.scheduled_time = scheduled_time;
+
+    // Update dates if provided
+    if (start_date) {
+      const startDate = new Date(start_date);
+      if (isNaN(startDate.getTime())) {
+        return res.status(400).json({ error: "Invalid start_date format" });
+      }
+      project.start_date = startDate;
+    }
+    if (end_date) {
+      const endDate = new Date(end_date);
+      if (isNaN(endDate.getTime())) {
+        return res.status(400).json({ error: "Invalid end_date format" });
+      }
+      project.end_date = endDate;
+    }
+
+    // Validate date range
+    if (project.start_date && project.end_date && project.start_date > project.end_date) {
+      return res.status(400).json({
+        error: "start_date must be before end_date",
+      });
+    }
+
+    // Update other optional fields
+    if (req.body.internsRequired !== undefined) project.internsRequired = req.body.internsRequired;
+    if (req.body.cgpaRequirement !== undefined) project.cgpaRequirement = req.body.cgpaRequirement;
+    if (req.body.discipline !== undefined) project.discipline = req.body.discipline;
+    if (req.body.skills !== undefined) project.skills = canonicalSkillText(req.body.skills);
+    if (req.body.coordinatorName !== undefined) project.coordinatorName = req.body.coordinatorName;
+    if (req.body.coordinatorEmail !== undefined) project.coordinatorEmail = req.body.coordinatorEmail;
+    if (req.body.coordinatorAltEmail !== undefined) project.coordinatorAltEmail = req.body.coordinatorAltEmail;
+    if (req.body.coordinatorPhone !== undefined) project.coordinatorPhone = req.body.coordinatorPhone;
+    if (req.body.coordinatorDesignation !== undefined) project.coordinatorDesignation = req.body.coordinatorDesignation;
+
+    const fieldError = applyStructuredFields(project, req.body, false);
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+    if (attachments.tooManyAttachments(project, req.files)) {
+      return res.status(400).json({ error: `A project can have at most ${attachments.MAX_OTHER} other attachments` });
+    }
+    const { replaced } = attachments.addAttachments(project, req.files, { role: "org", id: organizationId });
+
+    // Status changes go through the lifecycle table, after the dates above are applied
+    let event = null;
+    if (status !== undefined && status !== project.status) {
+      const statusError = await lifecycle.transitionError(project, status, "org");
+      if (statusError) {
+        return res.status(400).json({ error: statusError });
+      }
+      event = lifecycle.applyTransition(project, status, { role: "org", id: organizationId }, {
+        note: req.body.note,
+      });
+    }
+    const changeError = await revisions.editError(project);
+    if (changeError) {
+      return res.status(400).json({ error: changeError });
+    }
+
+    await project.save();
+    attachments.markSaved(res);
+    await revisions.recordRevision({ project, before, actor: { role: "org", id: organizationId } });
+    if (event) lifecycle.emitTransition(event);
+    replaced.forEach((attachment) => attachments.removeFile(attachment.filePath));
+
+    // Get applications count
+    const applicationsCount = await Application.countDocuments({
+      projectId: project._id,
+    });
+
+    res.json({
+      _id: project._id.toString(),
+      project_code: project.project_code,
+      project_name: project.project_name,
+      status: project.status,
+      scheduled_time: project.scheduled_time,
+      seats: project.seats,
+      eligibility: project.eligibility,
+      attachments: project.attachments.map(attachments.formatAttachment),
+      applications: applicationsCount,
+    });
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/projects/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to update project",
+      details: err.message,
+    });
+  }
+});
+
+const ACTION_DONE = { publish: "published", unpublish: "unpublished", close: "closed", reopen: "reopened" };
+
+/**
+ * POST /api/organization/projects/:id/publish | unpublish | close | reopen
+ * Moves a project through its lifecycle (see services/projectLifecycle.js)
+ * Body: { note?, scheduled_time? (publish), end_date? (reopen) }
+ */
+router.post("/projects/:id/:action(publish|unpublish|close|reopen)", orgOnly, async (req, res) => {
+  try {
+    const { action } = req.params;
+    const project = await Project.findOne({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const before = revisions.snapshot(project);
+
+    if (action === "publish" && req.body.scheduled_time !== undefined) {
+      project.scheduled_time = req.body.scheduled_time || null;
+    }
+    if (action === "reopen" && req.body.end_date) {
+      const endDate = new Date(req.body.end_date);
+      if (isNaN(endDate.getTime())) {
+        return res.status(400).json({ error: "Invalid end_date format" });
+      }
+      if (project.start_date && project.start_date > endDate) {
+        return res.status(400).json({ error: "start_date must be before end_date" });
+      }
+      project.end_date = endDate;
+    }
+
+    const to = lifecycle.targetFor(action, project);
+    if (!to) {
+      return res.status(400).json({ error: `A ${project.status} project cannot be ${ACTION_DONE[action]}` });
+    }
+    const statusError = await lifecycle.transitionError(project, to, "org");
+    if (statusError) {
+      return res.status(400).json({ error: statusError });
+    }
+
+    const event = lifecycle.applyTransition(project, to, { role: "org", id: req.user.id }, {
+      action,
+      note: req.body.note,
+    });
+    await project.save();
+    await revisions.recordRevision({ project, before, actor: { role: "org", id: req.user.id } });
+    lifecycle.emitTransition(event);
+
+    res.json({
+      message: `✅ Project ${to === "scheduled" ? "scheduled" : ACTION_DONE[action]}`,
+      _id: project._id.toString(),
+      project_code: project.project_code,
+      project_name: project.project_name,
+      status: project.status,
+      scheduled_time: project.scheduled_time,
+      start_date: project.start_date,
+      end_date: project.end_date,
+      status_history: project.statusHistory,
+    });
+  } catch (err) {
+    console.error(`🔥 POST /api/organization/projects/:id/${req.params.action} error:`, err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: `Failed to ${req.params.action} project`,
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/organization/projects/:id
+ * Deletes a project belonging to the authenticated organization
+ * The project is only marked as deleted and can be restored until purge_after;
+ * its applications are kept and applicants are notified
+ */
+router.delete("/projects/:id", orgOnly, async (req, res) => {
+  try {
+    const organizationId = req.user.id;
+    const projectId = req.params.id;
+
+    // Find project and verify ownership
+    const project = await Project.findOne({
+      _id: projectId,
+      organization_id: organizationId,
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const result = await archive.softDelete(project, { role: "org", id: organizationId });
+
+    res.json({
+      message: "Project deleted successfully",
+      projectId: projectId,
+      applications_kept: result.applications,
+      applicants_notified: result.notified,
+      purge_after: result.purgeAfter,
+    });
+  } catch (err) {
+    console.error("🔥 DELETE /api/organization/projects/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to delete project",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/deleted
+ * Lists the organization's deleted projects that have not been purged yet
+ */
+router.get("/projects/deleted", orgOnly, async (req, res) => {
+  try {
+    const projects = await Project.find({ organization_id: req.user.id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    res.json(projects.map((project) => archive.formatDeleted(project)));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/deleted error:", err);
+    res.status(500).json({
+      error: "Failed to fetch deleted projects",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/projects/:id/restore
+ * Restores a deleted project within the retention period
+ */
+router.post("/projects/:id/restore", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      organization_id: req.user.id,
+      deletedAt: { $ne: null },
+    });
+    if (!project) {
+      return res.status(404).json({ error: "Deleted project not found" });
+    }
+
+    const { error, status } = await archive.restore(project);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      message: "✅ Project restored",
+      _id: project._id.toString(),
+      project_code: project.project_code,
+      project_name: project.project_name,
+      status: project.status,
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/restore error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to restore project",
+      details: err.message,
+    });
+  }
+});
+
+// Loads one of the organization's projects as a document
+const ownProject = (req) => Project.findOne({ _id: req.params.id, organization_id: req.user.id });
+
+/**
+ * GET /api/organization/projects/:id/attachments
+ * Lists a project's attachments
+ */
+router.get("/projects/:id/attachments", orgOnly, async (req, res) => {
+  try {
+    const project = await ownProject(req).select("attachments").lean();
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    res.json((project.attachments || []).map(attachments.formatAttachment));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/attachments error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch attachments",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/projects/:id/attachments
+ * Uploads attachments; multipart fields guidelines, brochure, nda_template, attachments
+ */
+router.post("/projects/:id/attachments", orgOnly, attachments.projectUpload, async (req, res) => {
+  try {
+    const uploaded = Object.values(req.files || {}).flat();
+    if (uploaded.length === 0) {
+      return res.status(400).json({
+        error: `Upload at least one file in: ${Object.keys(attachments.FIELDS).join(", ")}`,
+      });
+    }
+
+    const project = await ownProject(req);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (attachments.tooManyAttachments(project, req.files)) {
+      return res.status(400).json({ error: `A project can have at most ${attachments.MAX_OTHER} other attachments` });
+    }
+
+    const { added, replaced } = attachments.addAttachments(project, req.files, { role: "org", id: req.user.id });
+    await project.save();
+    attachments.markSaved(res);
+    replaced.forEach((attachment) => attachments.removeFile(attachment.filePath));
+
+    res.status(201).json({
+      message: "✅ Attachments uploaded",
+      added: added.map(attachments.formatAttachment),
+      attachments: project.attachments.map(attachments.formatAttachment),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/attachments error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to upload attachments",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/organization/projects/:id/attachments/:attachmentId
+ * Removes an attachment and its file
+ */
+router.delete("/projects/:id/attachments/:attachmentId", orgOnly, async (req, res) => {
+  try {
+    const project = await ownProject(req);
+    const attachment = project && project.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    project.attachments.pull(attachment._id);
+    await project.save();
+    attachments.removeFile(attachment.filePath);
+
+    res.json({
+      message: "✅ Attachment removed",
+      attachments: project.attachments.map(attachments.formatAttachment),
+    });
+  } catch (err) {
+    console.error("🔥 DELETE /api/organization/projects/:id/attachments/:attachmentId error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to remove attachment",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/:id/attachments/:attachmentId/download
+ * Downloads one of the project's attachments
+ */
+router.get("/projects/:id/attachments/:attachmentId/download", orgOnly, async (req, res) => {
+  try {
+    const project = await ownProject(req).select("attachments").lean();
+    const attachment = (project?.attachments || []).find((a) => a._id.toString() === req.params.attachmentId);
+    if (!attachment || !fs.existsSync(attachment.filePath)) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    res.download(attachment.filePath, attachment.originalName || "attachment");
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/attachments/:attachmentId/download error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to download attachment",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/:id/revisions
+ * Lists a project's revisions, newest first, with field-level changes
+ */
+router.get("/projects/:id/revisions", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.exists({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const list = await ProjectRevision.find({ projectId: req.params.id }).sort({ revision: -1 }).lean();
+    res.json(list.map((revision) => revisions.formatRevision(revision)));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/revisions error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch revisions",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/:id/revisions/:revision
+ * Returns one revision with the full snapshot of the tracked fields
+ */
+router.get("/projects/:id/revisions/:revision", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.exists({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const revision = await ProjectRevision.findOne({
+      projectId: req.params.id,
+      revision: Number(req.params.revision),
+    }).lean();
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json(revisions.formatRevision(revision, { withSnapshot: true }));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/revisions/:revision error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID or revision" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch revision",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/projects/:id/revisions/:revision/restore
+ * Copies an earlier revision's fields back onto the project; status and attachments are left as they are
+ * The restored fields are checked like a PUT: the dates must suit the current status and the code must be free
+ */
+router.post("/projects/:id/revisions/:revision/restore", orgOnly, async (req, res) => {
+  try {
+    const project = await ownProject(req);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const revision = await ProjectRevision.findOne({
+      projectId: project._id,
+      revision: Number(req.params.revision),
+    }).lean();
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const { before, error } = await revisions.restoreRevision(project, revision);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await project.save();
+    const restored = await revisions.recordRevision({
+      project,
+      before,
+      actor: { role: "org", id: req.user.id },
+      action: "restore",
+      restoredFrom: revision.revision,
+    });
+
+    res.json({
+      message: `✅ Restored revision ${revision.revision}`,
+      revision: revisions.formatRevision(restored),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/revisions/:revision/restore error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID or revision" });
+    }
+    res.status(500).json({
+      error: "Failed to restore revision",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Saves a project built from a template or clone and answers 201
+ * Copied files are removed again if the save fails
+ */
+const saveCopiedProject = async (project, req, res) => {
+  try {
+    await project.save();
+  } catch (err) {
+    project.attachments.forEach((attachment) => attachments.removeFile(attachment.filePath));
+    throw err;
+  }
+  await revisions.recordRevision({ project, actor: { role: "org", id: req.user.id }, action: "create" });
+
+  res.status(201).json({
+    _id: project._id.toString(),
+    project_code: project.project_code,
+    project_name: project.project_name,
+    status: project.status,
+    start_date: project.start_date,
+    end_date: project.end_date,
+    scheduled_time: project.scheduled_time,
+    seats: project.seats,
+    eligibility: project.eligibility,
+    attachments: project.attachments.map(attachments.formatAttachment),
+    applications: 0,
+  });
+};
+
+/**
+ * POST /api/organization/projects/:id/clone
+ * Copies a project into a new draft with its attachments
+ * Body: { start_date? | shift_days?, project_code?, project_name? }
+ * Dates move by the same amount; without start_date or shift_days they are left empty
+ */
+router.post("/projects/:id/clone", orgOnly, async (req, res) => {
+  try {
+    const source = await ownProject(req).lean();
+    if (!source) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const { project, error } = await templates.cloneProject(source, req.body, { role: "org", id: req.user.id });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveCopiedProject(project, req, res);
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/clone error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to clone project",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/templates
+ * Lists the organization's project templates
+ */
+router.get("/templates", orgOnly, async (req, res) => {
+  try {
+    const list = await ProjectTemplate.find({ organization_id: req.user.id }).sort({ name: 1 }).lean();
+    res.json(list.map(templates.formatTemplate));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/templates error:", err);
+    res.status(500).json({
+      error: "Failed to fetch templates",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/templates
+ * Saves one of the organization's projects as a template
+ * Body: { project_id, name? (default: the project name) }
+ */
+router.post("/templates", orgOnly, async (req, res) => {
+  try {
+    const { project_id } = req.body;
+    if (!project_id) {
+      return res.status(400).json({ error: "project_id is required" });
+    }
+
+    const project = await Project.findOne({ _id: project_id, organization_id: req.user.id }).lean();
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const name = String(req.body.name || project.project_name).trim();
+    if (await ProjectTemplate.exists({ organization_id: req.user.id, name })) {
+      return res.status(400).json({ error: `A template named "${name}" already exists` });
+    }
+
+    const copies = await attachments.copyAttachments(project.attachments, { role: "org", id: req.user.id });
+    let template;
+    try {
+      template = await ProjectTemplate.create({
+        organization_id: req.user.id,
+        name,
+        sourceProjectId: project._id,
+        snapshot: revisions.snapshot(project),
+        attachments: copies,
+        createdBy: req.user.id,
+      });
+    } catch (err) {
+      copies.forEach((attachment) => attachments.removeFile(attachment.filePath));
+      throw err;
+    }
+
+    res.status(201).json(templates.formatTemplate(template));
+  } catch (err) {
+    console.error("🔥 POST /api/organization/templates error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "A template with this name already exists" });
+    }
+    res.status(500).json({
+      error: "Failed to save template",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/templates/:id
+ * Returns one template with its saved fields
+ */
+router.get("/templates/:id", orgOnly, async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findOne({ _id: req.params.id, organization_id: req.user.id }).lean();
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json(templates.formatTemplate(template));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/templates/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid template ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch template",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/organization/templates/:id
+ * Renames a template
+ * Body: { name }
+ */
+router.put("/templates/:id", orgOnly, async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim();
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const template = await ProjectTemplate.findOneAndUpdate(
+      { _id: req.params.id, organization_id: req.user.id },
+      { name },
+      { new: true }
+    ).lean();
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    res.json(templates.formatTemplate(template));
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/templates/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid template ID format" });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "A template with this name already exists" });
+    }
+    res.status(500).json({
+      error: "Failed to update template",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/organization/templates/:id
+ * Deletes a template and its copied attachments; projects made from it are unaffected
+ */
+router.delete("/templates/:id", orgOnly, async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findOneAndDelete({ _id: req.params.id, organization_id: req.user.id }).lean();
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+    (template.attachments || []).forEach((attachment) => attachments.removeFile(attachment.filePath));
+
+    res.json({ message: "✅ Template deleted" });
+  } catch (err) {
+    console.error("🔥 DELETE /api/organization/templates/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid template ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to delete template",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/templates/:id/projects
+ * Creates a new draft project from a template
+ * Body: { start_date? | shift_days?, project_code?, project_name? } (as for clone)
+ */
+router.post("/templates/:id/projects", orgOnly, async (req, res) => {
+  try {
+    const template = await ProjectTemplate.findOne({ _id: req.params.id, organization_id: req.user.id }).lean();
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const { project, error } = await templates.projectFromTemplate(template, req.body, {
+      role: "org",
+      id: req.user.id,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveCopiedProject(project, req, res);
+  } catch (err) {
+    console.error("🔥 POST /api/organization/templates/:id/projects error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid template ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to create project from template",
+      details: err.message,
+    });
+  }
+});
+
+const parseList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+const cgpaValue = (student) => parseCgpa(student?.academic?.cgpa);
+
+// Sort keys accepted by GET /projects/:id/applicants (prefix with "-" for descending)
+const APPLICANT_SORTS = {
+  cgpa: (a) => (a.student.cgpa === null ? -Infinity : a.student.cgpa),
+  applied_at: (a) => new Date(a.applied_at).getTime(),
+  name: (a) => (a.student.fullName || "").toLowerCase(),
+  status: (a) => STATUSES.indexOf(a.status),
+  org_rank: (a) => (a.org_rank === null ? Infinity : a.org_rank),
+  match_score: (a) => a.match.score,
+};
+
+const formatApplicant = (application, student, project, baseUrl) => {
+  const academic = student?.academic || {};
+  const { eligible, checks } = evaluateEligibility(project.eligibility, student);
+  const { score, breakdown } = matchScore(project, student);
+  return {
+    application_id: application._id.toString(),
+    status: application.status,
+    org_rank: application.orgRank ?? null,
+    applied_at: application.createdAt,
+    status_history: application.statusHistory || [],
+    student: {
+      studentId: application.studentId,
+      fullName: student?.fullName || "",
+      email: student?.email || "",
+      contact: student?.contactNumber || "",
+      programme: academic.programme || "",
+      semester: academic.semester || "",
+      discipline: academic.discipline || "",
+      cgpa: cgpaValue(student),
+      skills: academic.skills || "",
+      resume: academic.resumePath
+        ? `${baseUrl}/api/student/file/resume/${application.studentId}`
+        : null,
+    },
+    eligibility: { eligible, unmet: checks.filter((c) => !c.met).map((c) => c.message) },
+    match: { score, breakdown },
+  };
+};
+
+/**
+ * GET /api/organization/projects/:id/applicants
+ * Lists applicants for one of the organization's projects with their academic profile
+ * Query:
+ *   status      - comma list of statuses (e.g. "pending,shortlisted")
+ *   discipline  - comma list of disciplines (case-insensitive)
+ *   min_cgpa / max_cgpa
+ *   eligible    - true | false, against the project's eligibility criteria
+ *   sort        - cgpa | applied_at | name | status | org_rank | match_score, "-" prefix for descending (default -applied_at)
+ */
+router.get("/projects/:id/applicants", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      organization_id: req.user.id,
+    }).lean();
+
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const statuses = parseList(req.query.status);
+    const invalidStatus = statuses.find((s) => !STATUSES.includes(s));
+    if (invalidStatus) {
+      return res.status(400).json({ error: `Unknown status "${invalidStatus}"` });
+    }
+
+    const sort = req.query.sort || "-applied_at";
+    if (typeof sort !== "string") {
+      return res.status(400).json({ error: "sort must be a single value" });
+    }
+    const sortKey = sort.replace(/^-/, "");
+    if (!APPLICANT_SORTS[sortKey]) {
+      return res.status(400).json({
+        error: `Unknown sort "${sort}". Use one of: ${Object.keys(APPLICANT_SORTS).join(", ")}`,
+      });
+    }
+
+    const minCgpa = req.query.min_cgpa !== undefined ? parseFloat(req.query.min_cgpa) : null;
+    const maxCgpa = req.query.max_cgpa !== undefined ? parseFloat(req.query.max_cgpa) : null;
+    if (Number.isNaN(minCgpa) || Number.isNaN(maxCgpa)) {
+      return res.status(400).json({ error: "min_cgpa and max_cgpa must be numbers" });
+    }
+
+    const eligibleFilter = req.query.eligible;
+    if (eligibleFilter !== undefined && !["true", "false"].includes(eligibleFilter)) {
+      return res.status(400).json({ error: "eligible must be true or false" });
+    }
+
+    const filter = { projectId: project._id };
+    if (statuses.length > 0) filter.status = { $in: statuses };
+
+    const applications = await Application.find(filter).lean();
+    const students = await Student.find({
+      studentId: { $in: applications.map((a) => a.studentId) },
+    })
+      .select("studentId fullName email contactNumber academic")
+      .lean();
+    const studentsById = new Map(students.map((s) => [s.studentId, s]));
+
+    const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
+    const disciplines = parseList(req.query.discipline);
+
+    // CGPA and discipline are free-text on the student profile, so filter in memory
+    let applicants = applications
+      .map((a) => formatApplicant(a, studentsById.get(a.studentId), project, baseUrl))
+      .filter((a) => {
+        if (disciplines.length > 0 && !disciplines.includes(a.student.discipline.toLowerCase())) {
+          return false;
+        }
+        if (minCgpa !== null && (a.student.cgpa === null || a.student.cgpa < minCgpa)) return false;
+        if (maxCgpa !== null && (a.student.cgpa === null || a.student.cgpa > maxCgpa)) return false;
+        if (eligibleFilter !== undefined && String(a.eligibility.eligible) !== eligibleFilter) return false;
+        return true;
+      });
+
+    const direction = sort.startsWith("-") ? -1 : 1;
+    const keyOf = APPLICANT_SORTS[sortKey];
+    applicants = applicants.sort((a, b) => {
+      const ka = keyOf(a);
+      const kb = keyOf(b);
+      if (ka < kb) return -1 * direction;
+      if (ka > kb) return 1 * direction;
+      return 0;
+    });
+
+    res.json({
+      project: {
+        _id: project._id.toString(),
+        project_code: project.project_code,
+        project_name: project.project_name,
+      },
+      total: applicants.length,
+      applicants,
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/applicants error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch applicants",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Moves one application of the organization's project to `status`
+ * Returns an error message, or null on success
+ */
+const transitionForOrg = async (application, status, req, note) => {
+  const error = transitionError(application.status, status, "org", {
+    projectWithdrawn: Boolean(application.projectWithdrawnAt),
+  });
+  if (error) return error;
+
+  applyTransition(application, status, { role: "org", id: req.user.id }, note);
+  await application.save();
+
+  if (status === "rejected") {
+    await interviews.releaseForApplications([application._id], "The application was not taken forward");
+  }
+  return null;
+};
+
+/**
+ * PUT /api/organization/applications/:id/status
+ * Moves an application along the review pipeline
+ * Body: { status, note? }
+ */
+router.put("/applications/:id/status", orgOnly, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!status) {
+      return res.status(400).json({ error: "status is required" });
+    }
+
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    // The application must belong to one of this organization's projects
+    const project = await Project.exists({
+      _id: application.projectId,
+      organization_id: req.user.id,
+    });
+    if (!project) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    const error = await transitionForOrg(application, status, req, note);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      application_id: application._id.toString(),
+      status: application.status,
+      status_history: application.statusHistory,
+    });
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/applications/:id/status error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to update application",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/organization/projects/:id/applicants/bulk-status
+ * Applies one status change to many applications of a project
+ * Body: { applicationIds: [...], status, note? }
+ * Response: { updated: [ids], failed: [{ application_id, error }] }
+ */
+router.post("/projects/:id/applicants/bulk-status", orgOnly, async (req, res) => {
+  try {
+    const { applicationIds, status, note } = req.body;
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0 || !status) {
+      return res.status(400).json({ error: "applicationIds (non-empty array) and status are required" });
+    }
+
+    const project = await Project.exists({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const validIds = applicationIds.filter((id) => mongoose.isValidObjectId(id));
+    const applications = await Application.find({
+      _id: { $in: validIds },
+      projectId: req.params.id,
+    });
+    const byId = new Map(applications.map((a) => [a._id.toString(), a]));
+
+    const updated = [];
+    const failed = [];
+    for (const id of applicationIds) {
+      const application = byId.get(String(id));
+      if (!application) {
+        failed.push({ application_id: id, error: "Application not found in this project" });
+        continue;
+      }
+      const error = await transitionForOrg(application, status, req, note);
+      if (error) failed.push({ application_id: id, error });
+      else updated.push(String(id));
+    }
+
+    res.json({ status, updated, failed });
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/applicants/bulk-status error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to update applications",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/organization/projects/:id/rankings
+ * Sets the organization's preference order over a project's applicants for the allotment run
+ * Body: { applicationIds: [...] } - most preferred first; applicants left out become unranked
+ */
+router.put("/projects/:id/rankings", orgOnly, async (req, res) => {
+  try {
+    const { applicationIds } = req.body;
+    if (!Array.isArray(applicationIds)) {
+      return res.status(400).json({ error: "applicationIds must be an array" });
+    }
+
+    const ids = applicationIds.map(String);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: "applicationIds must not contain duplicates" });
+    }
+
+    const project = await Project.exists({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const applications = await Application.find({ projectId: req.params.id }).select("_id").lean();
+    const known = new Set(applications.map((a) => a._id.toString()));
+    const unknown = ids.filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: "Some applications do not belong to this project", unknown });
+    }
+
+    await Application.updateMany(
+      { projectId: req.params.id, _id: { $nin: ids } },
+      { $set: { orgRank: null } }
+    );
+    if (ids.length > 0) {
+      await Application.bulkWrite(
+        ids.map((id, index) => ({
+          updateOne: { filter: { _id: id }, update: { $set: { orgRank: index + 1 } } },
+        }))
+      );
+    }
+
+    res.json({
+      message: "✅ Rankings saved",
+      rankings: ids.map((id, index) => ({ application_id: id, org_rank: index + 1 })),
+    });
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/projects/:id/rankings error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to save rankings",
+      details: err.message,
+    });
+  }
+});
+
+// Shapes an interview slot for the organization views, with the booked student if any
+const formatSlot = (slot, studentsById = new Map()) => ({
+  _id: slot._id.toString(),
+  project_id: slot.projectId.toString(),
+  starts_at: slot.startsAt,
+  duration_minutes: slot.durationMinutes,
+  mode: slot.mode,
+  location: slot.location,
+  meeting_link: slot.meetingLink,
+  notes: slot.notes,
+  status: slot.status,
+  booking: slot.applicationId
+    ? {
+        application_id: slot.applicationId.toString(),
+        studentId: slot.studentId,
+        fullName: studentsById.get(slot.studentId)?.fullName || "",
+        booked_at: slot.bookedAt,
+        reminder_sent_at: slot.reminderSentAt,
+      }
+    : null,
+});
+
+/**
+ * POST /api/organization/projects/:id/interview-slots
+ * Publishes interview slots for a project
+ * Body: { slots: [{ startsAt, durationMinutes, mode, location?, meetingLink?, notes? }] }
+ *   mode: online (meetingLink required) | in_person (location required) | phone
+ * Slots of one project may not overlap
+ */
+router.post("/projects/:id/interview-slots", orgOnly, async (req, res) => {
+  try {
+    const inputs = Array.isArray(req.body.slots) ? req.body.slots : [req.body];
+    if (inputs.length === 0) {
+      return res.status(400).json({ error: "slots must contain at least one slot" });
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, organization_id: req.user.id }).lean();
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const { slots, error, index } = await interviews.createSlots(project, inputs);
+    if (error) {
+      return res.status(400).json({ error: inputs.length > 1 ? `Slot ${index + 1}: ${error}` : error });
+    }
+
+    res.status(201).json(slots.map((slot) => formatSlot(slot)));
+  } catch (err) {
+    console.error("🔥 POST /api/organization/projects/:id/interview-slots error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to create interview slots",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/projects/:id/interview-slots
+ * Lists a project's interview slots in time order with their bookings
+ * Query: include_cancelled=true to also list cancelled slots
+ */
+router.get("/projects/:id/interview-slots", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.exists({ _id: req.params.id, organization_id: req.user.id });
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const filter = { projectId: req.params.id };
+    if (req.query.include_cancelled !== "true") filter.status = { $ne: "cancelled" };
+
+    const slots = await InterviewSlot.find(filter).sort({ startsAt: 1 }).lean();
+    const students = await Student.find({
+      studentId: { $in: slots.map((s) => s.studentId).filter(Boolean) },
+    })
+      .select("studentId fullName")
+      .lean();
+    const studentsById = new Map(students.map((s) => [s.studentId, s]));
+
+    res.json(slots.map((slot) => formatSlot(slot, studentsById)));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/interview-slots error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch interview slots",
+      details: err.message,
+    });
+  }
+});
+
 /**
- * JWT Authentication Middleware
- * Verifies Bearer token and extracts user ID
- * Attaches req.user.id for use in routes
+ * DELETE /api/organization/interview-slots/:id
+ * Cancels a slot; a booked student receives a calendar cancellation
+ * Body: { reason? }
  */
-const authenticateToken = (req, res, next) => {
+router.delete("/interview-slots/:id", orgOnly, async (req, res) => {
   try {
-    // Extract token from Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({
-        error: "Authorization token required. Format: Bearer <token>",
-      });
+    const slot = await InterviewSlot.findOne({ _id: req.params.id, organization_id: req.user.id });
+    if (!slot) {
+      return res.status(404).json({ error: "Interview slot not found" });
+    }
+    if (slot.status === "cancelled") {
+      return res.status(400).json({ error: "Interview slot is already cancelled" });
     }
 
-    const token = authHeader.substring(7); // Remove "Bearer " prefix
-
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Attach user ID to request object
-    req.user = {
-      id: decoded.id || decoded.organizationId || decoded._id, // Support different token formats
-    };
+    await interviews.cancelSlot(slot, req.body?.reason);
 
-    if (!req.user.id) {
-      return res.status(401).json({ error: "Invalid token: missing user ID" });
+    res.json({ message: "Interview slot cancelled", _id: slot._id.toString() });
+  } catch (err) {
+    console.error("🔥 DELETE /api/organization/interview-slots/:id error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid interview slot ID format" });
     }
+    res.status(500).json({
+      error: "Failed to cancel interview slot",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/organization/document-templates
+ * Returns the organization's offer letter and certificate templates
+ * (built-in wording where none is saved) and the placeholders they may use
+ */
+router.get("/document-templates", orgOnly, async (req, res) => {
+  try {
+    const templates = await Promise.all(
+      documents.KINDS.map((kind) => documents.templateFor(req.user.id, kind))
+    );
 
-    next();
+    res.json({
+      templates: templates.map((t) => ({
+        kind: t.kind,
+        title: t.title,
+        body: t.body,
+        signature: t.signature || "",
+        is_default: Boolean(t.isDefault),
+        updated_at: t.updatedAt || null,
+      })),
+      placeholders: documents.PLACEHOLDERS,
+    });
   } catch (err) {
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid or expired token" });
+    console.error("🔥 GET /api/organization/document-templates error:", err);
+    res.status(500).json({
+      error: "Failed to fetch document templates",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/organization/document-templates/:kind
+ * Saves the organization's template for offer_letter or completion_certificate
+ * Body: { title, body, signature? } - text with {{placeholders}}; blank lines separate paragraphs
+ */
+router.put("/document-templates/:kind", orgOnly, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!documents.KINDS.includes(kind)) {
+      return res.status(404).json({ error: "Unknown document kind" });
+    }
+
+    const { title, body, signature } = req.body;
+    const error = documents.templateError({ title, body, signature });
+    if (error) {
+      return res.status(400).json({ error });
     }
-    if (err.name === "TokenExpiredError") {
-      return res.status(401).json({ error: "Token expired" });
+
+    const template = await DocumentTemplate.findOneAndUpdate(
+      { organization_id: req.user.id, kind },
+      { $set: { title, body, signature: signature || "" } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.json({ message: "✅ Template saved", template });
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/document-templates/:kind error:", err);
+    res.status(500).json({
+      error: "Failed to save document template",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/organization/document-templates/:kind
+ * Goes back to the built-in template
+ */
+router.delete("/document-templates/:kind", orgOnly, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!documents.KINDS.includes(kind)) {
+      return res.status(404).json({ error: "Unknown document kind" });
     }
-    console.error("🔥 Authentication error:", err);
-    return res.status(500).json({ error: "Authentication failed", details: err.message });
+
+    await DocumentTemplate.deleteOne({ organization_id: req.user.id, kind });
+
+    res.json({ message: "Template reset to the default" });
+  } catch (err) {
+    console.error("🔥 DELETE /api/organization/document-templates/:kind error:", err);
+    res.status(500).json({
+      error: "Failed to reset document template",
+      details: err.message,
+    });
   }
+});
+
+// Loads an application only if it belongs to one of the organization's projects
+const orgApplication = async (req) => {
+  const application = await Application.findById(req.params.id).lean();
+  if (!application) return null;
+  const owned = await Project.exists({ _id: application.projectId, organization_id: req.user.id });
+  return owned ? application : null;
 };
 
 /**
- * GET /api/organization/projects
- * Returns all projects for the authenticated organization
- * Response: Array of projects with { _id, project_code, project_name, status, scheduled_time, applications }
+ * GET /api/organization/applications/:id/documents
+ * Lists the documents issued for an application, newest first
  */
-router.get("/projects", authenticateToken, async (req, res) => {
+router.get("/applications/:id/documents", orgOnly, async (req, res) => {
   try {
-    const organizationId = req.user.id;
+    const application = await orgApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
 
-    // Find all projects for this organization
-    const projects = await Project.find({ organization_id: organizationId })
+    const issued = await IssuedDocument.find({ applicationId: application._id })
       .sort({ createdAt: -1 })
       .lean();
 
-    // Get applications count for each project
-    const projectsWithCounts = await Promise.all(
-      projects.map(async (project) => {
-        // Count applications for this project
-        const applicationsCount = await Application.countDocuments({
-          projectId: project._id,
-        });
-
-        return {
-          _id: project._id.toString(),
-          project_code: project.project_code,
-          project_name: project.project_name,
-          status: project.status || "draft",
-          scheduled_time: project.scheduled_time || null,
-          applications: applicationsCount,
-        };
-      })
-    );
-
-    res.json(projectsWithCounts);
+    res.json(issued.map(documents.formatDocument));
   } catch (err) {
-    console.error("🔥 GET /api/organization/projects error:", err);
+    console.error("🔥 GET /api/organization/applications/:id/documents error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
     res.status(500).json({
-      error: "Failed to fetch projects",
+      error: "Failed to fetch documents",
       details: err.message,
     });
   }
 });
 
 /**
- * POST /api/organization/projects
- * Creates a new project for the authenticated organization
- * Uses organization_id from JWT token (req.user.id)
+ * POST /api/organization/applications/:id/documents
+ * Issues (or re-issues) an offer letter or completion certificate
+ * Body: { kind: "offer_letter" | "completion_certificate" }
  */
-router.post("/projects", authenticateToken, async (req, res) => {
+router.post("/applications/:id/documents", orgOnly, async (req, res) => {
   try {
-    const organizationId = req.user.id;
-    const { project_code, project_name, description, status, scheduled_time, start_date, end_date } = req.body;
-
-    // Validate required fields
-    if (!project_code || !project_name) {
-      return res.status(400).json({
-        error: "project_code and project_name are required",
-      });
+    const application = await orgApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
     }
 
-    // Ensure status is 'draft' for new projects (or use provided status)
-    const projectStatus = status || "draft";
-
-    // Parse dates if provided
-    let startDate = null;
-    let endDate = null;
-    if (start_date) {
-      startDate = new Date(start_date);
-      if (isNaN(startDate.getTime())) {
-        return res.status(400).json({ error: "Invalid start_date format" });
-      }
+    const { document, error, status } = await documents.issueDocument({
+      applicationId: application._id,
+      kind: req.body.kind,
+      actor: { role: "org", id: req.user.id },
+    });
+    if (error) {
+      return res.status(status).json({ error });
     }
-    if (end_date) {
-      endDate = new Date(end_date);
-      if (isNaN(endDate.getTime())) {
-        return res.status(400).json({ error: "Invalid end_date format" });
-      }
+
+    res.status(201).json(documents.formatDocument(document));
+  } catch (err) {
+    console.error("🔥 POST /api/organization/applications/:id/documents error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
     }
+    res.status(500).json({
+      error: "Failed to issue document",
+      details: err.message,
+    });
+  }
+});
 
-    // Validate date range
-    if (startDate && endDate && startDate > endDate) {
-      return res.status(400).json({
-        error: "start_date must be before end_date",
-      });
+/**
+ * GET /api/organization/documents/:id/download
+ * Downloads a document issued for one of the organization's projects
+ */
+router.get("/documents/:id/download", orgOnly, async (req, res) => {
+  try {
+    const document = await IssuedDocument.findOne({
+      _id: req.params.id,
+      organization_id: req.user.id,
+    }).lean();
+    if (!document || !fs.existsSync(document.filePath)) {
+      return res.status(404).json({ error: "Document not found" });
     }
 
-    // Create new project
-    const project = await Project.create({
-      organization_id: organizationId,
-      project_code,
-      project_name,
-      description: description || "",
-      status: projectStatus,
-      scheduled_time: scheduled_time || null,
-      start_date: startDate,
-      end_date: endDate,
-      // Include other optional fields if provided
-      internsRequired: req.body.internsRequired || null,
-      cgpaRequirement: req.body.cgpaRequirement || null,
-      discipline: req.body.discipline || null,
-      skills: req.body.skills || null,
-      coordinatorName: req.body.coordinatorName || null,
-      coordinatorEmail: req.body.coordinatorEmail || null,
-      coordinatorAltEmail: req.body.coordinatorAltEmail || null,
-      coordinatorPhone: req.body.coordinatorPhone || null,
-      coordinatorDesignation: req.body.coordinatorDesignation || null,
-      guidelinesFilePath: req.body.guidelinesFilePath || null,
+    res.download(document.filePath, documents.downloadName(document));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/documents/:id/download error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid document ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to download document",
+      details: err.message,
     });
+  }
+});
 
-    res.status(201).json({
-      _id: project._id.toString(),
-      project_code: project.project_code,
-      project_name: project.project_name,
-      status: project.status,
-      scheduled_time: project.scheduled_time,
-      applications: 0, // New project has no applications yet
+/**
+ * GET /api/organization/rubric
+ * Returns the evaluation rubric used for the organization's interns
+ */
+router.get("/rubric", orgOnly, async (req, res) => {
+  try {
+    const rubric = await EvaluationRubric.findOne({ organization_id: req.user.id }).lean();
+    res.json({
+      criteria: rubric ? rubric.criteria : progress.DEFAULT_RUBRIC,
+      is_default: !rubric,
+      updated_at: rubric ? rubric.updatedAt : null,
     });
   } catch (err) {
-    console.error("🔥 POST /api/organization/projects error:", err);
-    if (err.code === 11000) {
-      return res.status(400).json({ error: "Project code already exists" });
-    }
+    console.error("🔥 GET /api/organization/rubric error:", err);
     res.status(500).json({
-      error: "Failed to create project",
+      error: "Failed to fetch rubric",
       details: err.message,
     });
   }
 });
 
 /**
- * PUT /api/organization/projects/:id
- * Updates an existing project
- * Only updates projects belonging to the authenticated organization
+ * PUT /api/organization/rubric
+ * Replaces the evaluation rubric; evaluations already recorded keep their scores
+ * Body: { criteria: [{ key?, label, maxScore, weight? }] }
  */
-router.put("/projects/:id", authenticateToken, async (req, res) => {
+router.put("/rubric", orgOnly, async (req, res) => {
   try {
-    const organizationId = req.user.id;
-    const projectId = req.params.id;
-    const { project_code, project_name, description, status, scheduled_time, start_date, end_date } = req.body;
+    const { criteria, error } = progress.normalizeRubric(req.body.criteria);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Find project and verify ownership
-    const project = await Project.findOne({
-      _id: projectId,
-      organization_id: organizationId,
+    const rubric = await EvaluationRubric.findOneAndUpdate(
+      { organization_id: req.user.id },
+      { organization_id: req.user.id, criteria },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    res.json({
+      message: "✅ Rubric saved",
+      criteria: rubric.criteria,
+      is_default: false,
+      updated_at: rubric.updatedAt,
+    });
+  } catch (err) {
+    console.error("🔥 PUT /api/organization/rubric error:", err);
+    res.status(500).json({
+      error: "Failed to save rubric",
+      details: err.message,
     });
+  }
+});
 
+/**
+ * GET /api/organization/projects/:id/progress
+ * Progress summary of every accepted intern on a project
+ */
+router.get("/projects/:id/progress", orgOnly, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, organization_id: req.user.id }).lean();
     if (!project) {
       return res.status(404).json({ error: "Project not found" });
     }
 
-    // Update fields if provided
-    if (project_code !== undefined) project.project_code = project_code;
-    if (project_name !== undefined) project.project_name = project_name;
-    if (description !== undefined) project.description = description;
-    if (status !== undefined) project.status = status;
-    if (scheduled_time !== undefined) project.scheduled_time = scheduled_time;
+    const accepted = await Application.find({ projectId: project._id, status: "accepted" }).lean();
+    const records = await InternshipProgress.find({
+      applicationId: { $in: accepted.map((a) => a._id) },
+    }).lean();
+    const byApplication = new Map(records.map((r) => [r.applicationId.toString(), r]));
+    const students = await Student.find({ studentId: { $in: accepted.map((a) => a.studentId) } })
+      .select("studentId fullName")
+      .lean();
+    const names = new Map(students.map((s) => [s.studentId, s.fullName || ""]));
 
-    // Update dates if provided
-    if (start_date) {
-      const startDate = new Date(start_date);
-      if (isNaN(startDate.getTime())) {
-        return res.status(400).json({ error: "Invalid start_date format" });
-      }
-      project.start_date = startDate;
+    res.json({
+      project_id: project._id.toString(),
+      schedule: progress.schedule(project),
+      interns: accepted.map((application) => ({
+        application_id: application._id.toString(),
+        studentId: application.studentId,
+        student_name: names.get(application.studentId) || "",
+        ...progress.summarize(byApplication.get(application._id.toString()), project),
+      })),
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/organization/projects/:id/progress error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
     }
-    if (end_date) {
-      const endDate = new Date(end_date);
-      if (isNaN(endDate.getTime())) {
-        return res.status(400).json({ error: "Invalid end_date format" });
-      }
-      project.end_date = endDate;
+    res.status(500).json({
+      error: "Failed to fetch progress",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Loads an accepted application of the organization with its project and progress record
+ * Returns { error, status } when the internship cannot be tracked
+ */
+const orgInternship = async (req) => {
+  const application = await orgApplication(req);
+  if (!application) return { error: "Application not found", status: 404 };
+  if (application.status !== "accepted") {
+    return { error: "Progress is only tracked for accepted applications", status: 400 };
+  }
+
+  const project = await Project.findById(application.projectId).lean();
+  if (!project) return { error: "Project not found", status: 404 };
+
+  const record = await progress.ensureProgress(application, project);
+  // The project may have ended since the record was last assessed
+  if (progress.updateCompletion(record, project)) await record.save();
+  return { application, project, record };
+};
+
+/**
+ * GET /api/organization/applications/:id/progress
+ * Weekly logs, final report and evaluations of one intern
+ */
+router.get("/applications/:id/progress", orgOnly, async (req, res) => {
+  try {
+    const { application, project, record, error, status } = await orgInternship(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Validate date range
-    if (project.start_date && project.end_date && project.start_date > project.end_date) {
-      return res.status(400).json({
-        error: "start_date must be before end_date",
-      });
+    res.json(progress.formatProgress(record, project, application));
+  } catch (err) {
+    console.error("🔥 GET /api/organization/applications/:id/progress error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
     }
+    res.status(500).json({
+      error: "Failed to fetch progress",
+      details: err.message,
+    });
+  }
+});
 
-    // Update other optional fields
-    if (req.body.internsRequired !== undefined) project.internsRequired = req.body.internsRequired;
-    if (req.body.cgpaRequirement !== undefined) project.cgpaRequirement = req.body.cgpaRequirement;
-    if (req.body.discipline !== undefined) project.discipline = req.body.discipline;
-    if (req.body.skills !== undefined) project.skills = req.body.skills;
-    if (req.body.coordinatorName !== undefined) project.coordinatorName = req.body.coordinatorName;
-    if (req.body.coordinatorEmail !== undefined) project.coordinatorEmail = req.body.coordinatorEmail;
-    if (req.body.coordinatorAltEmail !== undefined) project.coordinatorAltEmail = req.body.coordinatorAltEmail;
-    if (req.body.coordinatorPhone !== undefined) project.coordinatorPhone = req.body.coordinatorPhone;
-    if (req.body.coordinatorDesignation !== undefined) project.coordinatorDesignation = req.body.coordinatorDesignation;
-    if (req.body.guidelinesFilePath !== undefined) project.guidelinesFilePath = req.body.guidelinesFilePath;
+/**
+ * PUT /api/organization/applications/:id/evaluations/:stage
+ * Records (or replaces) the mid_term or final evaluation against the organization's rubric
+ * Body: { scores: { [criterionKey]: number }, comments? }
+ */
+router.put("/applications/:id/evaluations/:stage", orgOnly, async (req, res) => {
+  try {
+    const { stage } = req.params;
+    if (!progress.STAGES.includes(stage)) {
+      return res.status(400).json({ error: `stage must be one of: ${progress.STAGES.join(", ")}` });
+    }
 
-    await project.save();
+    const { application, project, record, error, status } = await orgInternship(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-    // Get applications count
-    const applicationsCount = await Application.countDocuments({
-      projectId: project._id,
+    const rubric = await progress.rubricFor(req.user.id);
+    const scored = progress.scoreEvaluation(rubric, req.body.scores);
+    if (scored.error) {
+      return res.status(400).json({ error: scored.error });
+    }
+
+    record.evaluations = record.evaluations.filter((e) => e.stage !== stage);
+    record.evaluations.push({
+      stage,
+      scores: scored.scores,
+      percentage: scored.percentage,
+      comments: req.body.comments || "",
+      evaluatedBy: req.user.id,
+      evaluatedAt: new Date(),
     });
+    progress.updateCompletion(record, project);
+    await record.save();
 
     res.json({
-      _id: project._id.toString(),
-      project_code: project.project_code,
-      project_name: project.project_name,
-      status: project.status,
-      scheduled_time: project.scheduled_time,
-      applications: applicationsCount,
+      message: "✅ Evaluation saved",
+      ...progress.formatProgress(record, project, application),
     });
   } catch (err) {
-    console.error("🔥 PUT /api/organization/projects/:id error:", err);
+    console.error("🔥 PUT /api/organization/applications/:id/evaluations/:stage error:", err);
     if (err.name === "CastError") {
-      return res.status(400).json({ error: "Invalid project ID format" });
+      return res.status(400).json({ error: "Invalid application ID format" });
     }
     res.status(500).json({
-      error: "Failed to update project",
+      error: "Failed to save evaluation",
       details: err.message,
     });
   }
 });
 
 /**
- * DELETE /api/organization/projects/:id
- * Deletes a project belonging to the authenticated organization
- * Also deletes all associated applications
+ * GET /api/organization/applications/:id/progress/final-report
+ * Downloads an intern's final report
  */
-router.delete("/projects/:id", authenticateToken, async (req, res) => {
+router.get("/applications/:id/progress/final-report", orgOnly, async (req, res) => {
   try {
-    const organizationId = req.user.id;
-    const projectId = req.params.id;
-
-    // Find project and verify ownership
-    const project = await Project.findOne({
-      _id: projectId,
-      organization_id: organizationId,
-    });
-
-    if (!project) {
-      return res.status(404).json({ error: "Project not found" });
+    const { record, error, status } = await orgInternship(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Delete all applications associated with this project
-    await Application.deleteMany({ projectId: project._id });
-
-    // Delete the project
-    await Project.findByIdAndDelete(projectId);
+    const filePath = record.finalReport?.filePath;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "No final report has been uploaded" });
+    }
 
-    res.json({
-      message: "Project deleted successfully",
-      projectId: projectId,
-    });
+    res.download(filePath, record.finalReport.originalName || "final-report");
   } catch (err) {
-    console.error("🔥 DELETE /api/organization/projects/:id error:", err);
+    console.error("🔥 GET /api/organization/applications/:id/progress/final-report error:", err);
     if (err.name === "CastError") {
-      return res.status(400).json({ error: "Invalid project ID format" });
+      return res.status(400).json({ error: "Invalid application ID format" });
     }
     res.status(500).json({
-      error: "Failed to delete project",
+      error: "Failed to download final report",
       details: err.message,
     });
   }
@@ -315,7 +2141,7 @@ router.delete("/projects/:id", authenticateToken, async (req, res) => {
  * Updates organization profile and password
  * Validates current password before allowing password change
  */
-router.put("/profile", authenticateToken, async (req, res) => {
+router.put("/profile", orgOnly, async (req, res) => {
   try {
     const organizationId = req.user.id;
     const {
@@ -359,7 +2185,10 @@ router.put("/profile", authenticateToken, async (req, res) => {
       }
       if (coordinatorName !== undefined) org.coordinator.name = coordinatorName;
       if (coordinatorDesignation !== undefined) org.coordinator.designation = coordinatorDesignation;
-      if (coordinatorEmail !== undefined) org.coordinator.email = coordinatorEmail;
+      // A new coordinator email only replaces the current one after it is confirmed
+      if (coordinatorEmail !== undefined && coordinatorEmail !== org.coordinator.email) {
+        org.pendingEmail = coordinatorEmail;
+      }
       if (coordinatorAlternateEmail !== undefined) org.coordinator.alternateEmail = coordinatorAlternateEmail;
       if (coordinatorPhone !== undefined) org.coordinator.phone = coordinatorPhone;
     }
@@ -385,23 +2214,37 @@ router.put("/profile", authenticateToken, async (req, res) => {
         });
       }
 
-      // Validate new password strength
-      if (newPassword.length < 6) {
+      // Validate new password against the shared policy (incl. recent passwords)
+      const policy = await evaluatePassword(newPassword, org);
+      if (!policy.valid) {
         return res.status(400).json({
-          error: "New password must be at least 6 characters long",
+          error: policy.message,
+          passwordErrors: policy.errors,
         });
       }
 
-      // Hash and save new password
-      const hashedNewPassword = await bcrypt.hash(newPassword, 10);
-      org.passwordHash = hashedNewPassword;
+      // Hash new password and keep the old one in the history
+      await setPassword(org, newPassword);
     }
 
     // Save updated organization
+    const emailChanged = org.isModified("pendingEmail") && Boolean(org.pendingEmail);
     await org.save();
 
+    if (emailChanged) {
+      await sendVerificationEmail({
+        role: "org",
+        account: org,
+        email: org.pendingEmail,
+        name: org.coordinator.name,
+      }).catch((err) => console.error("🔥 Verification email error:", err));
+    }
+
     res.json({
-      message: "Profile updated successfully",
+      message: emailChanged
+        ? "Profile updated. Confirm the new coordinator email using the link we sent."
+        : "Profile updated successfully",
+      emailVerificationRequired: emailChanged,
       organization: {
         organizationId: org._id.toString(),
         username: org.username,
@@ -411,6 +2254,7 @@ router.put("/profile", authenticateToken, async (req, res) => {
         state: org.state,
         detailedAddress: org.detailedAddress,
         coordinator: org.coordinator,
+        pendingEmail: org.pendingEmail || null,
       },
     });
   } catch (err) {
@@ -422,5 +2266,14 @@ router.put("/profile", authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * /api/organization/2fa/*
+ * Authenticator-app (TOTP) enrollment for the organization account
+ */
+router.use(
+  "/2fa",
+  createTwoFactorRouter({ Model: Organization, role: "org", accountName: (org) => org.username })
+);
+
 module.exports = router;
 
@@ -0,0 +1,998 @@
+const express = require("express");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const Organization = require("../models/Organization");
+const Application = require("../models/Application");
+const Student = require("../models/Student");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const PreferenceList = require("../models/PreferenceList");
+const PreferenceSnapshot = require("../models/PreferenceSnapshot");
+const { transitionError, applyTransition } = require("../services/applicationStatus");
+const preferences = require("../services/preferences");
+const { evaluateEligibility, explainIneligibility, projectSeats } = require("../services/eligibility");
+const { canonicalizeSkills } = require("../services/skills");
+const pagination = require("../services/pagination");
+const { formatAttachment } = require("../services/attachments");
+const { changesSinceApplied } = require("../services/projectRevisions");
+const { matchScore } = require("../services/matchScore");
+const InterviewSlot = require("../models/InterviewSlot");
+const interviews = require("../services/interviews");
+const IssuedDocument = require("../models/IssuedDocument");
+const documents = require("../services/documents");
+const progress = require("../services/progress");
+const { restrictedUpload, handleUploadErrors } = require("../middleware/upload");
+
+const router = express.Router();
+
+// Every route in this module acts on the authenticated student's own data
+const studentOnly = [authenticateToken, requireRole("student")];
+
+/**
+ * Checks whether a project currently accepts applications
+ * Returns an error message, or null when the project is open
+ */
+const applicationBlocker = (project) => {
+  if (project.status !== "active") {
+    return "This project is not accepting applications";
+  }
+  if (project.end_date && new Date(project.end_date) < new Date()) {
+    return "This project has already ended";
+  }
+  return null;
+};
+
+// Shapes a project for the student views
+const formatProject = (project, orgNames) => ({
+  _id: project._id.toString(),
+  project_code: project.project_code,
+  project_name: project.project_name,
+  description: project.description || "",
+  status: project.status,
+  start_date: project.start_date || null,
+  end_date: project.end_date || null,
+  organization_id: project.organization_id,
+  organization_name: orgNames.get(project.organization_id) || null,
+  seats: project.seats ?? null,
+  eligibility_criteria: project.eligibility || null,
+  attachments: (project.attachments || []).map(formatAttachment),
+});
+
+// Shapes an application (with its project populated) for the student views
+// `changes` is the result of changesSinceApplied for the student's applications
+const formatApplication = (application, orgNames, changes = new Map()) => {
+  const project = application.projectId;
+  return {
+    _id: application._id.toString(),
+    status: application.status,
+    applied_at: application.createdAt,
+    withdrawn_at: application.withdrawnAt || null,
+    // Set when the organization deleted the project; the project details stay visible until it is purged
+    project_withdrawn: Boolean(application.projectWithdrawnAt),
+    project_withdrawn_at: application.projectWithdrawnAt || null,
+    project: project ? formatProject(project, orgNames) : null, // Project was removed
+    changed_since_applied: project ? changes.get(project._id.toString()) || null : null,
+  };
+};
+
+// Loads organization names for a set of projects in one query
+const organizationNames = async (projects) => {
+  const ids = [...new Set(projects.filter(Boolean).map((p) => p.organization_id))].filter((id) =>
+    mongoose.isValidObjectId(id)
+  );
+  const orgs = await Organization.find({ _id: { $in: ids } }).select("orgName").lean();
+  return new Map(orgs.map((org) => [org._id.toString(), org.orgName]));
+};
+
+// Loads the academic profile the eligibility evaluator reads
+const loadStudent = (req) =>
+  Student.findOne({ studentId: req.user.studentId }).select("studentId academic").lean();
+
+/**
+ * GET /api/student/projects
+ * Lists active projects with whether the student is eligible for each and why
+ * Query: eligible=true to only return projects the student can apply to
+ * changed_since_applied lists the fields an organization edited after the student applied
+ */
+router.get("/projects", studentOnly, async (req, res) => {
+  try {
+    const [student, projects, applications] = await Promise.all([
+      loadStudent(req),
+      Project.find({ status: "active" }).sort({ createdAt: -1 }).lean(),
+      Application.find({ studentId: req.user.studentId }).select("projectId status createdAt").lean(),
+    ]);
+    const applied = new Map(applications.map((a) => [a.projectId.toString(), a.status]));
+    const [orgNames, changes] = await Promise.all([organizationNames(projects), changesSinceApplied(applications)]);
+
+    let listing = projects.map((project) => ({
+      ...formatProject(project, orgNames),
+      application_status: applied.get(project._id.toString()) || null,
+      changed_since_applied: changes.get(project._id.toString()) || null,
+      eligibility: evaluateEligibility(project.eligibility, student),
+    }));
+    if (req.query.eligible === "true") {
+      listing = listing.filter((p) => p.eligibility.eligible);
+    }
+
+    res.json(listing);
+  } catch (err) {
+    console.error("🔥 GET /api/student/projects error:", err);
+    res.status(500).json({
+      error: "Failed to fetch projects",
+      details: err.message,
+    });
+  }
+});
+
+// Sort orders for the catalog; projects without an end date sort last by deadline
+const CATALOG_SORTS = {
+  recent: { field: "createdAt", direction: -1 },
+  deadline: { field: "deadline", direction: 1 },
+};
+const NO_DEADLINE = new Date("9999-12-31T00:00:00Z");
+
+// Case-insensitive exact match for a user-supplied value
+const exactly = (value) => {
+  const escaped = String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped}$`, "i");
+};
+
+const queryList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * GET /api/student/catalog
+ * Browse active projects with search, filters and cursor pagination
+ * Query:
+ *   q            - full-text search over project name and description
+ *   discipline   - comma-separated; includes projects open to every discipline
+ *   skills       - comma-separated; projects asking for any of them
+ *   organization - organization id
+ *   state        - organization's state
+ *   start_after  - projects starting on or after this date
+ *   end_before   - projects ending on or before this date
+ *   sort         - recent (default) | deadline
+ *   limit        - page size (default 20, max 50)
+ *   cursor       - next_cursor from the previous page
+ * Response: { projects, next_cursor, has_more }
+ */
+router.get("/catalog", studentOnly, async (req, res) => {
+  try {
+    const sortName = req.query.sort || "recent";
+    const sort = CATALOG_SORTS[sortName];
+    if (!sort) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(CATALOG_SORTS).join(", ")}` });
+    }
+    const limit = pagination.pageLimit(req.query.limit);
+
+    const match = { status: "active" };
+    const conditions = [];
+    if (req.query.q && String(req.query.q).trim()) {
+      match.$text = { $search: String(req.query.q).trim() };
+    }
+
+    const disciplines = queryList(req.query.discipline);
+    if (disciplines.length > 0) {
+      conditions.push({
+        $or: [
+          { "eligibility.disciplines": { $in: disciplines.map(exactly) } },
+          { "eligibility.disciplines": { $size: 0 } },
+          { "eligibility.disciplines": { $exists: false } },
+        ],
+      });
+    }
+
+    const skills = canonicalizeSkills(req.query.skills || "");
+    if (skills.length > 0) {
+      const wanted = skills.map(exactly);
+      conditions.push({
+        $or: [{ "eligibility.requiredSkills": { $in: wanted } }, { "eligibility.optionalSkills": { $in: wanted } }],
+      });
+    }
+
+    if (req.query.organization) {
+      conditions.push({ organization_id: String(req.query.organization) });
+    }
+    if (req.query.state) {
+      const orgs = await Organization.find({ state: exactly(req.query.state) }).select("_id").lean();
+      conditions.push({ organization_id: { $in: orgs.map((org) => org._id.toString()) } });
+    }
+
+    for (const [param, field, op] of [
+      ["start_after", "start_date", "$gte"],
+      ["end_before", "end_date", "$lte"],
+    ]) {
+      if (!req.query[param]) continue;
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${param} format` });
+      }
+      conditions.push({ [field]: { [op]: date } });
+    }
+    if (conditions.length > 0) match.$and = conditions;
+
+    const pipeline = [{ $match: match }, { $addFields: { deadline: { $ifNull: ["$end_date", NO_DEADLINE] } } }];
+    if (req.query.cursor) {
+      const cursor = pagination.decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      pipeline.push({ $match: pagination.afterCursor(sort.field, sort.direction, cursor) });
+    }
+    pipeline.push(
+      { $sort: { [sort.field]: sort.direction, _id: sort.direction } },
+      { $limit: limit + 1 }
+    );
+
+    const page = pagination.pageOf(await Project.aggregate(pipeline), limit, sort.field);
+
+    const projectIds = page.items.map((p) => p._id);
+    const [orgNames, accepted, applications] = await Promise.all([
+      organizationNames(page.items),
+      Application.aggregate([
+        { $match: { projectId: { $in: projectIds }, status: "accepted" } },
+        { $group: { _id: "$projectId", count: { $sum: 1 } } },
+      ]),
+      Application.find({ studentId: req.user.studentId, projectId: { $in: projectIds } })
+        .select("projectId status")
+        .lean(),
+    ]);
+    const acceptedCounts = new Map(accepted.map((a) => [a._id.toString(), a.count]));
+    const applied = new Map(applications.map((a) => [a.projectId.toString(), a.status]));
+
+    res.json({
+      projects: page.items.map((project) => {
+        const seats = projectSeats(project);
+        const id = project._id.toString();
+        return {
+          ...formatProject(project, orgNames),
+          seats,
+          remaining_seats: Math.max(seats - (acceptedCounts.get(id) || 0), 0),
+          application_status: applied.get(id) || null,
+        };
+      }),
+      next_cursor: page.nextCursor,
+      has_more: page.hasMore,
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/student/catalog error:", err);
+    res.status(500).json({
+      error: "Failed to fetch catalog",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/projects/:id/attachments/:attachmentId/download
+ * Downloads a project attachment; available for active projects and for
+ * projects the student has applied to
+ */
+router.get("/projects/:id/attachments/:attachmentId/download", studentOnly, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select("status attachments").lean();
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    if (project.status !== "active") {
+      const applied = await Application.exists({ projectId: project._id, studentId: req.user.studentId });
+      if (!applied) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+    }
+
+    const attachment = (project.attachments || []).find((a) => a._id.toString() === req.params.attachmentId);
+    if (!attachment || !fs.existsSync(attachment.filePath)) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    res.download(attachment.filePath, attachment.originalName || "attachment");
+  } catch (err) {
+    console.error("🔥 GET /api/student/projects/:id/attachments/:attachmentId/download error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to download attachment",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/recommendations
+ * Active projects the student is eligible for and has not applied to, best match first
+ * Query: limit (default 10, max 50)
+ */
+router.get("/recommendations", studentOnly, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    const [student, projects, applications] = await Promise.all([
+      loadStudent(req),
+      Project.find({ status: "active" }).lean(),
+      Application.find({ studentId: req.user.studentId }).select("projectId").lean(),
+    ]);
+    const applied = new Set(applications.map((a) => a.projectId.toString()));
+
+    const ranked = projects
+      .filter((project) => !applied.has(project._id.toString()) && !applicationBlocker(project))
+      .map((project) => ({ project, match: matchScore(project, student) }))
+      .filter(({ match }) => match.eligible)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, limit);
+
+    const orgNames = await organizationNames(ranked.map((r) => r.project));
+
+    res.json(
+      ranked.map(({ project, match }) => ({
+        score: match.score,
+        breakdown: match.breakdown,
+        project: formatProject(project, orgNames),
+      }))
+    );
+  } catch (err) {
+    console.error("🔥 GET /api/student/recommendations error:", err);
+    res.status(500).json({
+      error: "Failed to fetch recommendations",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/applications
+ * Lists the student's applications, newest first, with project details
+ * and the project fields changed since the student applied
+ * Applications to deleted projects are kept and marked project_withdrawn
+ */
+router.get("/applications", studentOnly, async (req, res) => {
+  try {
+    const applications = await Application.find({ studentId: req.user.studentId })
+      .sort({ createdAt: -1 })
+      .populate({ path: "projectId", options: { withDeleted: true } })
+      .lean();
+
+    const [orgNames, changes] = await Promise.all([
+      organizationNames(applications.map((a) => a.projectId)),
+      changesSinceApplied(applications.filter((a) => a.projectId)),
+    ]);
+
+    res.json(applications.map((application) => formatApplication(application, orgNames, changes)));
+  } catch (err) {
+    console.error("🔥 GET /api/student/applications error:", err);
+    res.status(500).json({
+      error: "Failed to fetch applications",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications
+ * Applies to an active project the student is eligible for
+ * Body: { projectId }
+ */
+router.post("/applications", studentOnly, async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    if (!projectId) {
+      return res.status(400).json({ error: "projectId is required" });
+    }
+
+    const project = await Project.findById(projectId).lean();
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const blocker = applicationBlocker(project);
+    if (blocker) {
+      return res.status(400).json({ error: blocker });
+    }
+
+    const eligibility = evaluateEligibility(project.eligibility, await loadStudent(req));
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        error: `You are not eligible for this project: ${explainIneligibility(eligibility)}`,
+        eligibility,
+      });
+    }
+
+    const application = await Application.create({
+      projectId: project._id,
+      studentId: req.user.studentId,
+    });
+
+    const orgNames = await organizationNames([project]);
+
+    res.status(201).json(
+      formatApplication({ ...application.toObject(), projectId: project }, orgNames)
+    );
+  } catch (err) {
+    console.error("🔥 POST /api/student/applications error:", err);
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "You have already applied to this project" });
+    }
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid project ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to apply",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * Moves one of the student's own applications to `status`
+ * Shared by the withdraw and accept-offer routes
+ */
+const studentTransition = (status, failureMessage) => async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      studentId: req.user.studentId,
+    });
+
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    const error = transitionError(application.status, status, "student", {
+      projectWithdrawn: Boolean(application.projectWithdrawnAt),
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    applyTransition(application, status, { role: "student", id: req.user.studentId });
+    await application.save();
+
+    await interviews.releaseForApplications(
+      [application._id],
+      status === "withdrawn" ? "The student withdrew the application" : "The student accepted an offer"
+    );
+    if (status === "accepted") {
+      await documents.issueOfferLetters([application._id], { role: "system", id: req.user.studentId });
+    }
+
+    res.json({
+      message: `Application ${status}`,
+      _id: application._id.toString(),
+      status: application.status,
+      withdrawn_at: application.withdrawnAt || null,
+    });
+  } catch (err) {
+    console.error(`🔥 POST /api/student/applications/:id (${status}) error:`, err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: failureMessage,
+      details: err.message,
+    });
+  }
+};
+
+/**
+ * POST /api/student/applications/:id/withdraw
+ * Withdraws an application that is still in progress; the record is kept
+ */
+router.post(
+  "/applications/:id/withdraw",
+  studentOnly,
+  studentTransition("withdrawn", "Failed to withdraw application")
+);
+
+/**
+ * POST /api/student/applications/:id/accept
+ * Accepts an offer
+ */
+router.post(
+  "/applications/:id/accept",
+  studentOnly,
+  studentTransition("accepted", "Failed to accept offer")
+);
+
+// Shapes an interview slot for the student views
+const formatSlot = (slot) => ({
+  _id: slot._id.toString(),
+  starts_at: slot.startsAt,
+  duration_minutes: slot.durationMinutes,
+  mode: slot.mode,
+  location: slot.location,
+  meeting_link: slot.meetingLink,
+  notes: slot.notes,
+});
+
+// Loads one of the student's own applications
+const ownApplication = (req) =>
+  Application.findOne({ _id: req.params.id, studentId: req.user.studentId });
+
+/**
+ * GET /api/student/applications/:id/interview-slots
+ * Returns the student's current booking and the open slots they can book or move to
+ */
+router.get("/applications/:id/interview-slots", studentOnly, async (req, res) => {
+  try {
+    const application = await ownApplication(req).lean();
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    const booking = application.interviewSlotId
+      ? await InterviewSlot.findById(application.interviewSlotId).lean()
+      : null;
+    const canBook = interviews.BOOKABLE_STATUSES.includes(application.status);
+    const available = canBook
+      ? await InterviewSlot.find({
+          projectId: application.projectId,
+          status: "open",
+          startsAt: { $gt: new Date() },
+        })
+          .sort({ startsAt: 1 })
+          .lean()
+      : [];
+
+    res.json({
+      can_book: canBook,
+      booking: booking ? formatSlot(booking) : null,
+      available: available.map(formatSlot),
+    });
+  } catch (err) {
+    console.error("🔥 GET /api/student/applications/:id/interview-slots error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch interview slots",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications/:id/interview
+ * Books an interview slot, or moves an existing booking to another slot
+ * Body: { slotId }
+ */
+router.post("/applications/:id/interview", studentOnly, async (req, res) => {
+  try {
+    const { slotId } = req.body;
+    if (!slotId) {
+      return res.status(400).json({ error: "slotId is required" });
+    }
+
+    const application = await ownApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    const rescheduled = Boolean(application.interviewSlotId);
+    const { slot, error, status } = await interviews.bookSlot(application, slotId, req.user.studentId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      message: rescheduled ? "✅ Interview rescheduled" : "✅ Interview booked",
+      booking: formatSlot(slot),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/student/applications/:id/interview error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application or slot ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to book interview",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/student/applications/:id/interview
+ * Cancels the student's booking; the slot becomes available to others
+ */
+router.delete("/applications/:id/interview", studentOnly, async (req, res) => {
+  try {
+    const application = await ownApplication(req).lean();
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    const slot = application.interviewSlotId
+      ? await InterviewSlot.findById(application.interviewSlotId)
+      : null;
+    if (!slot || slot.status !== "booked") {
+      return res.status(400).json({ error: "No interview is booked for this application" });
+    }
+    if (slot.startsAt <= new Date()) {
+      return res.status(400).json({ error: "This interview has already started" });
+    }
+
+    await interviews.cancelBooking(slot, "The student cancelled the booking", { reopen: true });
+
+    res.json({ message: "Interview booking cancelled" });
+  } catch (err) {
+    console.error("🔥 DELETE /api/student/applications/:id/interview error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to cancel interview",
+      details: err.message,
+    });
+  }
+});
+
+// Final reports are accepted as PDF or Word documents
+const reportUpload = handleUploadErrors(
+  restrictedUpload({
+    mimeTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ],
+    maxSizeMb: 20,
+  }).single("report")
+);
+
+/**
+ * Loads the student's accepted application with its project and progress record
+ * Returns { error, status } when the internship cannot be tracked
+ */
+const loadInternship = async (req) => {
+  const application = await ownApplication(req).lean();
+  if (!application) return { error: "Application not found", status: 404 };
+  if (application.status !== "accepted") {
+    return { error: "Progress is only tracked for accepted applications", status: 400 };
+  }
+
+  const project = await Project.findById(application.projectId).lean();
+  if (!project) return { error: "Project not found", status: 404 };
+
+  const record = await progress.ensureProgress(application, project);
+  // The project may have ended since the record was last assessed
+  if (progress.updateCompletion(record, project)) await record.save();
+  return { application, project, record };
+};
+
+/**
+ * GET /api/student/applications/:id/progress
+ * Weekly log schedule, submissions, evaluations and completion status of an internship
+ */
+router.get("/applications/:id/progress", studentOnly, async (req, res) => {
+  try {
+    const { application, project, record, error, status } = await loadInternship(req);
+    if (error) return res.status(status).json({ error });
+
+    res.json(progress.formatProgress(record, project, application));
+  } catch (err) {
+    console.error("🔥 GET /api/student/applications/:id/progress error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to fetch progress",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/student/applications/:id/progress/logs/:week
+ * Submits or edits the log for one week (1 = the week the project starts)
+ * Body: { summary, tasksCompleted?, blockers?, hoursWorked? }
+ */
+router.put("/applications/:id/progress/logs/:week", studentOnly, async (req, res) => {
+  try {
+    const { application, project, record, error, status } = await loadInternship(req);
+    if (error) return res.status(status).json({ error });
+
+    const plan = progress.schedule(project);
+    if (!plan) {
+      return res.status(400).json({ error: "The project has no start and end dates yet" });
+    }
+
+    const week = Number(req.params.week);
+    const slot = plan.weeks.find((w) => w.week === week);
+    if (!slot) {
+      return res.status(400).json({ error: `week must be between 1 and ${plan.weeks.length}` });
+    }
+    if (slot.start > new Date()) {
+      return res.status(400).json({ error: "This week has not started yet" });
+    }
+    if (!progress.submissionsOpen(record, project)) {
+      return res.status(400).json({ error: "The internship has already been assessed" });
+    }
+
+    const { summary, tasksCompleted, blockers, hoursWorked } = req.body;
+    if (!summary || !String(summary).trim()) {
+      return res.status(400).json({ error: "summary is required" });
+    }
+    const hours = hoursWorked === undefined || hoursWorked === null || hoursWorked === "" ? null : Number(hoursWorked);
+    if (hours !== null && (!Number.isFinite(hours) || hours < 0 || hours > 168)) {
+      return res.status(400).json({ error: "hoursWorked must be between 0 and 168" });
+    }
+
+    const entry = {
+      summary: String(summary).trim(),
+      tasksCompleted: tasksCompleted || "",
+      blockers: blockers || "",
+      hoursWorked: hours,
+    };
+    const existing = record.weeklyLogs.find((l) => l.week === week);
+    if (existing) {
+      Object.assign(existing, entry, { updatedAt: new Date() });
+    } else {
+      record.weeklyLogs.push({ week, ...entry, submittedAt: new Date() });
+    }
+    progress.updateCompletion(record, project);
+    await record.save();
+
+    res.json({
+      message: existing ? "✅ Weekly log updated" : "✅ Weekly log submitted",
+      ...progress.formatProgress(record, project, application),
+    });
+  } catch (err) {
+    console.error("🔥 PUT /api/student/applications/:id/progress/logs/:week error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to save weekly log",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/student/applications/:id/progress/final-report
+ * Uploads (or replaces) the final report; multipart field "report" (PDF or Word, max 20 MB)
+ */
+router.post("/applications/:id/progress/final-report", studentOnly, reportUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "report file is required" });
+    }
+
+    const { application, project, record, error, status } = await loadInternship(req);
+    if (error) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(status).json({ error });
+    }
+    if (!progress.submissionsOpen(record, project)) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: "The internship has already been assessed" });
+    }
+
+    record.finalReport = {
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+      submittedAt: new Date(),
+    };
+    progress.updateCompletion(record, project);
+    await record.save();
+
+    res.json({
+      message: "✅ Final report uploaded",
+      ...progress.formatProgress(record, project, application),
+    });
+  } catch (err) {
+    console.error("🔥 POST /api/student/applications/:id/progress/final-report error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to upload final report",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/applications/:id/progress/final-report
+ * Downloads the student's final report
+ */
+router.get("/applications/:id/progress/final-report", studentOnly, async (req, res) => {
+  try {
+    const { record, error, status } = await loadInternship(req);
+    if (error) return res.status(status).json({ error });
+
+    const filePath = record.finalReport?.filePath;
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "No final report has been uploaded" });
+    }
+
+    res.download(filePath, record.finalReport.originalName || "final-report");
+  } catch (err) {
+    console.error("🔥 GET /api/student/applications/:id/progress/final-report error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid application ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to download final report",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/documents
+ * Lists the offer letters and certificates issued to the student, newest first
+ */
+router.get("/documents", studentOnly, async (req, res) => {
+  try {
+    const issued = await IssuedDocument.find({ studentId: req.user.studentId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(
+      issued.map((document) => ({
+        ...documents.formatDocument(document),
+        project_code: document.details?.projectCode || "",
+        project_name: document.details?.projectName || "",
+        organization_name: document.details?.organizationName || "",
+      }))
+    );
+  } catch (err) {
+    console.error("🔥 GET /api/student/documents error:", err);
+    res.status(500).json({
+      error: "Failed to fetch documents",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/documents/:id/download
+ * Downloads one of the student's documents as PDF
+ */
+router.get("/documents/:id/download", studentOnly, async (req, res) => {
+  try {
+    const document = await IssuedDocument.findOne({
+      _id: req.params.id,
+      studentId: req.user.studentId,
+    }).lean();
+    if (!document || !fs.existsSync(document.filePath)) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    res.download(document.filePath, documents.downloadName(document));
+  } catch (err) {
+    console.error("🔥 GET /api/student/documents/:id/download error:", err);
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid document ID format" });
+    }
+    res.status(500).json({
+      error: "Failed to download document",
+      details: err.message,
+    });
+  }
+});
+
+// Shapes the student's list with the cycle rules; projects that no longer exist are dropped
+const formatPreferences = async (list) => {
+  const ids = list ? list.projectIds.map(String) : [];
+  const projects = await Project.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(projects.map((p) => [p._id.toString(), p]));
+  const ordered = ids.map((id) => byId.get(id)).filter(Boolean);
+  const orgNames = await organizationNames(ordered);
+
+  return {
+    ...preferences.describeCycle(),
+    updated_at: list ? list.updatedAt : null,
+    preferences: ordered.map((project, index) => ({
+      rank: index + 1,
+      project: formatProject(project, orgNames),
+    })),
+  };
+};
+
+// Rejects edits once the cycle deadline has passed
+const preferencesOpen = (req, res, next) => {
+  if (preferences.isLocked()) {
+    return res.status(403).json({
+      error: "Preference lists are locked for this cycle",
+      deadline: preferences.lockDeadline(),
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/student/preferences
+ * Returns the student's ranked project list for the current cycle and the cycle rules
+ */
+router.get("/preferences", studentOnly, async (req, res) => {
+  try {
+    const list = await PreferenceList.findOne({
+      studentId: req.user.studentId,
+      cycle: preferences.currentCycle(),
+    }).lean();
+
+    res.json(await formatPreferences(list));
+  } catch (err) {
+    console.error("🔥 GET /api/student/preferences error:", err);
+    res.status(500).json({
+      error: "Failed to fetch preferences",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/student/preferences
+ * Creates or replaces (reorders) the student's list
+ * Body: { projectIds: [...] } - most preferred first, active projects only
+ */
+router.put("/preferences", studentOnly, preferencesOpen, async (req, res) => {
+  try {
+    const { projectIds } = req.body;
+    const { error, invalid } = await preferences.validatePreferences(projectIds);
+    if (error) {
+      return res.status(400).json({ error, invalid });
+    }
+
+    const list = await PreferenceList.findOneAndUpdate(
+      { studentId: req.user.studentId, cycle: preferences.currentCycle() },
+      { $set: { projectIds: projectIds.map(String) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.json({ message: "✅ Preferences saved", ...(await formatPreferences(list)) });
+  } catch (err) {
+    console.error("🔥 PUT /api/student/preferences error:", err);
+    res.status(500).json({
+      error: "Failed to save preferences",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/student/preferences
+ * Clears the student's list for the current cycle
+ */
+router.delete("/preferences", studentOnly, preferencesOpen, async (req, res) => {
+  try {
+    await PreferenceList.deleteOne({
+      studentId: req.user.studentId,
+      cycle: preferences.currentCycle(),
+    });
+
+    res.json({ message: "✅ Preferences cleared", ...(await formatPreferences(null)) });
+  } catch (err) {
+    console.error("🔥 DELETE /api/student/preferences error:", err);
+    res.status(500).json({
+      error: "Failed to clear preferences",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * GET /api/student/preferences/snapshots
+ * Lists the student's frozen lists, newest cycle first
+ */
+router.get("/preferences/snapshots", studentOnly, async (req, res) => {
+  try {
+    const snapshots = await PreferenceSnapshot.find({ studentId: req.user.studentId })
+      .sort({ frozenAt: -1 })
+      .lean();
+
+    res.json(snapshots);
+  } catch (err) {
+    console.error("🔥 GET /api/student/preferences/snapshots error:", err);
+    res.status(500).json({
+      error: "Failed to fetch preference snapshots",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
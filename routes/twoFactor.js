@@ -0,0 +1,168 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const { authenticateToken, requireRole } = require("../middleware/auth");
+const twoFactor = require("../services/twoFactor");
+
+/**
+ * Two-Factor Routes
+ * Builds the TOTP enrollment endpoints for one account type
+ * Mounted at /api/admin/2fa and /api/organization/2fa
+ *
+ * @param {object} options
+ * @param {mongoose.Model} options.Model - Admin or Organization
+ * @param {string} options.role - token role allowed to use the routes
+ * @param {(account) => string} options.accountName - label shown in the authenticator app
+ */
+const createTwoFactorRouter = ({ Model, role, accountName }) => {
+  const router = express.Router();
+  const ownAccount = [authenticateToken, requireRole(role)];
+
+  const loadAccount = async (req, res) => {
+    const account = await Model.findById(req.user.id);
+    if (!account) res.status(404).json({ error: "Account not found" });
+    return account;
+  };
+
+  /**
+   * GET /2fa/status
+   * Response: { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  router.get("/status", ownAccount, async (req, res) => {
+    try {
+      const account = await loadAccount(req, res);
+      if (!account) return;
+
+      res.json({
+        enabled: twoFactor.isEnabled(account),
+        enabledAt: account.twoFactor.enabledAt,
+        recoveryCodesRemaining: account.twoFactor.recoveryCodeHashes.length,
+      });
+    } catch (err) {
+      console.error("🔥 GET /2fa/status error:", err);
+      res.status(500).json({ error: "Failed to fetch 2FA status", details: err.message });
+    }
+  });
+
+  /**
+   * POST /2fa/setup
+   * Starts enrollment and returns the secret and otpauth URI (the QR code payload)
+   */
+  router.post("/setup", ownAccount, async (req, res) => {
+    try {
+      const account = await loadAccount(req, res);
+      if (!account) return;
+
+      if (twoFactor.isEnabled(account)) {
+        return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const { secret, otpauthUri } = await twoFactor.startEnrollment(account, accountName(account));
+
+      res.json({
+        message: "Scan the QR code with your authenticator app, then confirm with a code",
+        secret,
+        otpauthUri,
+        qrPayload: otpauthUri,
+      });
+    } catch (err) {
+      console.error("🔥 POST /2fa/setup error:", err);
+      res.status(500).json({ error: "Failed to start 2FA setup", details: err.message });
+    }
+  });
+
+  /**
+   * POST /2fa/confirm
+   * Body: { code }
+   * Enables 2FA and returns the recovery codes - they are only shown here
+   */
+  router.post("/confirm", ownAccount, async (req, res) => {
+    try {
+      const { code } = req.body;
+      if (!code) return res.status(400).json({ error: "code is required" });
+
+      const account = await loadAccount(req, res);
+      if (!account) return;
+
+      if (twoFactor.isEnabled(account)) {
+        return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+      }
+      if (!account.twoFactor.pendingSecret) {
+        return res.status(400).json({ error: "Start setup before confirming" });
+      }
+
+      const recoveryCodes = await twoFactor.confirmEnrollment(account, code);
+      if (!recoveryCodes) return res.status(400).json({ error: "Invalid code" });
+
+      res.json({
+        message: "✅ Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    } catch (err) {
+      console.error("🔥 POST /2fa/confirm error:", err);
+      res.status(500).json({ error: "Failed to confirm 2FA", details: err.message });
+    }
+  });
+
+  /**
+   * POST /2fa/recovery-codes
+   * Body: { code }
+   * Replaces all recovery codes; needs a current authenticator code
+   */
+  router.post("/recovery-codes", ownAccount, async (req, res) => {
+    try {
+      const { code } = req.body;
+      if (!code) return res.status(400).json({ error: "code is required" });
+
+      const account = await loadAccount(req, res);
+      if (!account) return;
+
+      if (!twoFactor.isEnabled(account)) {
+        return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+      }
+      if (!(await twoFactor.verifySecondFactor(account, { code }))) {
+        return res.status(401).json({ error: "Invalid code" });
+      }
+
+      const recoveryCodes = await twoFactor.regenerateRecoveryCodes(account);
+      res.json({ message: "✅ Recovery codes regenerated", recoveryCodes });
+    } catch (err) {
+      console.error("🔥 POST /2fa/recovery-codes error:", err);
+      res.status(500).json({ error: "Failed to regenerate recovery codes", details: err.message });
+    }
+  });
+
+  /**
+   * POST /2fa/disable
+   * Body: { password, code } or { password, recoveryCode }
+   */
+  router.post("/disable", ownAccount, async (req, res) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      if (!password || (!code && !recoveryCode)) {
+        return res.status(400).json({ error: "password and code (or recoveryCode) are required" });
+      }
+
+      const account = await loadAccount(req, res);
+      if (!account) return;
+
+      if (!twoFactor.isEnabled(account)) {
+        return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+      }
+
+      const passwordValid = await bcrypt.compare(password, account.passwordHash || "");
+      if (!passwordValid || !(await twoFactor.verifySecondFactor(account, { code, recoveryCode }))) {
+        return res.status(401).json({ error: "Invalid password or code" });
+      }
+
+      await twoFactor.disable(account);
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+      console.error("🔥 POST /2fa/disable error:", err);
+      res.status(500).json({ error: "Failed to disable 2FA", details: err.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTwoFactorRouter;
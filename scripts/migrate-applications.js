@@ -0,0 +1,90 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Application = require("../models/Application");
+const { connectionString, mongooseOptions } = require("../services/database");
+
+/**
+ * Migration: one application per student per project
+ * Databases created before applications were unique still carry the old
+ * non-unique { projectId, studentId } index under the same name, so the
+ * unique index is never built until that one is dropped
+ *
+ * Usage:
+ *   node scripts/migrate-applications.js            remove duplicates and rebuild the index
+ *   node scripts/migrate-applications.js --dry-run  print the duplicates that would be removed
+ *
+ * Of each set of duplicates the application furthest along is kept (the
+ * oldest when they are level); the others are deleted and listed
+ */
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Most advanced first; a status not listed here ranks last
+const KEEP_ORDER = ["accepted", "offered", "interview", "shortlisted", "pending", "rejected", "withdrawn"];
+
+const rank = (application) => {
+  const index = KEEP_ORDER.indexOf(application.status);
+  return index === -1 ? KEEP_ORDER.length : index;
+};
+
+const sameKey = (key) =>
+  Object.keys(key).length === 2 && key.projectId === 1 && key.studentId === 1;
+
+const run = async () => {
+  await mongoose.connect(connectionString(), mongooseOptions);
+
+  const groups = await Application.collection
+    .aggregate([
+      { $group: { _id: { projectId: "$projectId", studentId: "$studentId" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+  console.log(`🔍 ${groups.length} student/project pair(s) with duplicate applications${dryRun ? " (dry run)" : ""}`);
+
+  const removed = [];
+  for (const group of groups) {
+    const applications = await Application.collection
+      .find({ _id: { $in: group.ids } })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+    const [kept, ...duplicates] = applications.sort((a, b) => rank(a) - rank(b));
+
+    for (const duplicate of duplicates) {
+      removed.push({
+        _id: duplicate._id.toString(),
+        kept: kept._id.toString(),
+        projectId: String(duplicate.projectId),
+        studentId: duplicate.studentId,
+        status: duplicate.status,
+      });
+    }
+    if (!dryRun) {
+      await Application.collection.deleteMany({ _id: { $in: duplicates.map((d) => d._id) } });
+    }
+  }
+
+  if (removed.length > 0) console.table(removed);
+  if (dryRun) {
+    console.log(`✅ Would remove ${removed.length} duplicate application(s) and rebuild the index`);
+    return;
+  }
+
+  const indexes = await Application.collection.indexes();
+  for (const index of indexes) {
+    if (sameKey(index.key) && !index.unique) {
+      await Application.collection.dropIndex(index.name);
+      console.log(`🗑️ Dropped the non-unique index ${index.name}`);
+    }
+  }
+  await Application.createIndexes();
+
+  console.log(`✅ Removed ${removed.length} duplicate application(s); the unique index is in place`);
+};
+
+run()
+  .catch((err) => {
+    console.error("❌ Application migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
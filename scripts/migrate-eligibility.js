@@ -0,0 +1,79 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const { connectionString, mongooseOptions } = require("../services/database");
+const { criteriaFromLegacy, hasCriteria, parseSeats } = require("../services/eligibility");
+
+/**
+ * Migration: structured eligibility criteria
+ * Parses the free-text cgpaRequirement / discipline / skills / internsRequired
+ * fields of existing projects into Project.eligibility and Project.seats
+ *
+ * Usage:
+ *   node scripts/migrate-eligibility.js            migrate projects without criteria
+ *                                                  (no eligibility, or one that is still all empty)
+ *   node scripts/migrate-eligibility.js --dry-run  print what would change
+ *   node scripts/migrate-eligibility.js --force    re-parse every project
+ *
+ * The text fields are left in place; fields that could not be parsed are
+ * reported and left unrestricted so organizations can fix them by hand
+ * Legacy skills become optional skills: the text was never enforced
+ */
+
+const dryRun = process.argv.includes("--dry-run");
+const force = process.argv.includes("--force");
+
+// Criteria mongoose filled in with its defaults when the project was saved
+const isEmpty = (criteria) => !criteria || (!hasCriteria(criteria) && (criteria.optionalSkills || []).length === 0);
+
+const run = async () => {
+  await mongoose.connect(connectionString(), mongooseOptions);
+
+  // Read raw documents so projects saved before the schema change are recognised
+  const projects = (await Project.collection.find({}).toArray()).filter(
+    (project) => force || isEmpty(project.eligibility)
+  );
+  console.log(`🔍 ${projects.length} project(s) to migrate${dryRun ? " (dry run)" : ""}`);
+
+  let updated = 0;
+  const needsReview = [];
+
+  for (const project of projects) {
+    const { criteria, unparsed } = criteriaFromLegacy(project);
+    const seats = parseSeats(project.internsRequired);
+    if (project.internsRequired && seats === null) unparsed.push("internsRequired");
+
+    if (unparsed.length > 0) {
+      needsReview.push({
+        _id: project._id.toString(),
+        project_code: project.project_code,
+        fields: unparsed.map((field) => `${field}="${project[field]}"`).join(", "),
+      });
+    }
+
+    if (dryRun) {
+      console.log(project.project_code, JSON.stringify({ seats, eligibility: criteria }));
+      continue;
+    }
+
+    await Project.collection.updateOne(
+      { _id: project._id },
+      { $set: { eligibility: criteria, seats } }
+    );
+    updated += 1;
+  }
+
+  console.log(`✅ ${dryRun ? "Would update" : "Updated"} ${dryRun ? projects.length : updated} project(s)`);
+  if (needsReview.length > 0) {
+    console.warn("⚠️ Could not parse some fields; these are left unrestricted:");
+    console.table(needsReview);
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error("❌ Eligibility migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
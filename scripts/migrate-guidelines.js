@@ -0,0 +1,136 @@
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const { connectionString, mongooseOptions } = require("../services/database");
+const { uploadDir } = require("../middleware/upload");
+const { attachmentDir } = require("../services/attachments");
+
+/**
+ * Migration: legacy guidelines files
+ * Moves the files named by Project.guidelinesFilePath out of uploads/ into
+ * storage/attachments and records them as the project's "guidelines"
+ * attachment, so they are only served through the authorized download routes
+ *
+ * Usage:
+ *   node scripts/migrate-guidelines.js            migrate every project with a guidelinesFilePath
+ *   node scripts/migrate-guidelines.js --dry-run  print what would change
+ *
+ * Projects that already have a guidelines attachment keep it; their legacy
+ * path is cleared and the old file removed. Paths that do not point at a file
+ * under uploads/ are reported and left in place
+ */
+
+const dryRun = process.argv.includes("--dry-run");
+
+const MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+
+// Accepts the stored absolute path, "uploads/<name>" or "/uploads/<name>"
+const resolveUpload = (value) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const candidate = path.isAbsolute(text) && text.startsWith(uploadDir)
+    ? text
+    : path.join(uploadDir, path.basename(text));
+  return fs.existsSync(candidate) ? candidate : null;
+};
+
+// Moves a file, copying when storage/ is on another volume
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+const run = async () => {
+  await mongoose.connect(connectionString(), mongooseOptions);
+
+  // Read raw documents so soft-deleted projects are migrated too
+  const projects = await Project.collection
+    .find({ guidelinesFilePath: { $nin: [null, ""] } })
+    .toArray();
+  console.log(`🔍 ${projects.length} project(s) with a legacy guidelines path${dryRun ? " (dry run)" : ""}`);
+
+  let moved = 0;
+  const notFound = [];
+
+  for (const project of projects) {
+    const source = resolveUpload(project.guidelinesFilePath);
+    const hasGuidelines = (project.attachments || []).some((a) => a.kind === "guidelines");
+
+    if (!source && !hasGuidelines) {
+      notFound.push({
+        _id: project._id.toString(),
+        project_code: project.project_code,
+        path: project.guidelinesFilePath,
+      });
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(project.project_code, hasGuidelines ? "already has guidelines" : `${source} -> ${attachmentDir}`);
+      continue;
+    }
+
+    if (hasGuidelines) {
+      if (source) await fs.promises.unlink(source);
+      await Project.collection.updateOne({ _id: project._id }, { $unset: { guidelinesFilePath: "" } });
+      continue;
+    }
+
+    await fs.promises.mkdir(attachmentDir, { recursive: true });
+    const name = path.basename(source);
+    const target = path.join(attachmentDir, name);
+    await moveFile(source, target);
+    const { size } = await fs.promises.stat(target);
+
+    await Project.collection.updateOne(
+      { _id: project._id },
+      {
+        $push: {
+          attachments: {
+            _id: new mongoose.Types.ObjectId(),
+            kind: "guidelines",
+            filePath: target,
+            // Drop the unique prefix multer added to the original name
+            originalName: name.replace(/^\d+-\d+-/, ""),
+            mimeType: MIME_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream",
+            size,
+            uploadedBy: project.organization_id,
+            uploadedAt: new Date(),
+          },
+        },
+        $unset: { guidelinesFilePath: "" },
+      }
+    );
+    moved += 1;
+  }
+
+  console.log(`✅ ${dryRun ? "Would move" : "Moved"} ${dryRun ? projects.length - notFound.length : moved} file(s)`);
+  if (notFound.length > 0) {
+    console.warn("⚠️ No file found under uploads/ for these paths; they are left as they are:");
+    console.table(notFound);
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error("❌ Guidelines migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
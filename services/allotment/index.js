@@ -0,0 +1,243 @@
+const Project = require("../../models/Project");
+const Application = require("../../models/Application");
+const Student = require("../../models/Student");
+const AllotmentRun = require("../../models/AllotmentRun");
+const { OPEN_STATUSES, applyTransition } = require("../applicationStatus");
+const { preferencesForAllotment } = require("../preferences");
+const { projectSeats } = require("../eligibility");
+const { releaseForApplications } = require("../interviews");
+const { issueOfferLetters, revokeDocuments } = require("../documents");
+const { stableMatch } = require("./matching");
+
+/**
+ * Allotment Service
+ * Loads open applications for active projects, runs the stable matching and,
+ * unless it is a dry run, writes the outcome back to the applications
+ *
+ * - Capacity is Project.seats (or the number in internsRequired for projects
+ *   not yet migrated) minus applications already accepted
+ * - Students who already hold an accepted application are left out, unless
+ *   its project was withdrawn (deleted by the organization)
+ * - Project rankings: Application.orgRank ascending, then unranked applicants
+ *   by application time
+ * - Student preferences: the student's ranked list (frozen snapshot once the
+ *   cycle is locked, see services/preferences.js), followed by any other open
+ *   applications in the order they were submitted
+ */
+
+const SYSTEM_ACTOR_ROLE = "system";
+
+const byApplicationTime = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+const byOrgRank = (a, b) => {
+  if (a.orgRank != null && b.orgRank != null && a.orgRank !== b.orgRank) return a.orgRank - b.orgRank;
+  if (a.orgRank != null && b.orgRank == null) return -1;
+  if (a.orgRank == null && b.orgRank != null) return 1;
+  return byApplicationTime(a, b);
+};
+
+const loadInput = async () => {
+  const projects = await Project.find({ status: "active" }).lean();
+  const projectIds = projects.map((p) => p._id);
+
+  // Acceptances on a project the organization withdrew no longer place a student
+  const accepted = await Application.find({ status: "accepted", projectWithdrawnAt: null })
+    .select("projectId studentId")
+    .lean();
+  const placedStudents = new Set(accepted.map((a) => a.studentId));
+  const acceptedPerProject = new Map();
+  for (const a of accepted) {
+    const key = a.projectId.toString();
+    acceptedPerProject.set(key, (acceptedPerProject.get(key) || 0) + 1);
+  }
+
+  const applications = (
+    await Application.find({ projectId: { $in: projectIds }, status: { $in: OPEN_STATUSES } }).lean()
+  ).filter((a) => !placedStudents.has(a.studentId));
+
+  const projectInput = projects.map((project) => {
+    const id = project._id.toString();
+    const ranking = applications
+      .filter((a) => a.projectId.toString() === id)
+      .sort(byOrgRank)
+      .map((a) => a.studentId);
+    const seats = projectSeats(project);
+    return {
+      id,
+      capacity: Math.max(seats - (acceptedPerProject.get(id) || 0), 0),
+      ranking,
+    };
+  });
+
+  const appliedTo = new Map();
+  for (const application of [...applications].sort(byApplicationTime)) {
+    if (!appliedTo.has(application.studentId)) appliedTo.set(application.studentId, []);
+    appliedTo.get(application.studentId).push(application.projectId.toString());
+  }
+
+  const ranked = await preferencesForAllotment([...appliedTo.keys()]);
+  const preferences = new Map();
+  for (const [studentId, applied] of appliedTo) {
+    const list = ranked.get(studentId) || [];
+    preferences.set(studentId, [...list, ...applied.filter((id) => !list.includes(id))]);
+  }
+  const studentInput = [...preferences.entries()].map(([id, prefs]) => ({ id, preferences: prefs }));
+
+  return { projects, applications, projectInput, studentInput };
+};
+
+// Adds names to the raw matching result so the report can be read on its own
+const buildReport = async (result, projects, applications) => {
+  const projectsById = new Map(projects.map((p) => [p._id.toString(), p]));
+  const applicationFor = new Map(
+    applications.map((a) => [`${a.studentId}:${a.projectId.toString()}`, a._id.toString()])
+  );
+  const studentIds = [...new Set(applications.map((a) => a.studentId))];
+  const students = await Student.find({ studentId: { $in: studentIds } }).select("studentId fullName").lean();
+  const studentNames = new Map(students.map((s) => [s.studentId, s.fullName || ""]));
+
+  const projectLabel = (projectId) => {
+    const project = projectsById.get(projectId);
+    return project
+      ? { project_code: project.project_code, project_name: project.project_name }
+      : {};
+  };
+
+  return {
+    matches: result.matches.map((m) => ({
+      ...m,
+      applicationId: applicationFor.get(`${m.studentId}:${m.projectId}`),
+      studentName: studentNames.get(m.studentId) || "",
+      ...projectLabel(m.projectId),
+    })),
+    unmatched: result.unmatched.map((u) => ({
+      ...u,
+      studentName: studentNames.get(u.studentId) || "",
+      proposals: u.proposals.map((p) => ({ ...p, ...projectLabel(p.projectId) })),
+    })),
+    projects: result.projects.map((p) => ({ ...p, ...projectLabel(p.projectId) })),
+  };
+};
+
+/**
+ * Runs the allotment
+ * @param {object} options
+ * @param {boolean} options.dryRun - only build and record the report
+ * @param {string} options.triggeredBy - admin id, stored on the run
+ * A committed run is saved as "committing" before any application changes and
+ * each change is recorded before it is applied, so a run that fails part way
+ * still lists what it changed and can be rolled back
+ * @returns the saved AllotmentRun document
+ */
+const runAllotment = async ({ dryRun, triggeredBy }) => {
+  const { projects, applications, projectInput, studentInput } = await loadInput();
+  const result = stableMatch({ students: studentInput, projects: projectInput });
+  const report = await buildReport(result, projects, applications);
+
+  const run = new AllotmentRun({
+    dryRun,
+    status: dryRun ? "dry_run" : "committing",
+    triggeredBy,
+    summary: {
+      students: studentInput.length,
+      projects: projectInput.length,
+      matched: result.matches.length,
+      unmatched: result.unmatched.length,
+      seats: projectInput.reduce((sum, p) => sum + p.capacity, 0),
+      seatsFilled: result.matches.length,
+    },
+    report,
+  });
+
+  await run.save();
+  if (dryRun) return run;
+
+  const matched = new Set(result.matches.map((m) => `${m.studentId}:${m.projectId}`));
+  const note = `Allotment run ${run._id}`;
+
+  // Every open application in the run is settled: its match is accepted, the rest rejected
+  for (const { _id } of applications) {
+    const application = await Application.findById(_id);
+    if (!application || !OPEN_STATUSES.includes(application.status)) continue;
+
+    const key = `${application.studentId}:${application.projectId.toString()}`;
+    const to = matched.has(key) ? "accepted" : "rejected";
+    const from = application.status;
+
+    const change = {
+      applicationId: application._id,
+      studentId: application.studentId,
+      projectId: application.projectId,
+      from,
+      to,
+    };
+    await AllotmentRun.updateOne({ _id: run._id }, { $push: { changes: change } });
+    run.changes.push(change);
+
+    applyTransition(application, to, { role: SYSTEM_ACTOR_ROLE, id: triggeredBy }, note);
+    await application.save();
+  }
+
+  await releaseForApplications(
+    run.changes.map((c) => c.applicationId),
+    "Internships have been allotted"
+  );
+  await issueOfferLetters(
+    run.changes.filter((c) => c.to === "accepted").map((c) => c.applicationId),
+    { role: SYSTEM_ACTOR_ROLE, id: triggeredBy }
+  );
+
+  run.status = "committed";
+  await AllotmentRun.updateOne({ _id: run._id }, { status: run.status });
+  return run;
+};
+
+/**
+ * Restores the statuses a committed run changed
+ * Runs left "committing" by a failure part way can be rolled back as well
+ * Offer letters issued for acceptances that are undone are revoked
+ * Applications that have moved on since the run are left alone and reported
+ * Returns the updated run, or an error message
+ */
+const rollbackRun = async (runId, rolledBackBy) => {
+  const run = await AllotmentRun.findById(runId);
+  if (!run) return { error: "Allotment run not found", status: 404 };
+  if (!["committed", "committing"].includes(run.status)) {
+    return { error: `Only committed runs can be rolled back. Status: ${run.status}`, status: 400 };
+  }
+
+  const conflicts = [];
+  const unaccepted = [];
+  const note = `Rollback of allotment run ${run._id}`;
+
+  for (const change of run.changes) {
+    const application = await Application.findById(change.applicationId);
+    if (!application || application.status !== change.to) {
+      conflicts.push({
+        applicationId: change.applicationId,
+        expected: change.to,
+        actual: application ? application.status : "missing",
+      });
+      continue;
+    }
+
+    applyTransition(application, change.from, { role: SYSTEM_ACTOR_ROLE, id: rolledBackBy }, note);
+    await application.save();
+    if (change.to === "accepted") unaccepted.push(application._id);
+  }
+
+  await revokeDocuments(unaccepted, note, "offer_letter");
+
+  run.status = "rolled_back";
+  run.rolledBackAt = new Date();
+  run.rolledBackBy = rolledBackBy;
+  run.rollbackConflicts = conflicts;
+  await run.save();
+
+  return { run };
+};
+
+module.exports = {
+  runAllotment,
+  rollbackRun,
+};
@@ -0,0 +1,138 @@
+/**
+ * Stable Matching
+ * Student-proposing deferred acceptance (Gale–Shapley) with project capacities
+ * Pure function: no database access, so it can be run and checked offline
+ *
+ * Input:
+ *   students: [{ id, preferences: [projectId, ...] }]      most preferred first
+ *   projects: [{ id, capacity, ranking: [studentId, ...] }] most preferred first;
+ *             students missing from a ranking are not acceptable to that project
+ *
+ * Output:
+ *   {
+ *     matches:   [{ studentId, projectId, studentChoice, projectRank }],
+ *     unmatched: [{ studentId, reason, proposals: [{ projectId, outcome }] }],
+ *     projects:  [{ projectId, capacity, filled, remaining }]
+ *   }
+ *
+ * Proposal outcomes:
+ *   held            - the project kept the student (final for matched students)
+ *   displaced       - held, then bumped by a higher-ranked student once full
+ *   rejected_full   - the project was full of higher-ranked students
+ *   not_ranked      - the student is not on the project's ranking
+ *   no_capacity     - the project has no seats
+ *   unknown_project - the project is not part of this run
+ */
+const stableMatch = ({ students, projects }) => {
+  const projectById = new Map();
+  for (const project of projects) {
+    projectById.set(String(project.id), {
+      id: String(project.id),
+      capacity: Math.max(Number(project.capacity) || 0, 0),
+      rank: new Map(project.ranking.map((studentId, index) => [String(studentId), index])),
+      held: [],
+    });
+  }
+
+  const state = new Map();
+  for (const student of students) {
+    state.set(String(student.id), {
+      id: String(student.id),
+      preferences: student.preferences.map(String),
+      next: 0,
+      proposals: [],
+    });
+  }
+
+  const queue = [...state.keys()];
+
+  while (queue.length > 0) {
+    const student = state.get(queue.shift());
+    if (student.next >= student.preferences.length) continue;
+
+    const projectId = student.preferences[student.next];
+    student.next += 1;
+    const project = projectById.get(projectId);
+    const proposal = { projectId, outcome: "held" };
+    student.proposals.push(proposal);
+
+    if (!project) {
+      proposal.outcome = "unknown_project";
+    } else if (project.capacity === 0) {
+      proposal.outcome = "no_capacity";
+    } else if (!project.rank.has(student.id)) {
+      proposal.outcome = "not_ranked";
+    } else {
+      project.held.push(student.id);
+      project.held.sort((a, b) => project.rank.get(a) - project.rank.get(b));
+
+      if (project.held.length <= project.capacity) continue;
+
+      // Over capacity: the lowest-ranked held student is released
+      const released = project.held.pop();
+      const releasedState = state.get(released);
+      const releasedProposal = releasedState.proposals[releasedState.proposals.length - 1];
+      releasedProposal.outcome = released === student.id ? "rejected_full" : "displaced";
+      queue.push(released);
+      continue;
+    }
+
+    queue.push(student.id);
+  }
+
+  const matches = [];
+  for (const project of projectById.values()) {
+    for (const studentId of project.held) {
+      const student = state.get(studentId);
+      matches.push({
+        studentId,
+        projectId: project.id,
+        studentChoice: student.preferences.indexOf(project.id) + 1,
+        projectRank: project.rank.get(studentId) + 1,
+      });
+    }
+  }
+  const matchedIds = new Set(matches.map((m) => m.studentId));
+
+  const unmatched = [...state.values()]
+    .filter((student) => !matchedIds.has(student.id))
+    .map((student) => ({
+      studentId: student.id,
+      reason: unmatchedReason(student),
+      proposals: student.proposals,
+    }));
+
+  return {
+    matches,
+    unmatched,
+    projects: [...projectById.values()].map((project) => ({
+      projectId: project.id,
+      capacity: project.capacity,
+      filled: project.held.length,
+      remaining: project.capacity - project.held.length,
+    })),
+  };
+};
+
+const OUTCOME_REASONS = {
+  rejected_full: "filled with higher-ranked applicants",
+  displaced: "filled with higher-ranked applicants",
+  not_ranked: "not ranked by the organization",
+  no_capacity: "has no seats",
+  unknown_project: "is not open for allotment",
+};
+
+// Human-readable summary of why a student ended up without a project
+const unmatchedReason = (student) => {
+  if (student.preferences.length === 0) {
+    return "No preferred projects to allot";
+  }
+  const parts = student.proposals.map(
+    (p) => `choice ${student.preferences.indexOf(p.projectId) + 1} ${OUTCOME_REASONS[p.outcome] || p.outcome}`
+  );
+  return `No preferred project could take the student: ${parts.join("; ")}`;
+};
+
+module.exports = {
+  stableMatch,
+};
@@ -0,0 +1,89 @@
+/**
+ * Application Status
+ * The application state machine: which status can follow which, and who may move it
+ *
+ *   pending -> shortlisted -> interview -> offered -> accepted
+ *      \____________\______________\__________\---> rejected / withdrawn
+ *
+ * Organizations move applications through review, students withdraw, accept
+ * an offer or move a shortlisted application to interview by booking a slot,
+ * admins may make any valid transition
+ * The allotment engine ("system") settles any open application directly as
+ * accepted or rejected, and may undo its own changes when a run is rolled back
+ * Applications to a project the organization deleted (projectWithdrawnAt) are
+ * frozen for students and organizations until the project is restored
+ */
+
+const STATUSES = ["pending", "shortlisted", "interview", "offered", "accepted", "rejected", "withdrawn"];
+
+const TRANSITIONS = {
+  pending: ["shortlisted", "rejected", "withdrawn"],
+  shortlisted: ["interview", "offered", "rejected", "withdrawn"],
+  interview: ["offered", "rejected", "withdrawn"],
+  offered: ["accepted", "rejected", "withdrawn"],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+// Target statuses each role may set
+const ROLE_TARGETS = {
+  org: ["shortlisted", "interview", "offered", "rejected"],
+  student: ["interview", "accepted", "withdrawn"],
+  admin: STATUSES,
+  system: ["accepted", "rejected"],
+};
+
+const isFinal = (status) => TRANSITIONS[status] && TRANSITIONS[status].length === 0;
+
+// Statuses the allotment engine considers still open
+const OPEN_STATUSES = STATUSES.filter((status) => !isFinal(status));
+
+/**
+ * Returns why `role` cannot move an application from `from` to `to`, or null when allowed
+ * @param {object} [options] - { projectWithdrawn } when the application's project was deleted
+ */
+const transitionError = (from, to, role, { projectWithdrawn = false } = {}) => {
+  if (!STATUSES.includes(to)) {
+    return `Unknown status "${to}". Use one of: ${STATUSES.join(", ")}`;
+  }
+  if (projectWithdrawn && ["student", "org"].includes(role)) {
+    return "The project has been withdrawn; this application can no longer change";
+  }
+  if (!(ROLE_TARGETS[role] || []).includes(to)) {
+    return `You cannot set an application to ${to}`;
+  }
+  if (role === "system") {
+    return OPEN_STATUSES.includes(from) ? null : `Cannot move an application from ${from} to ${to}`;
+  }
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    return `Cannot move an application from ${from} to ${to}`;
+  }
+  return null;
+};
+
+/**
+ * Moves an application to `to` and records who did it (caller saves the document)
+ * @param {object} actor - { role, id }
+ */
+const applyTransition = (application, to, actor, note = "") => {
+  application.statusHistory.push({
+    from: application.status,
+    to,
+    actorRole: actor.role,
+    actorId: String(actor.id),
+    note: note || undefined,
+    at: new Date(),
+  });
+  application.status = to;
+  if (to === "withdrawn") application.withdrawnAt = new Date();
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  isFinal,
+  transitionError,
+  applyTransition,
+};
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { privateDir, restrictedUpload, handleUploadErrors, discardUploads } = require("../middleware/upload");
+
+/**
+ * Project Attachments
+ * Guidelines, brochures, NDA templates and other files uploaded with a project
+ *
+ * - Files are stored under storage/attachments, outside the public /uploads
+ *   mount, and are only served by the authorized download routes
+ * - Guidelines, brochure and NDA template hold one file each; uploading again
+ *   replaces the earlier file. Any number of "other" attachments can be added
+ *
+ * Config (env):
+ *   ATTACHMENT_MAX_SIZE_MB - per-file size limit (default 10)
+ */
+
+const attachmentDir = path.join(privateDir, "attachments");
+
+// Multipart field name -> attachment kind
+const FIELDS = {
+  guidelines: "guidelines",
+  brochure: "brochure",
+  nda_template: "nda_template",
+  attachments: "other",
+};
+const KINDS = Object.values(FIELDS);
+const SINGLE_KINDS = ["guidelines", "brochure", "nda_template"];
+const MAX_OTHER = 10;
+
+const MIME_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "image/png",
+  "image/jpeg",
+];
+
+const maxSizeMb = () => {
+  const value = Number(process.env.ATTACHMENT_MAX_SIZE_MB);
+  return Number.isFinite(value) && value > 0 ? value : 10;
+};
+
+/**
+ * Multipart middleware for project routes; JSON requests pass straight through
+ * Stored files are removed again when the route answers with an error, unless
+ * the route already saved them on the project (see markSaved)
+ */
+const projectUpload = (req, res, next) => {
+  if (!req.is("multipart/form-data")) return next();
+  const middleware = handleUploadErrors(
+    restrictedUpload({ mimeTypes: MIME_TYPES, maxSizeMb: maxSizeMb(), directory: attachmentDir }).fields(
+      Object.keys(FIELDS).map((name) => ({ name, maxCount: FIELDS[name] === "other" ? MAX_OTHER : 1 }))
+    )
+  );
+  res.on("finish", () => {
+    if (res.statusCode >= 400 && !res.locals.attachmentsSaved) discardUploads(req);
+  });
+  return middleware(req, res, next);
+};
+
+// Called once the project holding the uploaded files is saved; a later error keeps them
+const markSaved = (res) => {
+  res.locals.attachmentsSaved = true;
+};
+
+/**
+ * Multipart bodies carry every field as text; parses the JSON-valued ones
+ * Returns an error message, or null
+ */
+const parseMultipartBody = (req) => {
+  if (!req.is("multipart/form-data")) return null;
+  for (const field of ["eligibility"]) {
+    if (typeof req.body[field] !== "string") continue;
+    try {
+      req.body[field] = JSON.parse(req.body[field]);
+    } catch (err) {
+      return `${field} must be a JSON object`;
+    }
+  }
+  return null;
+};
+
+const removeFile = (filePath) => {
+  if (filePath) fs.unlink(filePath, () => {});
+};
+
+/**
+ * Adds the uploaded files of a request to a project (caller saves the document)
+ * Replaced single-kind attachments are returned so their files can be removed after saving
+ * @returns {{ added, replaced }}
+ */
+const addAttachments = (project, files, actor) => {
+  const added = [];
+  const replaced = [];
+  for (const [field, kind] of Object.entries(FIELDS)) {
+    for (const file of (files && files[field]) || []) {
+      if (SINGLE_KINDS.includes(kind)) {
+        replaced.push(...project.attachments.filter((a) => a.kind === kind));
+        project.attachments = project.attachments.filter((a) => a.kind !== kind);
+      }
+      project.attachments.push({
+        kind,
+        filePath: file.path,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedBy: String(actor.id),
+        uploadedAt: new Date(),
+      });
+      added.push(project.attachments[project.attachments.length - 1]);
+    }
+  }
+  return { added, replaced };
+};
+
+/**
+ * Copies attachments to new files, for templates and cloned projects
+ * Attachments whose file no longer exists are skipped
+ * @returns {Promise<Array>} attachment entries pointing at the copies
+ */
+const copyAttachments = async (list, actor) => {
+  await fs.promises.mkdir(attachmentDir, { recursive: true });
+  const copies = [];
+  for (const attachment of list || []) {
+    if (!attachment.filePath || !fs.existsSync(attachment.filePath)) continue;
+    const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${path.basename(attachment.originalName || "attachment")}`;
+    const filePath = path.join(attachmentDir, name);
+    await fs.promises.copyFile(attachment.filePath, filePath);
+    copies.push({
+      kind: attachment.kind,
+      filePath,
+      originalName: attachment.originalName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      uploadedBy: String(actor.id),
+      uploadedAt: new Date(),
+    });
+  }
+  return copies;
+};
+
+/**
+ * Whether more "other" attachments would exceed the limit
+ */
+const tooManyAttachments = (project, files) => {
+  const existing = project.attachments.filter((a) => a.kind === "other").length;
+  return existing + ((files && files.attachments) || []).length > MAX_OTHER;
+};
+
+// Metadata shown to organizations and students; the server path is never exposed
+const formatAttachment = (attachment) => ({
+  _id: attachment._id.toString(),
+  kind: attachment.kind,
+  original_name: attachment.originalName,
+  mime_type: attachment.mimeType,
+  size: attachment.size,
+  uploaded_at: attachment.uploadedAt,
+});
+
+module.exports = {
+  attachmentDir,
+  FIELDS,
+  KINDS,
+  MAX_OTHER,
+  MIME_TYPES,
+  projectUpload,
+  markSaved,
+  parseMultipartBody,
+  addAttachments,
+  copyAttachments,
+  tooManyAttachments,
+  removeFile,
+  formatAttachment,
+};
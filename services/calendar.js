@@ -0,0 +1,92 @@
+/**
+ * iCalendar
+ * Builds RFC 5545 invitations for interview slots, sent through nodemailer's
+ * `icalEvent` option so mail clients show Accept/Decline buttons
+ *
+ * A booking keeps the same UID for its whole life; updates and cancellations
+ * bump SEQUENCE so clients replace the earlier invite instead of adding one
+ */
+
+const PRODUCT_ID = "-//SIA Internship Portal//Interviews//EN";
+
+// 20260105T093000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines longer than 75 octets are folded onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// Parameter values are quoted, so only double quotes need replacing
+const person = (property, { name, email }, extra = "") =>
+  `${property};CN="${String(name || email).replace(/"/g, "'")}"${extra}:mailto:${email}`;
+
+/**
+ * Builds a single-event calendar
+ * @param {object} event
+ * @param {"REQUEST"|"CANCEL"} event.method
+ * @param {string} event.uid
+ * @param {number} event.sequence
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {{ name, email }} event.organizer
+ * @param {Array<{ name, email }>} event.attendees
+ * @returns {string} iCalendar text
+ */
+const buildEvent = (event) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    `METHOD:${event.method}`,
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    `STATUS:${event.method === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer?.email) lines.push(person("ORGANIZER", event.organizer));
+  for (const attendee of event.attendees || []) {
+    if (!attendee.email) continue;
+    lines.push(person("ATTENDEE", attendee, ";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE"));
+  }
+  if (event.method === "REQUEST") {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", "DESCRIPTION:Interview reminder", "TRIGGER:-PT30M", "END:VALARM");
+  }
+  lines.push("END:VEVENT", "END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  buildEvent,
+};
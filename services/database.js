@@ -0,0 +1,44 @@
+/**
+ * Database
+ * MongoDB connection settings shared by the server and the scripts in scripts/
+ *
+ * Config (env):
+ *   MONGODB_URI    - MongoDB connection string (default mongodb://127.0.0.1:27017/sia)
+ *   MONGO_DB_NAME  - database name, replaces any name in the URI (default "internship_db")
+ */
+
+const databaseName = () => process.env.MONGO_DB_NAME || "internship_db";
+
+// Construct MongoDB connection string with database name
+const connectionString = () => {
+  const mongoUri = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/sia";
+  const dbName = databaseName();
+
+  if (!mongoUri.includes('/') || mongoUri.endsWith('/')) {
+    // If URI doesn't have a database name, append it
+    return mongoUri.endsWith('/')
+      ? `${mongoUri}${dbName}`
+      : `${mongoUri}/${dbName}`;
+  }
+  if (mongoUri.match(/\/[^\/]+$/)) {
+    // If URI already has a database name, replace it with MONGO_DB_NAME
+    return mongoUri.replace(/\/[^\/]+$/, `/${dbName}`);
+  }
+  return mongoUri;
+};
+
+// MongoDB connection options for better reliability
+const mongooseOptions = {
+  serverSelectionTimeoutMS: 5000,
+  socketTimeoutMS: 45000,
+  maxPoolSize: 10,
+  minPoolSize: 2,
+  retryWrites: true,
+  w: 'majority'
+};
+
+module.exports = {
+  databaseName,
+  connectionString,
+  mongooseOptions,
+};
@@ -0,0 +1,368 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const Application = require("../models/Application");
+const DocumentTemplate = require("../models/DocumentTemplate");
+const InternshipProgress = require("../models/InternshipProgress");
+const IssuedDocument = require("../models/IssuedDocument");
+const Organization = require("../models/Organization");
+const Project = require("../models/Project");
+const Student = require("../models/Student");
+const { updateCompletion } = require("./progress");
+
+/**
+ * Generated Documents
+ * Renders offer letters and completion certificates as PDFs from
+ * per-organization templates (built-in wording when an organization has none)
+ *
+ * - Offer letters can be issued once an application is accepted; one is
+ *   issued automatically at that moment
+ * - Completion certificates need an internship whose progress record is
+ *   "completed" (final report in, final score at the pass mark)
+ * - Issuing again replaces the earlier document, which then verifies as revoked
+ * - Documents are also revoked when what they attest is undone, e.g. an
+ *   offer letter whose acceptance was rolled back
+ *
+ * Config (env):
+ *   BACKEND_URL        - base of the verification link printed on each document
+ *   DOCUMENT_TIMEZONE  - time zone used for printed dates (default "Asia/Kolkata")
+ */
+
+const KINDS = ["offer_letter", "completion_certificate"];
+const KIND_LABELS = { offer_letter: "Offer letter", completion_certificate: "Completion certificate" };
+
+const documentsDir = path.join(__dirname, "..", "uploads", "documents");
+
+const DEFAULT_TEMPLATES = {
+  offer_letter: {
+    title: "Internship Offer Letter",
+    body: [
+      "Dear {{student.fullName}},",
+      "We are pleased to offer you an internship with {{organization.orgName}} on the project " +
+        "\"{{project.project_name}}\" ({{project.project_code}}).",
+      "The internship runs from {{project.start_date}} to {{project.end_date}}. " +
+        "Your coordinator will be {{coordinator.name}}, {{coordinator.designation}}, " +
+        "who can be reached at {{coordinator.email}}.",
+      "We look forward to working with you.",
+    ].join("\n\n"),
+    signature: "{{coordinator.name}}\n{{coordinator.designation}}, {{organization.orgName}}",
+  },
+  completion_certificate: {
+    title: "Certificate of Completion",
+    body: [
+      "This is to certify that {{student.fullName}} ({{student.studentId}}), " +
+        "{{student.programme}} {{student.discipline}}, has successfully completed an internship " +
+        "with {{organization.orgName}}.",
+      "Project: {{project.project_name}} ({{project.project_code}})\n" +
+        "Duration: {{project.start_date}} to {{project.end_date}}",
+      "We wish them every success in the future.",
+    ].join("\n\n"),
+    signature: "{{coordinator.name}}\n{{coordinator.designation}}, {{organization.orgName}}",
+  },
+};
+
+// Placeholders a template may use, with what they are filled from
+const PLACEHOLDERS = {
+  "student.fullName": "Student's full name",
+  "student.studentId": "Student ID",
+  "student.email": "Student's email address",
+  "student.programme": "Programme from the student's profile",
+  "student.semester": "Semester from the student's profile",
+  "student.discipline": "Discipline from the student's profile",
+  "project.project_code": "Project code",
+  "project.project_name": "Project name",
+  "project.description": "Project description",
+  "project.start_date": "Project start date",
+  "project.end_date": "Project end date",
+  "organization.orgName": "Organization name",
+  "organization.address": "Organization address",
+  "coordinator.name": "Project coordinator (falls back to the organization coordinator)",
+  "coordinator.designation": "Coordinator's designation",
+  "coordinator.email": "Coordinator's email address",
+  "coordinator.phone": "Coordinator's phone number",
+  issue_date: "Date the document is issued",
+  verification_code: "Code that verifies the document",
+  verification_url: "Link to verify the document",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-IN", {
+        timeZone: process.env.DOCUMENT_TIMEZONE || "Asia/Kolkata",
+        dateStyle: "long",
+      })
+    : "";
+
+const verificationUrl = (code) =>
+  `${process.env.BACKEND_URL || "http://localhost:5050"}/verify/${code}`;
+
+// e.g. SIA-7KQ2-M9XD-4PTA; no 0/O or 1/I so codes can be typed from paper
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const newVerificationCode = () => {
+  const chars = Array.from(crypto.randomBytes(12), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `SIA-${chars.slice(0, 4).join("")}-${chars.slice(4, 8).join("")}-${chars.slice(8).join("")}`;
+};
+
+/**
+ * Checks a template from an organization
+ * Returns an error message, or null
+ */
+const templateError = ({ title, body, signature }) => {
+  if (!title || !String(title).trim()) return "title is required";
+  if (!body || !String(body).trim()) return "body is required";
+
+  const unknown = new Set();
+  for (const text of [title, body, signature || ""]) {
+    for (const [, key] of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+      if (!PLACEHOLDERS[key]) unknown.add(key);
+    }
+  }
+  if (unknown.size > 0) {
+    return `Unknown placeholders: ${[...unknown].map((k) => `{{${k}}}`).join(", ")}`;
+  }
+  return null;
+};
+
+// The organization's template, or the built-in one
+const templateFor = async (organizationId, kind) => {
+  const custom = await DocumentTemplate.findOne({ organization_id: organizationId, kind }).lean();
+  return custom || { ...DEFAULT_TEMPLATES[kind], kind, isDefault: true };
+};
+
+const renderText = (text, context) =>
+  String(text || "").replace(PLACEHOLDER_PATTERN, (match, key) => context[key] ?? "");
+
+const buildContext = ({ student, project, org, code, issuedAt }) => {
+  const academic = student.academic || {};
+  return {
+    "student.fullName": student.fullName || student.studentId,
+    "student.studentId": student.studentId,
+    "student.email": student.email || "",
+    "student.programme": academic.programme || "",
+    "student.semester": academic.semester || "",
+    "student.discipline": academic.discipline || "",
+    "project.project_code": project.project_code,
+    "project.project_name": project.project_name,
+    "project.description": project.description || "",
+    "project.start_date": formatDate(project.start_date),
+    "project.end_date": formatDate(project.end_date),
+    "organization.orgName": org?.orgName || "",
+    "organization.address": [org?.detailedAddress, org?.state, org?.country].filter(Boolean).join(", "),
+    "coordinator.name": project.coordinatorName || org?.coordinator?.name || "",
+    "coordinator.designation": project.coordinatorDesignation || org?.coordinator?.designation || "",
+    "coordinator.email": project.coordinatorEmail || org?.coordinator?.email || "",
+    "coordinator.phone": project.coordinatorPhone || org?.coordinator?.phone || "",
+    issue_date: formatDate(issuedAt),
+    verification_code: code,
+    verification_url: verificationUrl(code),
+  };
+};
+
+/**
+ * Writes the PDF and resolves once it is on disk
+ */
+const writePdf = (filePath, { heading, title, paragraphs, signature, footer }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 64, info: { Title: title } });
+    const out = fs.createWriteStream(filePath);
+    out.on("finish", resolve);
+    out.on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(out);
+
+    doc.font("Helvetica-Bold").fontSize(16).text(heading, { align: "center" });
+    doc.moveDown(2);
+    doc.font("Helvetica-Bold").fontSize(20).text(title, { align: "center" });
+    doc.moveDown(2);
+
+    doc.font("Helvetica").fontSize(11);
+    for (const paragraph of paragraphs) {
+      doc.text(paragraph, { align: "justify", lineGap: 2 });
+      doc.moveDown();
+    }
+
+    if (signature) {
+      doc.moveDown(3);
+      doc.text("______________________________");
+      doc.text(signature);
+    }
+
+    const bottom = doc.page.height - doc.page.margins.bottom - 24;
+    doc.fontSize(8).fillColor("#555555").text(footer, doc.page.margins.left, bottom, {
+      align: "center",
+      width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    });
+
+    doc.end();
+  });
+
+/**
+ * Why a document of `kind` cannot be issued for the application, or null
+ */
+const issueBlocker = (kind, application, internship) => {
+  if (!KINDS.includes(kind)) return `kind must be one of: ${KINDS.join(", ")}`;
+  if (application.status !== "accepted") {
+    return `${KIND_LABELS[kind]}s can only be issued for accepted applications`;
+  }
+  if (kind === "completion_certificate" && internship?.completionStatus !== "completed") {
+    return "Completion certificates can only be issued once the internship is assessed as completed";
+  }
+  return null;
+};
+
+/**
+ * Renders and stores a document for an application
+ * Any earlier document of the same kind for the application is revoked
+ * @param {object} actor - { role, id }
+ * @returns {{ document } | { error, status }}
+ */
+const issueDocument = async ({ applicationId, kind, actor }) => {
+  const application = await Application.findById(applicationId).lean();
+  if (!application) return { error: "Application not found", status: 404 };
+
+  const project = await Project.findById(application.projectId).lean();
+  if (!project) return { error: "Project not found", status: 404 };
+
+  const internship = await InternshipProgress.findOne({ applicationId: application._id });
+  // Assessed against today: the project may have ended since the record was saved
+  if (internship && updateCompletion(internship, project)) await internship.save();
+  const blocker = issueBlocker(kind, application, internship);
+  if (blocker) return { error: blocker, status: 400 };
+
+  const [student, org, template] = await Promise.all([
+    Student.findOne({ studentId: application.studentId }).lean(),
+    Organization.findById(project.organization_id).select("orgName detailedAddress state country coordinator").lean(),
+    templateFor(project.organization_id, kind),
+  ]);
+  if (!student) return { error: "Student not found", status: 404 };
+
+  const code = newVerificationCode();
+  const issuedAt = new Date();
+  const context = buildContext({ student, project, org, code, issuedAt });
+
+  fs.mkdirSync(documentsDir, { recursive: true });
+  const filePath = path.join(documentsDir, `${kind}-${crypto.randomBytes(16).toString("hex")}.pdf`);
+
+  await writePdf(filePath, {
+    heading: context["organization.orgName"],
+    title: renderText(template.title, context),
+    paragraphs: renderText(template.body, context).split(/\n\s*\n/),
+    signature: renderText(template.signature, context).trim(),
+    footer: `Issued ${context.issue_date} · Verification code ${code} · ${context.verification_url}`,
+  });
+
+  const previous = await IssuedDocument.find({ applicationId, kind, revokedAt: null }).select("_id").lean();
+
+  const document = await IssuedDocument.create({
+    kind,
+    applicationId,
+    projectId: project._id,
+    organization_id: project.organization_id,
+    studentId: application.studentId,
+    verificationCode: code,
+    filePath,
+    details: {
+      studentName: context["student.fullName"],
+      projectCode: project.project_code,
+      projectName: project.project_name,
+      organizationName: context["organization.orgName"],
+      startDate: project.start_date,
+      endDate: project.end_date,
+    },
+    issuedBy: { role: actor.role, id: String(actor.id) },
+  });
+
+  if (previous.length > 0) {
+    await IssuedDocument.updateMany(
+      { _id: { $in: previous.map((d) => d._id) } },
+      { $set: { revokedAt: issuedAt, revokedReason: `Replaced by ${code}` } }
+    );
+  }
+
+  return { document };
+};
+
+/**
+ * Issues offer letters for newly accepted applications
+ * Best effort: failures are logged and never undo the acceptance
+ */
+const issueOfferLetters = async (applicationIds, actor) => {
+  for (const applicationId of applicationIds) {
+    try {
+      const { error } = await issueDocument({ applicationId, kind: "offer_letter", actor });
+      if (error) console.warn(`⚠️ Offer letter not issued for ${applicationId}: ${error}`);
+    } catch (err) {
+      console.error(`🔥 Offer letter error for ${applicationId}:`, err);
+    }
+  }
+};
+
+/**
+ * Revokes the current documents of the given applications
+ * @param {string} [kind] - only documents of this kind (default: every kind)
+ * @returns the number of documents revoked
+ */
+const revokeDocuments = async (applicationIds, reason, kind) => {
+  if (applicationIds.length === 0) return 0;
+  const filter = { applicationId: { $in: applicationIds }, revokedAt: null };
+  if (kind) filter.kind = kind;
+
+  const { modifiedCount } = await IssuedDocument.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return modifiedCount;
+};
+
+// File name offered when a document is downloaded
+const downloadName = (document) =>
+  `${document.kind === "offer_letter" ? "offer-letter" : "completion-certificate"}-${document.verificationCode}.pdf`;
+
+// Shapes a document for the student and organization lists
+const formatDocument = (document) => ({
+  _id: document._id.toString(),
+  kind: document.kind,
+  label: KIND_LABELS[document.kind],
+  application_id: document.applicationId.toString(),
+  verification_code: document.verificationCode,
+  verification_url: verificationUrl(document.verificationCode),
+  issued_at: document.createdAt,
+  revoked_at: document.revokedAt,
+  revoked_reason: document.revokedReason,
+});
+
+// What GET /verify/:code tells anyone holding a document
+const describeForVerification = (document) => ({
+  valid: !document.revokedAt,
+  kind: document.kind,
+  label: KIND_LABELS[document.kind],
+  verificationCode: document.verificationCode,
+  issuedAt: document.createdAt,
+  studentName: document.details?.studentName || "",
+  studentId: document.studentId,
+  project: {
+    project_code: document.details?.projectCode || "",
+    project_name: document.details?.projectName || "",
+    start_date: document.details?.startDate || null,
+    end_date: document.details?.endDate || null,
+  },
+  organizationName: document.details?.organizationName || "",
+  revokedAt: document.revokedAt,
+  revokedReason: document.revokedReason,
+});
+
+module.exports = {
+  KINDS,
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  templateError,
+  templateFor,
+  issueDocument,
+  issueOfferLetters,
+  revokeDocuments,
+  downloadName,
+  formatDocument,
+  describeForVerification,
+};
@@ -0,0 +1,323 @@
+const { canonicalizeSkills, sameSkill, skillKey } = require("./skills");
+
+/**
+ * Project Eligibility
+ * Structured criteria on Project.eligibility and an evaluator that explains,
+ * criterion by criterion, whether a student meets them
+ *
+ * Criteria shape:
+ *   {
+ *     minCgpa:        Number | null   - on the 10-point scale
+ *     disciplines:    [String]        - empty = any discipline
+ *     programmes:     [String]        - empty = any programme
+ *     semesters:      [Number]        - empty = any semester
+ *     requiredSkills: [String]        - student must list every one
+ *     optionalSkills: [String]        - reported as a bonus, never blocking
+ *   }
+ *
+ * Text comparisons ignore case, spacing and punctuation ("B.Tech" = "btech")
+ * Skills are compared by their canonical name (see services/skills.js)
+ */
+
+const LIST_FIELDS = ["disciplines", "programmes"];
+const SKILL_FIELDS = ["requiredSkills", "optionalSkills"];
+
+// Words used in the old free-text fields to mean "no restriction"
+const ANY_VALUES = new Set(["", "any", "all", "none", "na", "n/a", "open", "open to all", "nil", "-"]);
+
+const ROMAN_SEMESTERS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10 };
+
+const normalizeText = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]/g, "");
+
+const dedupe = (values) => {
+  const seen = new Set();
+  return values.filter((value) => {
+    const key = normalizeText(value);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Splits a free-text list ("CSE, ECE; Mechanical") into its items
+ * Only , ; | and line breaks separate items: "and", "&" and "/" are part of
+ * names such as "Electronics and Communication Engineering"
+ * Returns [] for values that mean "any"
+ */
+const splitList = (value) => {
+  if (Array.isArray(value)) return dedupe(value.map((v) => String(v).trim()));
+  const text = String(value || "").trim();
+  if (ANY_VALUES.has(text.toLowerCase())) return [];
+  return dedupe(
+    text
+      .split(/\s*(?:,|;|\||\n)\s*/)
+      .map((item) => item.trim())
+      .filter((item) => !ANY_VALUES.has(item.toLowerCase()))
+  );
+};
+
+/**
+ * Reads a CGPA from free text ("7.5", ">= 7", "7.0/10", "8 CGPA")
+ * Percentages and values above 10 cannot be mapped and return null
+ */
+const parseCgpa = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 && value <= 10 ? value : null;
+
+  const text = String(value).trim();
+  if (!text || text.includes("%")) return null;
+  const match = text.match(/\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const cgpa = parseFloat(match[0]);
+  return cgpa >= 0 && cgpa <= 10 ? cgpa : null;
+};
+
+// Reads a semester number from "5", "5th", "Sem 5" or "V"
+const parseSemester = (value) => {
+  if (typeof value === "number") return Number.isInteger(value) && value > 0 ? value : null;
+  const text = String(value || "").trim().toLowerCase();
+  const digits = text.match(/\d+/);
+  if (digits) {
+    const semester = parseInt(digits[0], 10);
+    return semester > 0 ? semester : null;
+  }
+  const roman = text.replace(/^sem(ester)?\s*/, "");
+  return ROMAN_SEMESTERS[roman] || null;
+};
+
+// Canonical skill names from an array or free text; "any" means no skills
+const skillList = (value) => {
+  if (!Array.isArray(value) && ANY_VALUES.has(String(value || "").trim().toLowerCase())) return [];
+  return canonicalizeSkills(value).filter((skill) => !ANY_VALUES.has(skill.toLowerCase()));
+};
+
+const emptyCriteria = () => ({
+  minCgpa: null,
+  disciplines: [],
+  programmes: [],
+  semesters: [],
+  requiredSkills: [],
+  optionalSkills: [],
+});
+
+/**
+ * Validates criteria sent by an organization
+ * Lists may be arrays or comma-separated strings
+ * Returns { criteria } or { error }
+ */
+const normalizeCriteria = (input) => {
+  if (input === null || input === undefined) return { criteria: emptyCriteria() };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "eligibility must be an object" };
+  }
+
+  const criteria = emptyCriteria();
+
+  if (input.minCgpa !== undefined && input.minCgpa !== null && input.minCgpa !== "") {
+    const minCgpa = Number(input.minCgpa);
+    if (!Number.isFinite(minCgpa) || minCgpa < 0 || minCgpa > 10) {
+      return { error: "eligibility.minCgpa must be a number between 0 and 10" };
+    }
+    criteria.minCgpa = minCgpa;
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) {
+      criteria[field] = splitList(input[field]);
+    }
+  }
+
+  for (const field of SKILL_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) {
+      criteria[field] = skillList(input[field]);
+    }
+  }
+
+  if (input.semesters !== undefined && input.semesters !== null) {
+    const raw = Array.isArray(input.semesters) ? input.semesters : splitList(input.semesters);
+    const semesters = raw.map(parseSemester);
+    if (semesters.some((s) => s === null)) {
+      return { error: "eligibility.semesters must be positive semester numbers" };
+    }
+    criteria.semesters = [...new Set(semesters)].sort((a, b) => a - b);
+  }
+
+  // A skill that is required is not also optional
+  const required = new Set(criteria.requiredSkills.map(skillKey));
+  criteria.optionalSkills = criteria.optionalSkills.filter((s) => !required.has(skillKey(s)));
+
+  return { criteria };
+};
+
+/**
+ * Reads a seat count from the legacy internsRequired text ("3", "3 interns")
+ * Returns null when there is no usable number
+ */
+const parseSeats = (value) => {
+  if (typeof value === "number") return Number.isInteger(value) && value >= 0 ? value : null;
+  const match = String(value || "").match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+// Seats offered by a project: Project.seats, or the number in internsRequired for unmigrated projects
+const projectSeats = (project) =>
+  project.seats !== null && project.seats !== undefined
+    ? project.seats
+    : parseSeats(project.internsRequired) || 0;
+
+/**
+ * Builds criteria from the legacy free-text project fields
+ * The skills text was never enforced, so it becomes optional skills
+ * Returns { criteria, unparsed } where unparsed lists fields that had text but
+ * could not be understood (left unrestricted)
+ */
+const criteriaFromLegacy = (project) => {
+  const criteria = emptyCriteria();
+  const unparsed = [];
+
+  const cgpaText = String(project.cgpaRequirement || "").trim();
+  if (cgpaText && !ANY_VALUES.has(cgpaText.toLowerCase())) {
+    criteria.minCgpa = parseCgpa(cgpaText);
+    if (criteria.minCgpa === null) unparsed.push("cgpaRequirement");
+  }
+
+  criteria.disciplines = splitList(project.discipline);
+  criteria.optionalSkills = skillList(project.skills);
+
+  return { criteria, unparsed };
+};
+
+// Whether the criteria restrict anything at all (optional skills never do)
+const hasCriteria = (criteria) => {
+  if (!criteria) return false;
+  if (criteria.minCgpa !== null && criteria.minCgpa !== undefined) return true;
+  return ["disciplines", "programmes", "semesters", "requiredSkills"].some(
+    (field) => (criteria[field] || []).length > 0
+  );
+};
+
+const matchesAny = (value, allowed) => {
+  const key = normalizeText(value);
+  return Boolean(key) && allowed.some((item) => normalizeText(item) === key);
+};
+
+/**
+ * Evaluates a student against a project's criteria
+ * @returns {{ eligible: boolean, checks: Array<{ criterion, met, required, actual, message }>,
+ *            missingSkills: string[], matchedOptionalSkills: string[] }}
+ */
+const evaluateEligibility = (criteria, student) => {
+  const rules = { ...emptyCriteria(), ...(criteria || {}) };
+  const academic = student?.academic || {};
+  const checks = [];
+
+  if (rules.minCgpa !== null && rules.minCgpa !== undefined) {
+    const cgpa = parseCgpa(academic.cgpa);
+    const met = cgpa !== null && cgpa >= rules.minCgpa;
+    checks.push({
+      criterion: "minCgpa",
+      met,
+      required: rules.minCgpa,
+      actual: cgpa,
+      message:
+        cgpa === null
+          ? `A CGPA of at least ${rules.minCgpa} is required and your profile has no CGPA`
+          : met
+            ? `CGPA ${cgpa} meets the minimum of ${rules.minCgpa}`
+            : `CGPA ${cgpa} is below the minimum of ${rules.minCgpa}`,
+    });
+  }
+
+  const membership = [
+    ["disciplines", academic.discipline, "Discipline"],
+    ["programmes", academic.programme, "Programme"],
+  ];
+  for (const [criterion, value, label] of membership) {
+    const allowed = rules[criterion] || [];
+    if (allowed.length === 0) continue;
+    const met = matchesAny(value, allowed);
+    checks.push({
+      criterion,
+      met,
+      required: allowed,
+      actual: value || null,
+      message: !value
+        ? `${label} must be one of: ${allowed.join(", ")}. Your profile has none`
+        : met
+          ? `${label} ${value} is accepted`
+          : `${label} ${value} is not one of: ${allowed.join(", ")}`,
+    });
+  }
+
+  if ((rules.semesters || []).length > 0) {
+    const semester = parseSemester(academic.semester);
+    const met = semester !== null && rules.semesters.includes(semester);
+    checks.push({
+      criterion: "semesters",
+      met,
+      required: rules.semesters,
+      actual: semester,
+      message:
+        semester === null
+          ? `Semester must be one of: ${rules.semesters.join(", ")}. Your profile has none`
+          : met
+            ? `Semester ${semester} is accepted`
+            : `Semester ${semester} is not one of: ${rules.semesters.join(", ")}`,
+    });
+  }
+
+  const studentSkills = skillList(academic.skills);
+  const has = (skill) => studentSkills.some((own) => sameSkill(own, skill));
+
+  const missingSkills = (rules.requiredSkills || []).filter((skill) => !has(skill));
+  if ((rules.requiredSkills || []).length > 0) {
+    checks.push({
+      criterion: "requiredSkills",
+      met: missingSkills.length === 0,
+      required: rules.requiredSkills,
+      actual: studentSkills,
+      message:
+        missingSkills.length === 0
+          ? "All required skills are listed in your profile"
+          : `Missing required skills: ${missingSkills.join(", ")}`,
+    });
+  }
+
+  const matchedOptionalSkills = (rules.optionalSkills || []).filter(has);
+
+  return {
+    eligible: checks.every((check) => check.met),
+    checks,
+    missingSkills,
+    matchedOptionalSkills,
+  };
+};
+
+/**
+ * Summarises an evaluation as a single sentence for error responses
+ */
+const explainIneligibility = (evaluation) =>
+  evaluation.checks
+    .filter((check) => !check.met)
+    .map((check) => check.message)
+    .join("; ");
+
+module.exports = {
+  emptyCriteria,
+  normalizeCriteria,
+  criteriaFromLegacy,
+  hasCriteria,
+  matchesAny,
+  parseCgpa,
+  parseSemester,
+  parseSeats,
+  projectSeats,
+  splitList,
+  skillList,
+  evaluateEligibility,
+  explainIneligibility,
+};
@@ -0,0 +1,43 @@
+const { transporter, defaultFrom, escapeHtml } = require("./mailer");
+const { issueEmailVerificationToken } = require("./tokenService");
+
+/**
+ * Email Verification
+ * Sends signed confirmation links for student emails and organization
+ * coordinator emails
+ *
+ * Accounts created before verification existed have no `emailVerified` field
+ * and are treated as verified; only an explicit `false` blocks login/reset
+ */
+
+const roleNames = { student: "student", org: "organization coordinator" };
+
+const isUnverified = (account) => account.emailVerified === false;
+
+/**
+ * Emails a verification link for `email` (the new address when changing email)
+ */
+const sendVerificationEmail = async ({ role, account, email, name }) => {
+  const token = issueEmailVerificationToken({ subject: account._id, role, email });
+  const baseUrl = process.env.BACKEND_URL || "http://localhost:5050";
+  const link = `${baseUrl}/verify-email?token=${token}`;
+
+  await transporter.sendMail({
+    from: defaultFrom(),
+    to: email,
+    subject: "Confirm your email address",
+    html: `
+      <p>Dear ${escapeHtml(name || "user")},</p>
+      <p>Please confirm that this is the email address for your SIA ${roleNames[role]} account:</p>
+      <a href="${link}"
+         style="background:#4F46E5;color:white;padding:10px 20px;text-decoration:none;border-radius:8px;">✅ Confirm email</a>
+      <p>If the link has expired, you can request a new one from the login page.</p>
+      <p>If you did not create this account, you can ignore this email.</p>
+    `,
+  });
+};
+
+module.exports = {
+  isUnverified,
+  sendVerificationEmail,
+};
@@ -0,0 +1,414 @@
+const Application = require("../models/Application");
+const InterviewSlot = require("../models/InterviewSlot");
+const Organization = require("../models/Organization");
+const Project = require("../models/Project");
+const Student = require("../models/Student");
+const { transporter, defaultFrom, escapeHtml } = require("./mailer");
+const { buildEvent } = require("./calendar");
+const { applyTransition, transitionError } = require("./applicationStatus");
+
+/**
+ * Interview Scheduling
+ * Organizations publish slots per project; shortlisted students book one slot
+ * per application. Every booking, reschedule and cancellation emails an .ics
+ * invite to the student and the project coordinator, and a reminder is sent
+ * before each booked interview.
+ *
+ * Double-booking is prevented with conditional updates: a slot is claimed only
+ * while it is still open, and an application only moves to a new slot if it
+ * still points at the slot the request started from.
+ *
+ * Config (env):
+ *   INTERVIEW_TIMEZONE                  - time zone used in email text (default "Asia/Kolkata")
+ *   INTERVIEW_REMINDER_HOURS            - how long before an interview the reminder goes out (default 24)
+ *   INTERVIEW_REMINDER_INTERVAL_MINUTES - how often due reminders are checked; 0 disables (default 15)
+ */
+
+const MODES = ["online", "in_person", "phone"];
+const MODE_LABELS = { online: "Online", in_person: "In person", phone: "Phone" };
+
+// Application statuses that can hold an interview booking
+const BOOKABLE_STATUSES = ["shortlisted", "interview"];
+
+const MIN_DURATION = 5;
+const MAX_DURATION = 8 * 60;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const endOf = (slot) => new Date(new Date(slot.startsAt).getTime() + slot.durationMinutes * 60 * 1000);
+
+const overlaps = (a, b) => a.startsAt < endOf(b) && b.startsAt < endOf(a);
+
+const formatTime = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    timeZone: process.env.INTERVIEW_TIMEZONE || "Asia/Kolkata",
+    dateStyle: "full",
+    timeStyle: "short",
+  });
+
+/**
+ * Validates one slot from an organization request
+ * Returns { slot } or { error }
+ */
+const validateSlot = (input) => {
+  const startsAt = new Date(input.startsAt);
+  if (!input.startsAt || Number.isNaN(startsAt.getTime())) {
+    return { error: "startsAt must be a valid date" };
+  }
+  if (startsAt <= new Date()) {
+    return { error: "startsAt must be in the future" };
+  }
+
+  const durationMinutes = Number(input.durationMinutes);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < MIN_DURATION || durationMinutes > MAX_DURATION) {
+    return { error: `durationMinutes must be a whole number between ${MIN_DURATION} and ${MAX_DURATION}` };
+  }
+
+  if (!MODES.includes(input.mode)) {
+    return { error: `mode must be one of: ${MODES.join(", ")}` };
+  }
+  if (input.mode === "in_person" && !input.location) {
+    return { error: "location is required for in-person interviews" };
+  }
+  if (input.mode === "online" && !input.meetingLink) {
+    return { error: "meetingLink is required for online interviews" };
+  }
+
+  return {
+    slot: {
+      startsAt,
+      durationMinutes,
+      mode: input.mode,
+      location: input.location || "",
+      meetingLink: input.meetingLink || "",
+      notes: input.notes || "",
+    },
+  };
+};
+
+/**
+ * Publishes slots for a project
+ * Slots of the same project may not overlap (one interview panel per project)
+ * Returns { slots } or { error, index }
+ */
+const createSlots = async (project, inputs) => {
+  const slots = [];
+  for (const [index, input] of inputs.entries()) {
+    const { slot, error } = validateSlot(input || {});
+    if (error) return { error, index };
+    slots.push(slot);
+  }
+
+  const existing = await InterviewSlot.find({
+    projectId: project._id,
+    status: { $ne: "cancelled" },
+    startsAt: { $lt: new Date(Math.max(...slots.map((s) => endOf(s).getTime()))) },
+  }).lean();
+
+  for (const [index, slot] of slots.entries()) {
+    const clash = [...existing, ...slots.slice(0, index)].find((other) => overlaps(slot, other));
+    if (clash) {
+      return { error: `Slot overlaps another slot starting ${formatTime(clash.startsAt)}`, index };
+    }
+  }
+
+  const created = await InterviewSlot.insertMany(
+    slots.map((slot) => ({ ...slot, projectId: project._id, organization_id: project.organization_id }))
+  );
+  return { slots: created };
+};
+
+// Student, project and coordinator details needed for an invite
+const loadParties = async (slot) => {
+  const [student, project] = await Promise.all([
+    Student.findOne({ studentId: slot.studentId }).select("fullName email").lean(),
+    Project.findById(slot.projectId).lean(),
+  ]);
+  const org = project
+    ? await Organization.findById(project.organization_id).select("orgName coordinator").lean()
+    : null;
+
+  const coordinator = {
+    name: project?.coordinatorName || org?.coordinator?.name || org?.orgName || "Coordinator",
+    email: project?.coordinatorEmail || org?.coordinator?.email || null,
+  };
+
+  return {
+    student: { name: student?.fullName || slot.studentId, email: student?.email || null },
+    coordinator,
+    projectName: project?.project_name || "Internship project",
+    orgName: org?.orgName || "",
+  };
+};
+
+const whereText = (slot) => {
+  if (slot.mode === "online") return slot.meetingLink;
+  if (slot.mode === "phone") return slot.location || "By phone";
+  return slot.location;
+};
+
+/**
+ * Emails the .ics for a slot's booking to the student and the coordinator
+ * kind: "booked" | "rescheduled" | "cancelled" | "reminder"
+ * Email failures are logged and never undo the booking change
+ */
+const sendInvite = async (slot, kind, reason = "") => {
+  try {
+    const parties = await loadParties(slot);
+    const method = kind === "cancelled" ? "CANCEL" : "REQUEST";
+    const summary = `Interview: ${parties.projectName}${parties.orgName ? ` (${parties.orgName})` : ""}`;
+    const where = whereText(slot);
+
+    const content = buildEvent({
+      method,
+      uid: slot.inviteUid,
+      sequence: slot.inviteSequence,
+      start: slot.startsAt,
+      end: endOf(slot),
+      summary,
+      description: [
+        `${MODE_LABELS[slot.mode]} interview with ${parties.student.name}`,
+        slot.notes,
+        reason && `Reason: ${reason}`,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      location: where,
+      url: slot.mode === "online" ? slot.meetingLink : undefined,
+      organizer: parties.coordinator,
+      attendees: [parties.student],
+    });
+
+    const subjects = {
+      booked: `Interview scheduled: ${parties.projectName}`,
+      rescheduled: `Interview rescheduled: ${parties.projectName}`,
+      cancelled: `Interview cancelled: ${parties.projectName}`,
+      reminder: `Reminder: interview ${formatTime(slot.startsAt)}`,
+    };
+
+    const recipients = [parties.student, parties.coordinator].filter((p) => p.email);
+    await Promise.all(
+      recipients.map((recipient) =>
+        transporter.sendMail({
+          from: defaultFrom(),
+          to: recipient.email,
+          subject: subjects[kind],
+          html: `
+            <p>Dear ${escapeHtml(recipient.name)},</p>
+            <p>${
+              kind === "cancelled"
+                ? "The following interview has been cancelled:"
+                : kind === "reminder"
+                  ? "This is a reminder of your upcoming interview:"
+                  : `The following interview has been ${kind}:`
+            }</p>
+            <p><b>${escapeHtml(summary)}</b><br/>
+               Student: ${escapeHtml(parties.student.name)}<br/>
+               When: ${formatTime(slot.startsAt)} (${slot.durationMinutes} minutes)<br/>
+               Mode: ${MODE_LABELS[slot.mode]}${where ? `<br/>Where: ${escapeHtml(where)}` : ""}</p>
+            ${reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : ""}
+            <p>The attached calendar invite updates your calendar automatically.</p>
+          `,
+          icalEvent: { method, filename: "interview.ics", content },
+        })
+      )
+    );
+  } catch (err) {
+    console.error(`🔥 Interview ${kind} email error:`, err);
+  }
+};
+
+// Frees a booked slot; the caller decides whether it can be booked again
+const releaseSlot = (slot, status) =>
+  InterviewSlot.findOneAndUpdate(
+    { _id: slot._id, status: "booked", applicationId: slot.applicationId },
+    {
+      $set: { status, applicationId: null, studentId: null, bookedAt: null, reminderSentAt: null },
+      $inc: { inviteSequence: 1 },
+    },
+    { new: false }
+  );
+
+/**
+ * Books (or moves the booking to) `slotId` for an application
+ * Returns { slot } or { error, status }
+ */
+const bookSlot = async (application, slotId, studentId) => {
+  if (!BOOKABLE_STATUSES.includes(application.status)) {
+    return { error: "Only shortlisted applications can book an interview", status: 400 };
+  }
+  // A first booking moves the application to interview; it must be a transition the student may make
+  if (application.status !== "interview") {
+    const error = transitionError(application.status, "interview", "student", {
+      projectWithdrawn: Boolean(application.projectWithdrawnAt),
+    });
+    if (error) return { error, status: 400 };
+  }
+
+  const previousSlotId = application.interviewSlotId || null;
+  if (previousSlotId && previousSlotId.toString() === String(slotId)) {
+    return { error: "You have already booked this slot", status: 409 };
+  }
+
+  const previous = previousSlotId ? await InterviewSlot.findById(previousSlotId).lean() : null;
+  const now = new Date();
+
+  // Claim the slot only if nobody else has; this is what prevents double-booking
+  const slot = await InterviewSlot.findOneAndUpdate(
+    { _id: slotId, projectId: application.projectId, status: "open", startsAt: { $gt: now } },
+    {
+      $set: {
+        status: "booked",
+        applicationId: application._id,
+        studentId,
+        bookedAt: now,
+        reminderSentAt: null,
+        // A reschedule keeps the UID so calendars move the existing entry
+        inviteUid: previous?.inviteUid || `interview-${application._id}-${now.getTime()}@sia`,
+        inviteSequence: previous ? (previous.inviteSequence || 0) + 1 : 0,
+      },
+    },
+    { new: true }
+  );
+  if (!slot) {
+    const exists = await InterviewSlot.exists({ _id: slotId, projectId: application.projectId });
+    return exists
+      ? { error: "This slot is no longer available", status: 409 }
+      : { error: "Interview slot not found", status: 404 };
+  }
+
+  // Point the application at the new slot only if no other request moved it first
+  const linked = await Application.findOneAndUpdate(
+    { _id: application._id, interviewSlotId: previousSlotId },
+    { $set: { interviewSlotId: slot._id } },
+    { new: true }
+  );
+  if (!linked) {
+    await releaseSlot(slot, "open");
+    return { error: "Your booking changed while this request was processed. Please try again.", status: 409 };
+  }
+
+  if (previous && previous.status === "booked") {
+    await releaseSlot(previous, "open");
+  }
+
+  const moveError = transitionError(linked.status, "interview", "student", {
+    projectWithdrawn: Boolean(linked.projectWithdrawnAt),
+  });
+  if (linked.status !== "interview" && !moveError) {
+    applyTransition(linked, "interview", { role: "student", id: studentId }, "Interview slot booked");
+    await linked.save();
+  }
+
+  await sendInvite(slot, previous ? "rescheduled" : "booked");
+  return { slot, application: linked };
+};
+
+/**
+ * Cancels the booking on a slot and emails the cancellation
+ * reopen: true  - the slot becomes bookable again (student cancelled, application closed)
+ *         false - the slot itself is withdrawn (organization cancelled it)
+ */
+const cancelBooking = async (slot, reason, { reopen }) => {
+  const released = await releaseSlot(slot, reopen ? "open" : "cancelled");
+  if (!released) return false;
+
+  await Application.updateOne(
+    { _id: released.applicationId, interviewSlotId: released._id },
+    { $set: { interviewSlotId: null } }
+  );
+
+  await sendInvite(
+    { ...released.toObject(), inviteSequence: (released.inviteSequence || 0) + 1 },
+    "cancelled",
+    reason
+  );
+  return true;
+};
+
+/**
+ * Cancels a slot an organization no longer offers, notifying any booked student
+ */
+const cancelSlot = async (slot, reason) => {
+  if (slot.status === "booked") {
+    const cancelled = await cancelBooking(slot, reason || "The organization cancelled this interview slot", {
+      reopen: false,
+    });
+    if (cancelled) return;
+  }
+  await InterviewSlot.updateOne({ _id: slot._id, status: { $ne: "booked" } }, { $set: { status: "cancelled" } });
+};
+
+/**
+ * Frees the interview bookings of applications that can no longer be interviewed
+ * (withdrawn, rejected, settled by the allotment engine, project deleted)
+ */
+const releaseForApplications = async (applicationIds, reason) => {
+  if (!applicationIds || applicationIds.length === 0) return;
+
+  // Interviews that already took place are kept as a record
+  const slots = await InterviewSlot.find({
+    applicationId: { $in: applicationIds },
+    status: "booked",
+    startsAt: { $gt: new Date() },
+  });
+  for (const slot of slots) {
+    await cancelBooking(slot, reason, { reopen: true });
+  }
+};
+
+/**
+ * Sends reminders for booked interviews starting within INTERVIEW_REMINDER_HOURS
+ * Each slot is claimed before sending so several instances never send twice
+ */
+const sendDueReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + envNumber("INTERVIEW_REMINDER_HOURS", 24) * 60 * 60 * 1000);
+  let sent = 0;
+
+  for (;;) {
+    const slot = await InterviewSlot.findOneAndUpdate(
+      { status: "booked", reminderSentAt: null, startsAt: { $gt: now, $lte: horizon } },
+      { $set: { reminderSentAt: now } },
+      { new: true }
+    );
+    if (!slot) break;
+    await sendInvite(slot, "reminder");
+    sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Starts the background reminder check (called once the database is connected)
+ */
+const startReminderScheduler = () => {
+  const minutes = envNumber("INTERVIEW_REMINDER_INTERVAL_MINUTES", 15);
+  if (minutes === 0) return null;
+
+  const tick = () =>
+    sendDueReminders()
+      .then((sent) => sent > 0 && console.log(`📅 Sent ${sent} interview reminder(s)`))
+      .catch((err) => console.error("🔥 Interview reminder error:", err));
+
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = {
+  MODES,
+  BOOKABLE_STATUSES,
+  createSlots,
+  bookSlot,
+  cancelBooking,
+  cancelSlot,
+  releaseForApplications,
+  sendDueReminders,
+  startReminderScheduler,
+};
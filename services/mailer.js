@@ -0,0 +1,28 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * Shared SMTP transporter
+ * Used by index.js and any service that sends email
+ */
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: false,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+});
+
+const defaultFrom = () => `"SIA Support" <${process.env.SMTP_USER}>`;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Escapes user-entered text (names, notes, project titles) for email HTML
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+module.exports = {
+  transporter,
+  defaultFrom,
+  escapeHtml,
+};
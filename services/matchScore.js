@@ -0,0 +1,109 @@
+const { evaluateEligibility, matchesAny, parseCgpa, skillList, splitList } = require("./eligibility");
+const { sameSkill } = require("./skills");
+
+/**
+ * Match Score
+ * How well a student fits a project, 0-100, with a per-factor breakdown
+ * Used by student recommendations and the organization applicant sort
+ *
+ * Factors (each scored 0-1, then weighted):
+ *   skills      - share of the project's skills the student has; required
+ *                 skills count double the optional ones
+ *   cgpa        - margin above the project's minimum CGPA (a full point at
+ *                 2 or more above it); without a minimum, CGPA out of 10
+ *   discipline  - whether the student's discipline is one the project lists
+ *
+ * A factor the project does not specify scores NEUTRAL so it neither helps
+ * nor hurts; a factor the student's profile lacks scores 0
+ */
+
+const WEIGHTS = { skills: 0.6, cgpa: 0.25, discipline: 0.15 };
+const NEUTRAL = 0.5;
+const FULL_CGPA_MARGIN = 2;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const skillsFactor = (criteria, studentSkills) => {
+  const required = criteria.requiredSkills || [];
+  const optional = criteria.optionalSkills || [];
+  if (required.length === 0 && optional.length === 0) {
+    return { value: NEUTRAL, detail: "The project lists no skills" };
+  }
+
+  const has = (skill) => studentSkills.some((own) => sameSkill(own, skill));
+  const matchedRequired = required.filter(has);
+  const matchedOptional = optional.filter(has);
+  const total = required.length * 2 + optional.length;
+  const value = (matchedRequired.length * 2 + matchedOptional.length) / total;
+
+  return {
+    value,
+    detail: `${matchedRequired.length}/${required.length} required and ${matchedOptional.length}/${optional.length} optional skills`,
+    matched: [...matchedRequired, ...matchedOptional],
+  };
+};
+
+const cgpaFactor = (criteria, cgpa) => {
+  if (cgpa === null) return { value: 0, detail: "No CGPA on the profile" };
+
+  const min = criteria.minCgpa;
+  if (min === null || min === undefined) {
+    return { value: cgpa / 10, detail: `CGPA ${cgpa} out of 10 (no minimum set)` };
+  }
+  if (cgpa < min) return { value: 0, detail: `CGPA ${cgpa} is below the minimum of ${min}` };
+
+  const margin = cgpa - min;
+  return {
+    value: NEUTRAL + (1 - NEUTRAL) * Math.min(margin / FULL_CGPA_MARGIN, 1),
+    detail: `CGPA ${cgpa} is ${round(margin)} above the minimum of ${min}`,
+  };
+};
+
+const disciplineFactor = (criteria, project, discipline) => {
+  const allowed =
+    (criteria.disciplines || []).length > 0 ? criteria.disciplines : splitList(project.discipline);
+  if (allowed.length === 0) return { value: NEUTRAL, detail: "Open to every discipline" };
+  if (!discipline) return { value: 0, detail: "No discipline on the profile" };
+
+  const fits = matchesAny(discipline, allowed);
+  return {
+    value: fits ? 1 : 0,
+    detail: fits ? `${discipline} is a listed discipline` : `${discipline} is not a listed discipline`,
+  };
+};
+
+/**
+ * Scores a student against a project
+ * @returns {{ score: number, eligible: boolean,
+ *            breakdown: Array<{ factor, weight, value, points, detail }> }}
+ */
+const matchScore = (project, student) => {
+  const criteria = project.eligibility || {};
+  const academic = student?.academic || {};
+
+  const factors = {
+    skills: skillsFactor(criteria, skillList(academic.skills)),
+    cgpa: cgpaFactor(criteria, parseCgpa(academic.cgpa)),
+    discipline: disciplineFactor(criteria, project, academic.discipline),
+  };
+
+  const breakdown = Object.entries(factors).map(([factor, { value, detail, matched }]) => ({
+    factor,
+    weight: WEIGHTS[factor],
+    value: round(value),
+    points: round(value * WEIGHTS[factor] * 100, 1),
+    detail,
+    ...(matched ? { matched } : {}),
+  }));
+
+  return {
+    score: round(breakdown.reduce((sum, f) => sum + f.points, 0), 1),
+    eligible: evaluateEligibility(criteria, student).eligible,
+    breakdown,
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  matchScore,
+};
@@ -0,0 +1,18 @@
+const fs = require("fs");
+const createStoredCodeProvider = require("./storedCodeProvider");
+
+/**
+ * Development OTP provider
+ * Codes are stored in Mongo like the email provider, but written to the log
+ * (and appended to OTP_LOG_FILE when set) instead of being sent anywhere
+ */
+const deliver = async ({ to, purpose, code, expiresInMinutes }) => {
+  const line = `[${new Date().toISOString()}] OTP for ${to} (${purpose}): ${code} - expires in ${expiresInMinutes} min`;
+  console.log("🔑", line);
+
+  if (process.env.OTP_LOG_FILE) {
+    await fs.promises.appendFile(process.env.OTP_LOG_FILE, `${line}\n`);
+  }
+};
+
+module.exports = createStoredCodeProvider({ name: "console", deliver });
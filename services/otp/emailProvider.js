@@ -0,0 +1,26 @@
+const { transporter, defaultFrom, escapeHtml } = require("../mailer");
+const createStoredCodeProvider = require("./storedCodeProvider");
+
+/**
+ * Self-hosted OTP provider
+ * Codes are stored in Mongo and delivered to the account email over SMTP
+ */
+const deliver = async ({ code, email, name, expiresInMinutes }) => {
+  if (!email) {
+    throw new Error("No email address on file for OTP delivery");
+  }
+
+  await transporter.sendMail({
+    from: defaultFrom(),
+    to: email,
+    subject: "Your SIA verification code",
+    html: `
+      <p>Dear ${escapeHtml(name || "user")},</p>
+      <p>Your verification code is:</p>
+      <h2 style="letter-spacing:4px;">${code}</h2>
+      <p>This code will expire in ${expiresInMinutes} minutes.</p>
+    `,
+  });
+};
+
+module.exports = createStoredCodeProvider({ name: "email", deliver });
@@ -0,0 +1,40 @@
+/**
+ * OTP Provider
+ * Every provider exposes the same interface:
+ *   send({ to, purpose, email?, name? })  - issue and deliver a code
+ *   verify({ to, purpose, code })         - resolves { approved, reason? }
+ *
+ * Config (env):
+ *   OTP_PROVIDER - "twilio" | "email" | "console"
+ *                  defaults to "twilio" when TWILIO_ACCOUNT_SID is set, else "console"
+ *                  "console" is refused when NODE_ENV=production
+ */
+
+const providers = {
+  twilio: () => require("./twilioProvider"),
+  email: () => require("./emailProvider"),
+  console: () => require("./consoleProvider"),
+};
+
+const resolveProviderName = () => {
+  if (process.env.OTP_PROVIDER) return process.env.OTP_PROVIDER.toLowerCase();
+  return process.env.TWILIO_ACCOUNT_SID ? "twilio" : "console";
+};
+
+const createOtpProvider = () => {
+  const name = resolveProviderName();
+  const load = providers[name];
+  if (!load) {
+    throw new Error(`Unknown OTP_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(", ")}`);
+  }
+
+  // Codes would only reach the log; fail at startup instead of locking users out
+  if (name === "console" && process.env.NODE_ENV === "production") {
+    throw new Error("No OTP provider configured for production. Set OTP_PROVIDER to twilio or email");
+  }
+  console.log("🔑 OTP provider:", name);
+
+  return load();
+};
+
+module.exports = createOtpProvider();
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const OtpCode = require("../../models/OtpCode");
+
+/**
+ * Stored-code OTP provider
+ * Generates codes locally, keeps a bcrypt hash in Mongo with an expiry and
+ * an attempt limit, and hands the plain code to `deliver` for sending
+ *
+ * Config (env):
+ *   OTP_CODE_LENGTH        - digits per code (default 6)
+ *   OTP_CODE_TTL_MINUTES   - code lifetime (default 10)
+ *   OTP_MAX_ATTEMPTS       - wrong guesses before the code is burned (default 5)
+ */
+
+const codeLength = () => Number(process.env.OTP_CODE_LENGTH) || 6;
+const codeTtlMs = () => (Number(process.env.OTP_CODE_TTL_MINUTES) || 10) * 60 * 1000;
+const maxAttempts = () => Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+const generateCode = () => {
+  const length = codeLength();
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, "0");
+};
+
+const createStoredCodeProvider = ({ name, deliver }) => ({
+  name,
+
+  async send({ to, purpose, ...recipient }) {
+    const code = generateCode();
+    const ttlMs = codeTtlMs();
+
+    // Re-sending replaces the previous code and resets the attempt counter
+    await OtpCode.findOneAndUpdate(
+      { identifier: to, purpose },
+      {
+        codeHash: await bcrypt.hash(code, 10),
+        expiresAt: new Date(Date.now() + ttlMs),
+        attempts: 0,
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await deliver({ to, purpose, code, expiresInMinutes: Math.round(ttlMs / 60000), ...recipient });
+  },
+
+  async verify({ to, purpose, code }) {
+    const max = maxAttempts();
+
+    // Each guess claims an attempt in one update, so parallel guesses cannot pass the limit
+    const entry = await OtpCode.findOneAndUpdate(
+      { identifier: to, purpose, attempts: { $lt: max } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!entry) {
+      const burned = await OtpCode.findOneAndDelete({ identifier: to, purpose });
+      return { approved: false, reason: burned ? "too_many_attempts" : "not_found" };
+    }
+
+    if (entry.expiresAt < new Date()) {
+      await entry.deleteOne();
+      return { approved: false, reason: "expired" };
+    }
+
+    const match = await bcrypt.compare(String(code || ""), entry.codeHash);
+    if (match) {
+      // Codes are single use: only the request that removes the code is approved
+      const { deletedCount } = await OtpCode.deleteOne({ _id: entry._id });
+      return deletedCount === 1 ? { approved: true } : { approved: false, reason: "not_found" };
+    }
+
+    if (entry.attempts >= max) {
+      await entry.deleteOne();
+      return { approved: false, reason: "too_many_attempts" };
+    }
+    return { approved: false, reason: "invalid_code" };
+  },
+});
+
+module.exports = createStoredCodeProvider;
@@ -0,0 +1,33 @@
+const twilio = require("twilio");
+
+/**
+ * Twilio Verify OTP provider
+ * Twilio generates, sends and checks the codes over SMS
+ *
+ * Config (env): TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_SERVICE_ID
+ */
+
+let client = null;
+
+// Created on first use so the server can start without Twilio credentials
+const verifyService = () => {
+  if (!client) {
+    client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+  return client.verify.services(process.env.TWILIO_SERVICE_ID);
+};
+
+module.exports = {
+  name: "twilio",
+
+  async send({ to }) {
+    await verifyService().verifications.create({ to, channel: "sms" });
+  },
+
+  async verify({ to, code }) {
+    const check = await verifyService().verificationChecks.create({ to, code });
+    return check.status === "approved"
+      ? { approved: true }
+      : { approved: false, reason: "invalid_code" };
+  },
+};
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Cursor Pagination
+ * Keyset pagination over (sort value, _id): a cursor is an opaque token holding
+ * the sort value and _id of the last item returned, so pages stay stable while
+ * documents are added or removed
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Page size from a query value, clamped to 1..MAX_LIMIT
+const pageLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+const encodeCursor = (value, id) =>
+  Buffer.from(
+    JSON.stringify({ v: value instanceof Date ? { $date: value.toISOString() } : value, id: id.toString() })
+  ).toString("base64url");
+
+/**
+ * Reads a cursor back into { value, id }
+ * Returns null for a token that was not produced by encodeCursor
+ */
+const decodeCursor = (token) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) return null;
+    const value = v && typeof v === "object" && v.$date ? new Date(v.$date) : v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * $match condition selecting documents after the cursor position
+ * @param {string} field - sort field
+ * @param {1|-1} direction - sort direction of the field (_id uses the same direction)
+ */
+const afterCursor = (field, direction, cursor) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }],
+  };
+};
+
+/**
+ * Trims a result fetched with limit + 1 and builds the next cursor
+ * Returns { items, nextCursor, hasMore }
+ */
+const pageOf = (docs, limit, field) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor(last[field], last._id) : null,
+    hasMore,
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  pageLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  pageOf,
+};
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+
+/**
+ * Password Policy
+ * Single place every password is checked and hashed before it is stored
+ *
+ * Config (env):
+ *   PASSWORD_MIN_LENGTH        - minimum length (default 8)
+ *   PASSWORD_MAX_LENGTH        - maximum length (default 128; bcrypt ignores bytes past 72)
+ *   PASSWORD_REQUIRED_CLASSES  - comma list of lower,upper,digit,symbol (default "lower,upper,digit")
+ *   PASSWORD_HISTORY_SIZE      - previous passwords that cannot be reused (default 5)
+ */
+
+const CHARACTER_CLASSES = {
+  lower: { pattern: /[a-z]/, label: "a lowercase letter" },
+  upper: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  digit: { pattern: /[0-9]/, label: "a number" },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: "a symbol" },
+};
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const requiredClasses = () =>
+  (process.env.PASSWORD_REQUIRED_CLASSES || "lower,upper,digit")
+    .split(",")
+    .map((c) => c.trim().toLowerCase())
+    .filter((c) => CHARACTER_CLASSES[c]);
+
+const policy = () => ({
+  minLength: envNumber("PASSWORD_MIN_LENGTH", 8),
+  maxLength: envNumber("PASSWORD_MAX_LENGTH", 128),
+  requiredClasses: requiredClasses(),
+  historySize: envNumber("PASSWORD_HISTORY_SIZE", 5),
+});
+
+// Loaded once; lines starting with # are comments
+const commonPasswords = new Set(
+  fs
+    .readFileSync(path.join(__dirname, "..", "data", "common-passwords.txt"), "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"))
+);
+
+/**
+ * Lists the requirements, for clients that want to show them up front
+ */
+const describePolicy = () => {
+  const { minLength, maxLength, requiredClasses: classes, historySize } = policy();
+  return {
+    minLength,
+    maxLength,
+    requiredClasses: classes,
+    disallowCommonPasswords: true,
+    historySize,
+  };
+};
+
+/**
+ * Checks a candidate password
+ * When `account` is given (an existing Student/Admin/Organization document),
+ * its current and recent passwords are refused too
+ * Returns { valid, errors, message }
+ */
+const evaluatePassword = async (password, account = null) => {
+  const { minLength, maxLength, requiredClasses: classes, historySize } = policy();
+  const errors = [];
+
+  if (typeof password !== "string" || password.length === 0) {
+    errors.push("Password is required.");
+    return { valid: false, errors, message: errors.join(" ") };
+  }
+
+  if (password.length < minLength) {
+    errors.push(`Password must be at least ${minLength} characters long.`);
+  }
+  if (password.length > maxLength) {
+    errors.push(`Password must be at most ${maxLength} characters long.`);
+  }
+
+  const missing = classes.filter((c) => !CHARACTER_CLASSES[c].pattern.test(password));
+  if (missing.length > 0) {
+    errors.push(`Password must contain ${missing.map((c) => CHARACTER_CLASSES[c].label).join(", ")}.`);
+  }
+
+  if (commonPasswords.has(password.toLowerCase())) {
+    errors.push("Password is too common. Choose a less predictable password.");
+  }
+
+  if (account && errors.length === 0) {
+    const recent = [account.passwordHash, ...(account.passwordHistory || []).slice(0, historySize)]
+      .filter(Boolean);
+    for (const hash of recent) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(
+          historySize > 0
+            ? `Password must not match your current password or your last ${historySize} passwords.`
+            : "Password must differ from your current password."
+        );
+        break;
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors, message: errors.join(" ") };
+};
+
+/**
+ * Hashes a password that already passed evaluatePassword and stores it on the
+ * account, moving the previous hash into the history (caller saves the document)
+ */
+const setPassword = async (account, password) => {
+  const { historySize } = policy();
+
+  if (account.passwordHash) {
+    account.passwordHistory = [account.passwordHash, ...(account.passwordHistory || [])].slice(
+      0,
+      historySize
+    );
+  }
+  account.passwordHash = await bcrypt.hash(password, 10);
+};
+
+module.exports = {
+  describePolicy,
+  evaluatePassword,
+  setPassword,
+};
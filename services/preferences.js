@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const PreferenceList = require("../models/PreferenceList");
+const PreferenceSnapshot = require("../models/PreferenceSnapshot");
+
+/**
+ * Student Preferences
+ * Ranked project preference lists used by the allotment engine
+ *
+ * Lists can be edited until the cycle deadline; after that they are frozen and
+ * a snapshot of each list is stored for audit. Snapshots are taken when the
+ * deadline passes (or at startup once it has passed), and again before an
+ * allotment run reads the lists in case the server was down at the deadline.
+ *
+ * Config (env):
+ *   PREFERENCE_CYCLE          - label of the current allotment cycle (default "default")
+ *   PREFERENCE_MAX_LENGTH     - most projects a list may hold (default 5)
+ *   PREFERENCE_LOCK_DEADLINE  - ISO date/time after which lists are frozen (unset = never)
+ */
+
+const currentCycle = () => process.env.PREFERENCE_CYCLE || "default";
+
+const maxLength = () => {
+  const value = parseInt(process.env.PREFERENCE_MAX_LENGTH, 10);
+  return Number.isFinite(value) && value > 0 ? value : 5;
+};
+
+const lockDeadline = () => {
+  const raw = process.env.PREFERENCE_LOCK_DEADLINE;
+  if (!raw) return null;
+  const deadline = new Date(raw);
+  return Number.isNaN(deadline.getTime()) ? null : deadline;
+};
+
+const isLocked = (now = new Date()) => {
+  const deadline = lockDeadline();
+  return Boolean(deadline && now >= deadline);
+};
+
+// Settings returned alongside a list so clients can show the rules
+const describeCycle = () => ({
+  cycle: currentCycle(),
+  maxLength: maxLength(),
+  deadline: lockDeadline(),
+  locked: isLocked(),
+});
+
+/**
+ * Checks a submitted list
+ * Returns { error } or { projects } with the Project documents in list order
+ */
+const validatePreferences = async (projectIds) => {
+  if (!Array.isArray(projectIds)) {
+    return { error: "projectIds must be an array" };
+  }
+
+  const ids = projectIds.map(String);
+  if (ids.length > maxLength()) {
+    return { error: `A preference list can hold at most ${maxLength()} projects` };
+  }
+  if (new Set(ids).size !== ids.length) {
+    return { error: "A project can only appear once in the list" };
+  }
+
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    return { error: "Invalid project ID format", invalid };
+  }
+
+  const projects = await Project.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(projects.map((p) => [p._id.toString(), p]));
+
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    return { error: "Some projects do not exist", invalid: missing };
+  }
+  const inactive = ids.filter((id) => byId.get(id).status !== "active");
+  if (inactive.length > 0) {
+    return { error: "Only active projects can be added to a preference list", invalid: inactive };
+  }
+
+  return { projects: ids.map((id) => byId.get(id)) };
+};
+
+/**
+ * Snapshots every list of the current cycle that has not been frozen yet
+ * Safe to call repeatedly; returns the number of new snapshots
+ */
+const freezeCycle = async () => {
+  const cycle = currentCycle();
+  const frozen = await PreferenceSnapshot.find({ cycle }).select("studentId").lean();
+  const frozenStudents = new Set(frozen.map((s) => s.studentId));
+
+  const lists = (await PreferenceList.find({ cycle }).lean()).filter(
+    (list) => !frozenStudents.has(list.studentId)
+  );
+  if (lists.length === 0) return 0;
+
+  const projectIds = [...new Set(lists.flatMap((l) => l.projectIds.map(String)))];
+  const projects = await Project.find({ _id: { $in: projectIds } })
+    .select("project_code project_name")
+    .lean();
+  const byId = new Map(projects.map((p) => [p._id.toString(), p]));
+
+  const frozenAt = new Date();
+  await PreferenceSnapshot.bulkWrite(
+    lists.map((list) => ({
+      updateOne: {
+        filter: { cycle, studentId: list.studentId },
+        update: {
+          $setOnInsert: {
+            cycle,
+            studentId: list.studentId,
+            projects: list.projectIds.map((id, index) => ({
+              rank: index + 1,
+              projectId: id,
+              project_code: byId.get(id.toString())?.project_code || "",
+              project_name: byId.get(id.toString())?.project_name || "",
+            })),
+            listUpdatedAt: list.updatedAt || null,
+            frozenAt,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  return lists.length;
+};
+
+/**
+ * Returns the lists the allotment engine should use, as Map studentId -> [projectId]
+ * Once the cycle is locked the frozen snapshots are used instead of the live lists
+ */
+const preferencesForAllotment = async (studentIds) => {
+  const cycle = currentCycle();
+  const filter = { cycle, studentId: { $in: studentIds } };
+
+  if (isLocked()) {
+    await freezeCycle();
+    const snapshots = await PreferenceSnapshot.find(filter).lean();
+    return new Map(
+      snapshots.map((s) => [
+        s.studentId,
+        [...s.projects].sort((a, b) => a.rank - b.rank).map((p) => p.projectId.toString()),
+      ])
+    );
+  }
+
+  const lists = await PreferenceList.find(filter).lean();
+  return new Map(lists.map((l) => [l.studentId, l.projectIds.map(String)]));
+};
+
+// Longest delay setTimeout accepts (about 24.8 days)
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Freezes the current cycle at its deadline (called once the database is connected)
+ * Returns the timer, or null when there is no deadline or it has already passed
+ */
+const startPreferenceFreezer = () => {
+  const deadline = lockDeadline();
+  if (!deadline) return null;
+
+  const freeze = () =>
+    freezeCycle()
+      .then((count) => count > 0 && console.log(`🔒 Froze ${count} preference list(s) for cycle ${currentCycle()}`))
+      .catch((err) => console.error("🔥 Preference freeze error:", err));
+
+  const wait = () => {
+    const delay = deadline.getTime() - Date.now();
+    if (delay <= 0) {
+      freeze();
+      return null;
+    }
+    const timer = setTimeout(wait, Math.min(delay, MAX_TIMER_MS));
+    timer.unref();
+    return timer;
+  };
+  return wait();
+};
+
+module.exports = {
+  currentCycle,
+  maxLength,
+  lockDeadline,
+  isLocked,
+  describeCycle,
+  validatePreferences,
+  freezeCycle,
+  preferencesForAllotment,
+  startPreferenceFreezer,
+};
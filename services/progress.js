@@ -0,0 +1,295 @@
+const EvaluationRubric = require("../models/EvaluationRubric");
+const InternshipProgress = require("../models/InternshipProgress");
+
+/**
+ * Internship Progress
+ * Schedule, rubric scoring and completion rules for accepted applications
+ *
+ * Schedule (from the project's start_date / end_date):
+ *   - a weekly log is due for every week, PROGRESS_LOG_GRACE_DAYS after the week ends
+ *   - the mid-term evaluation is due at the midpoint, the final report and
+ *     final evaluation PROGRESS_FINAL_GRACE_DAYS after the end date
+ *
+ * Completion: once the project has ended and the final report and final
+ * evaluation are both in, the internship is "completed" when the weighted
+ * score reaches the pass mark and enough of the weekly logs due so far were
+ * submitted, otherwise "not_completed"
+ * The result stays provisional until the final evaluation is due: weekly logs
+ * and the final report can still be added or edited, and each change
+ * re-assesses the internship
+ *
+ * Config (env):
+ *   PROGRESS_LOG_GRACE_DAYS       - days after a week ends before its log is overdue (default 2)
+ *   PROGRESS_FINAL_GRACE_DAYS     - days after the end date for the final report/evaluation (default 7)
+ *   PROGRESS_MIDTERM_WEIGHT       - share of the mid-term in the final score, 0-1 (default 0.4)
+ *   PROGRESS_PASS_PERCENTAGE      - final score needed to complete (default 50)
+ *   PROGRESS_MIN_LOG_PERCENTAGE   - share of weekly logs that must be submitted (default 75)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STAGES = ["mid_term", "final"];
+
+const DEFAULT_RUBRIC = [
+  { key: "technical", label: "Technical skills", maxScore: 10, weight: 1 },
+  { key: "quality", label: "Quality of work", maxScore: 10, weight: 1 },
+  { key: "initiative", label: "Initiative and learning", maxScore: 10, weight: 1 },
+  { key: "communication", label: "Communication", maxScore: 10, weight: 1 },
+  { key: "professionalism", label: "Professionalism and punctuality", maxScore: 10, weight: 1 },
+];
+
+const envNumber = (name, fallback, max = Infinity) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 && value <= max ? value : fallback;
+};
+
+const settings = () => ({
+  logGraceDays: envNumber("PROGRESS_LOG_GRACE_DAYS", 2),
+  finalGraceDays: envNumber("PROGRESS_FINAL_GRACE_DAYS", 7),
+  midtermWeight: envNumber("PROGRESS_MIDTERM_WEIGHT", 0.4, 1),
+  passPercentage: envNumber("PROGRESS_PASS_PERCENTAGE", 50, 100),
+  minLogPercentage: envNumber("PROGRESS_MIN_LOG_PERCENTAGE", 75, 100),
+});
+
+/**
+ * Due dates for a project, or null when it has no start/end date
+ */
+const schedule = (project) => {
+  if (!project.start_date || !project.end_date) return null;
+  const start = new Date(project.start_date);
+  const end = new Date(project.end_date);
+  if (end <= start) return null;
+
+  const { logGraceDays, finalGraceDays } = settings();
+  const weeks = [];
+  for (let weekStart = start, week = 1; weekStart < end; week += 1) {
+    const weekEnd = new Date(Math.min(weekStart.getTime() + 7 * DAY_MS, end.getTime()));
+    const due = new Date(weekEnd.getTime() + logGraceDays * DAY_MS);
+    weeks.push({ week, start: weekStart, end: weekEnd, due });
+    weekStart = weekEnd;
+  }
+
+  const finalDue = new Date(end.getTime() + finalGraceDays * DAY_MS);
+  return {
+    weeks,
+    midTermDue: new Date(start.getTime() + (end - start) / 2),
+    finalReportDue: finalDue,
+    finalEvaluationDue: finalDue,
+  };
+};
+
+// The organization's rubric, or the default
+const rubricFor = async (organizationId) => {
+  const rubric = await EvaluationRubric.findOne({ organization_id: organizationId }).lean();
+  return rubric ? rubric.criteria : DEFAULT_RUBRIC;
+};
+
+/**
+ * Validates rubric criteria from an organization
+ * Returns { criteria } or { error }
+ */
+const normalizeRubric = (criteria) => {
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return { error: "criteria must be a non-empty array" };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+  for (const [index, item] of criteria.entries()) {
+    const label = String(item?.label || "").trim();
+    const key = String(item?.key || label)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "");
+    const maxScore = Number(item?.maxScore);
+    const weight = item?.weight === undefined ? 1 : Number(item.weight);
+
+    if (!label || !key) return { error: `Criterion ${index + 1}: label is required` };
+    if (keys.has(key)) return { error: `Criterion ${index + 1}: duplicate key "${key}"` };
+    if (!Number.isFinite(maxScore) || maxScore <= 0) {
+      return { error: `Criterion ${index + 1}: maxScore must be a positive number` };
+    }
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return { error: `Criterion ${index + 1}: weight must be a positive number` };
+    }
+
+    keys.add(key);
+    normalized.push({ key, label, maxScore, weight });
+  }
+  return { criteria: normalized };
+};
+
+/**
+ * Scores an evaluation against a rubric
+ * @param {object} scores - { [criterionKey]: number }
+ * @returns {{ scores, percentage } | { error }}
+ */
+const scoreEvaluation = (rubric, scores) => {
+  if (!scores || typeof scores !== "object") return { error: "scores must be an object keyed by criterion" };
+
+  const scored = [];
+  for (const criterion of rubric) {
+    const score = Number(scores[criterion.key]);
+    if (scores[criterion.key] === undefined || !Number.isFinite(score)) {
+      return { error: `A score for "${criterion.label}" (${criterion.key}) is required` };
+    }
+    if (score < 0 || score > criterion.maxScore) {
+      return { error: `"${criterion.label}" must be scored between 0 and ${criterion.maxScore}` };
+    }
+    scored.push({ ...criterion, score });
+  }
+
+  const totalWeight = scored.reduce((sum, c) => sum + c.weight, 0);
+  const percentage = scored.reduce((sum, c) => sum + (c.score / c.maxScore) * c.weight, 0) / totalWeight * 100;
+  return { scores: scored, percentage: Math.round(percentage * 10) / 10 };
+};
+
+/**
+ * Loads (or starts) the progress record for an accepted application
+ */
+const ensureProgress = (application, project) =>
+  InternshipProgress.findOneAndUpdate(
+    { applicationId: application._id },
+    {
+      $setOnInsert: {
+        applicationId: application._id,
+        projectId: application.projectId,
+        organization_id: project.organization_id,
+        studentId: application.studentId,
+      },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+const evaluationFor = (progress, stage) => (progress.evaluations || []).find((e) => e.stage === stage) || null;
+
+/**
+ * Recomputes finalScore and completionStatus (caller saves the document)
+ * @returns whether the status or score changed
+ */
+const updateCompletion = (progress, project, now = new Date()) => {
+  const previous = { status: progress.completionStatus, score: progress.finalScore ?? null };
+  const finalEvaluation = evaluationFor(progress, "final");
+  const ended = Boolean(project.end_date) && new Date(project.end_date) <= now;
+
+  if (!ended || !finalEvaluation || !progress.finalReport?.submittedAt) {
+    progress.completionStatus = "in_progress";
+    progress.finalScore = null;
+    progress.completedAt = null;
+    return previous.status !== "in_progress" || previous.score !== null;
+  }
+
+  const { midtermWeight, passPercentage, minLogPercentage } = settings();
+  const midTerm = evaluationFor(progress, "mid_term");
+  const score = midTerm
+    ? midTerm.percentage * midtermWeight + finalEvaluation.percentage * (1 - midtermWeight)
+    : finalEvaluation.percentage;
+
+  // Only weeks whose log is already due count; a log is not missing before its due date
+  const plan = schedule(project);
+  const dueWeeks = plan ? plan.weeks.filter((w) => w.due <= now) : [];
+  const submitted = new Set((progress.weeklyLogs || []).map((l) => l.week));
+  const logPercentage =
+    dueWeeks.length === 0 ? 100 : (dueWeeks.filter((w) => submitted.has(w.week)).length / dueWeeks.length) * 100;
+
+  progress.finalScore = Math.round(score * 10) / 10;
+  progress.completionStatus =
+    progress.finalScore >= passPercentage && logPercentage >= minLogPercentage ? "completed" : "not_completed";
+
+  const changed = previous.status !== progress.completionStatus || previous.score !== progress.finalScore;
+  if (changed || !progress.completedAt) progress.completedAt = now;
+  return changed;
+};
+
+/**
+ * Whether the student can still add or edit weekly logs and the final report:
+ * until the internship is assessed, and while the assessment is provisional
+ */
+const submissionsOpen = (progress, project, now = new Date()) => {
+  if (progress.completionStatus === "in_progress") return true;
+  const plan = schedule(project);
+  return Boolean(plan) && now < plan.finalEvaluationDue;
+};
+
+/**
+ * What is submitted, due and overdue for one internship
+ */
+const summarize = (progress, project, now = new Date()) => {
+  const plan = schedule(project);
+  const submittedWeeks = new Set((progress?.weeklyLogs || []).map((l) => l.week));
+  const weeks = plan ? plan.weeks : [];
+
+  const overdueLogs = weeks.filter((w) => w.due < now && !submittedWeeks.has(w.week)).map((w) => w.week);
+  const midTerm = progress ? evaluationFor(progress, "mid_term") : null;
+  const finalEvaluation = progress ? evaluationFor(progress, "final") : null;
+  const reportSubmitted = Boolean(progress?.finalReport?.submittedAt);
+
+  return {
+    weeks: weeks.map((w) => ({
+      ...w,
+      submitted: submittedWeeks.has(w.week),
+      overdue: overdueLogs.includes(w.week),
+    })),
+    logsDue: weeks.filter((w) => w.due < now).length,
+    logsSubmitted: submittedWeeks.size,
+    overdueLogs,
+    finalReport: {
+      due: plan ? plan.finalReportDue : null,
+      submittedAt: progress?.finalReport?.submittedAt || null,
+      overdue: Boolean(plan && !reportSubmitted && plan.finalReportDue < now),
+    },
+    evaluations: {
+      mid_term: {
+        due: plan ? plan.midTermDue : null,
+        percentage: midTerm ? midTerm.percentage : null,
+        overdue: Boolean(plan && !midTerm && plan.midTermDue < now),
+      },
+      final: {
+        due: plan ? plan.finalEvaluationDue : null,
+        percentage: finalEvaluation ? finalEvaluation.percentage : null,
+        overdue: Boolean(plan && !finalEvaluation && plan.finalEvaluationDue < now),
+      },
+    },
+    completionStatus: progress?.completionStatus || "in_progress",
+    finalScore: progress?.finalScore ?? null,
+  };
+};
+
+/**
+ * Shapes a progress record with its schedule for the student and organization views
+ */
+const formatProgress = (progress, project, application) => ({
+  application_id: application._id.toString(),
+  studentId: application.studentId,
+  project: {
+    _id: project._id.toString(),
+    project_code: project.project_code,
+    project_name: project.project_name,
+    start_date: project.start_date || null,
+    end_date: project.end_date || null,
+  },
+  summary: summarize(progress, project),
+  weekly_logs: [...(progress?.weeklyLogs || [])].sort((a, b) => a.week - b.week),
+  final_report: progress?.finalReport?.submittedAt
+    ? { original_name: progress.finalReport.originalName, submitted_at: progress.finalReport.submittedAt }
+    : null,
+  evaluations: progress?.evaluations || [],
+  completion_status: progress?.completionStatus || "in_progress",
+  final_score: progress?.finalScore ?? null,
+  completed_at: progress?.completedAt || null,
+});
+
+module.exports = {
+  STAGES,
+  DEFAULT_RUBRIC,
+  settings,
+  schedule,
+  rubricFor,
+  normalizeRubric,
+  scoreEvaluation,
+  ensureProgress,
+  updateCompletion,
+  submissionsOpen,
+  summarize,
+  formatProgress,
+};
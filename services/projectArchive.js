@@ -0,0 +1,182 @@
+const Application = require("../models/Application");
+const InternshipProgress = require("../models/InternshipProgress");
+const InterviewSlot = require("../models/InterviewSlot");
+const IssuedDocument = require("../models/IssuedDocument");
+const Project = require("../models/Project");
+const ProjectRevision = require("../models/ProjectRevision");
+const Student = require("../models/Student");
+const { transporter, defaultFrom, escapeHtml } = require("./mailer");
+const { OPEN_STATUSES } = require("./applicationStatus");
+const { cancelSlot } = require("./interviews");
+const { removeFile } = require("./attachments");
+
+/**
+ * Project Archive
+ * Soft delete, restore and purge of projects
+ *
+ * - Deleting a project only marks it (Project.deletedAt); it disappears from
+ *   every listing but its applications are kept and marked with
+ *   projectWithdrawnAt. Upcoming interviews are cancelled and applicants with
+ *   an open or accepted application are emailed
+ * - While deleted, its applications cannot change status (see
+ *   services/applicationStatus.js) and do not count as placements in the allotment
+ * - The organization can restore the project until purgeAfter
+ * - After purgeAfter an admin can purge it: the project, its applications,
+ *   revisions, interview slots, progress records and their files are removed
+ *   for good. Issued offer letters and certificates are kept, marked with
+ *   projectPurgedAt, so GET /verify/:code still confirms them
+ *
+ * Config (env):
+ *   PROJECT_RETENTION_DAYS - days a deleted project can be restored (default 30)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const value = Number(process.env.PROJECT_RETENTION_DAYS);
+  return Number.isFinite(value) && value >= 0 ? value : 30;
+};
+
+// Applicants told about the withdrawal: anyone whose application still mattered
+const NOTIFIED_STATUSES = [...OPEN_STATUSES, "accepted"];
+
+/**
+ * Emails applicants that the project was withdrawn
+ * Failures are logged; they never block the deletion
+ */
+const notifyApplicants = async (project, applications) => {
+  try {
+    const students = await Student.find({ studentId: { $in: applications.map((a) => a.studentId) } })
+      .select("fullName email")
+      .lean();
+
+    await Promise.all(
+      students
+        .filter((student) => student.email)
+        .map((student) =>
+          transporter.sendMail({
+            from: defaultFrom(),
+            to: student.email,
+            subject: `Project withdrawn: ${project.project_name}`,
+            html: `
+              <p>Dear ${escapeHtml(student.fullName || "student")},</p>
+              <p>The organization has withdrawn the project
+                 <b>${escapeHtml(project.project_code)} - ${escapeHtml(project.project_name)}</b>.</p>
+              <p>Your application has been kept on record, and any upcoming interview for this project has been cancelled.</p>
+            `,
+          })
+        )
+    );
+  } catch (err) {
+    console.error("🔥 Project withdrawal email error:", err);
+  }
+};
+
+/**
+ * Soft-deletes a project (document)
+ * @param {object} actor - { role, id }
+ * @returns {{ applications, notified, purgeAfter }}
+ */
+const softDelete = async (project, actor) => {
+  // Cancel upcoming interviews while the project can still be loaded for the emails
+  const slots = await InterviewSlot.find({ projectId: project._id, status: { $ne: "cancelled" } });
+  for (const slot of slots) {
+    await cancelSlot(slot, "The project was withdrawn");
+  }
+
+  const now = new Date();
+  project.deletedAt = now;
+  project.deletedBy = String(actor.id);
+  project.purgeAfter = new Date(now.getTime() + retentionDays() * DAY_MS);
+  await project.save();
+
+  const applications = await Application.find({ projectId: project._id }).select("studentId status").lean();
+  await Application.updateMany({ projectId: project._id }, { projectWithdrawnAt: now });
+
+  const affected = applications.filter((a) => NOTIFIED_STATUSES.includes(a.status));
+  await notifyApplicants(project, affected);
+
+  return { applications: applications.length, notified: affected.length, purgeAfter: project.purgeAfter };
+};
+
+/**
+ * Brings a soft-deleted project (document) back
+ * @returns {{ project } | { error, status }}
+ */
+const restore = async (project) => {
+  if (!project.deletedAt) return { error: "Project is not deleted", status: 400 };
+  if (project.purgeAfter && project.purgeAfter <= new Date()) {
+    return { error: "The retention period has ended; the project can no longer be restored", status: 400 };
+  }
+
+  const clash = await Project.exists({
+    organization_id: project.organization_id,
+    project_code: project.project_code,
+    _id: { $ne: project._id },
+  });
+  if (clash) {
+    return { error: `Another project now uses the code ${project.project_code}; change it first`, status: 400 };
+  }
+
+  project.deletedAt = null;
+  project.deletedBy = null;
+  project.purgeAfter = null;
+  await project.save();
+  await Application.updateMany({ projectId: project._id }, { projectWithdrawnAt: null });
+
+  return { project };
+};
+
+/**
+ * Removes a soft-deleted project and everything attached to it
+ * @returns {{ applications } | { error, status }}
+ */
+const purge = async (project) => {
+  if (!project.deletedAt) return { error: "Only deleted projects can be purged", status: 400 };
+  if (project.purgeAfter > new Date()) {
+    return { error: `The project is retained until ${project.purgeAfter.toISOString()}`, status: 400 };
+  }
+
+  const applicationIds = await Application.find({ projectId: project._id }).distinct("_id");
+  const records = await InternshipProgress.find({ applicationId: { $in: applicationIds } })
+    .select("finalReport.filePath")
+    .lean();
+
+  const [{ deletedCount }] = await Promise.all([
+    Application.deleteMany({ projectId: project._id }),
+    IssuedDocument.updateMany(
+      { applicationId: { $in: applicationIds } },
+      { $set: { projectPurgedAt: new Date() } }
+    ),
+    InternshipProgress.deleteMany({ applicationId: { $in: applicationIds } }),
+    InterviewSlot.deleteMany({ projectId: project._id }),
+    ProjectRevision.deleteMany({ projectId: project._id }),
+    Project.deleteOne({ _id: project._id }).setOptions({ withDeleted: true }),
+  ]);
+
+  (project.attachments || []).forEach((attachment) => removeFile(attachment.filePath));
+  records.forEach((record) => removeFile(record.finalReport?.filePath));
+
+  return { applications: deletedCount };
+};
+
+const formatDeleted = (project, now = new Date()) => ({
+  _id: project._id.toString(),
+  organization_id: project.organization_id,
+  project_code: project.project_code,
+  project_name: project.project_name,
+  status: project.status,
+  deleted_at: project.deletedAt,
+  deleted_by: project.deletedBy,
+  purge_after: project.purgeAfter,
+  restorable: Boolean(project.purgeAfter && project.purgeAfter > now),
+  purgeable: Boolean(project.purgeAfter && project.purgeAfter <= now),
+});
+
+module.exports = {
+  retentionDays,
+  softDelete,
+  restore,
+  purge,
+  formatDeleted,
+};
@@ -0,0 +1,254 @@
+const EventEmitter = require("events");
+const Application = require("../models/Application");
+const Project = require("../models/Project");
+
+/**
+ * Project Lifecycle
+ * The project state machine: which status can follow which, and who may move it
+ *
+ *   draft -> scheduled -> active -> completed
+ *     ^__________|__________|           |
+ *                           ^___________| (reopen)
+ *
+ * Organization actions:
+ *   publish   - draft -> scheduled when scheduled_time is in the future, otherwise active
+ *   unpublish - scheduled / active -> draft (active only while it has no applications)
+ *   close     - scheduled / active -> completed
+ *   reopen    - completed -> active (end_date must not have passed)
+ * The scheduler ("system") starts scheduled projects once scheduled_time has
+ * passed and completes active ones after end_date
+ *
+ * Every transition is emitted on `projectEvents` twice - as "transition" and
+ * under its action name - with { project, from, to, action, actor, note, at },
+ * so notifications can subscribe without touching the routes
+ *
+ * Config (env):
+ *   PROJECT_LIFECYCLE_INTERVAL_MINUTES - how often the scheduler runs (default 5, 0 = off)
+ */
+
+const STATUSES = ["draft", "scheduled", "active", "completed"];
+
+const TRANSITIONS = {
+  draft: ["scheduled", "active"],
+  scheduled: ["draft", "active", "completed"],
+  active: ["draft", "completed"],
+  completed: ["active"],
+};
+
+// Target statuses each role may set
+const ROLE_TARGETS = {
+  org: STATUSES,
+  admin: STATUSES,
+  system: ["active", "completed"],
+};
+
+const ACTIONS = ["publish", "unpublish", "close", "reopen"];
+
+const projectEvents = new EventEmitter();
+
+// scheduled_time is stored as free text; null when it is missing or unparsable
+const scheduledAt = (project) => {
+  if (!project.scheduled_time) return null;
+  const date = new Date(project.scheduled_time);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const hasEnded = (project, now = new Date()) => Boolean(project.end_date && new Date(project.end_date) < now);
+
+/**
+ * Status a project moves to when `action` is taken on it, or null when the action does not apply
+ */
+const targetFor = (action, project, now = new Date()) => {
+  const from = project.status || "draft";
+  switch (action) {
+    case "publish":
+      if (from !== "draft") return null;
+      return scheduledAt(project) > now ? "scheduled" : "active";
+    case "unpublish":
+      return ["scheduled", "active"].includes(from) ? "draft" : null;
+    case "close":
+      return ["scheduled", "active"].includes(from) ? "completed" : null;
+    case "reopen":
+      return from === "completed" ? "active" : null;
+    default:
+      return null;
+  }
+};
+
+// Name recorded for a plain status change (from PUT or the scheduler)
+const actionFor = (from, to, role) => {
+  if (role === "system") return to === "active" ? "start" : "complete";
+  if (to === "draft") return "unpublish";
+  if (to === "completed") return "close";
+  if (from === "completed") return "reopen";
+  return "publish";
+};
+
+/**
+ * Returns why the project's dates do not allow `status`, or null
+ * A scheduled project needs a future scheduled_time, an active one an end_date
+ * that has not passed; also checked when the dates of such a project are edited
+ */
+const dateError = (project, status, now = new Date()) => {
+  if (status === "scheduled" && !(scheduledAt(project) > now)) {
+    return "scheduled_time must be a future date to schedule a project";
+  }
+  if (status === "active" && hasEnded(project, now)) {
+    return "The project's end_date has passed; set a later end_date first";
+  }
+  return null;
+};
+
+/**
+ * Returns why `role` cannot move the project to `to`, or null when allowed
+ * Date rules are checked against the project as it is now, so callers apply
+ * other field changes (scheduled_time, end_date) first
+ */
+const transitionError = async (project, to, role, now = new Date()) => {
+  const from = project.status || "draft";
+  if (!STATUSES.includes(to)) {
+    return `Unknown status "${to}". Use one of: ${STATUSES.join(", ")}`;
+  }
+  if (!(ROLE_TARGETS[role] || []).includes(to)) {
+    return `You cannot set a project to ${to}`;
+  }
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    return `Cannot move a project from ${from} to ${to}`;
+  }
+  const datesError = dateError(project, to, now);
+  if (datesError) return datesError;
+  if (from === "active" && to === "draft" && project._id) {
+    const applications = await Application.countDocuments({ projectId: project._id });
+    if (applications > 0) {
+      return "A project that has received applications cannot be unpublished; close it instead";
+    }
+  }
+  return null;
+};
+
+/**
+ * Moves a project to `to` and records who did it (caller saves the document,
+ * then passes the returned event to emitTransition)
+ * @param {object} actor - { role, id }
+ */
+const applyTransition = (project, to, actor, { action, note } = {}) => {
+  const from = project.status || "draft";
+  const entry = {
+    from,
+    to,
+    action: action || actionFor(from, to, actor.role),
+    actorRole: actor.role,
+    actorId: String(actor.id),
+    note: note || undefined,
+    at: new Date(),
+  };
+  project.statusHistory.push(entry);
+  project.status = to;
+  return { project, from, to, action: entry.action, actor, note: entry.note, at: entry.at };
+};
+
+// Listener errors are logged so a broken subscriber cannot fail the request
+const emitTransition = (event) => {
+  for (const name of ["transition", event.action]) {
+    try {
+      projectEvents.emit(name, event);
+    } catch (err) {
+      console.error(`🔥 Project ${name} listener error:`, err);
+    }
+  }
+};
+
+/**
+ * Moves a project as the scheduler; the status filter keeps two instances
+ * from applying the same transition twice
+ * Returns true when this call made the change
+ */
+const systemTransition = async (project, to, now) => {
+  const from = project.status;
+  const action = actionFor(from, to, "system");
+  const entry = { from, to, action, actorRole: "system", actorId: "scheduler", at: now };
+
+  const result = await Project.updateOne(
+    { _id: project._id, status: from },
+    { $set: { status: to }, $push: { statusHistory: entry } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  emitTransition({
+    project: { ...project, status: to },
+    from,
+    to,
+    action,
+    actor: { role: "system", id: "scheduler" },
+    at: now,
+  });
+  return true;
+};
+
+/**
+ * Starts scheduled projects whose scheduled_time has passed and completes
+ * active ones whose end_date has passed
+ * Returns { started, completed }
+ */
+const runScheduledTransitions = async (now = new Date()) => {
+  let started = 0;
+  let completed = 0;
+
+  const scheduled = await Project.find({ status: "scheduled" }).lean();
+  for (const project of scheduled) {
+    const at = scheduledAt(project);
+    if (!at || at > now) continue;
+    // A project scheduled past its own end date goes straight to completed
+    const to = hasEnded(project, now) ? "completed" : "active";
+    if (await systemTransition(project, to, now)) {
+      if (to === "active") started += 1;
+      else completed += 1;
+    }
+  }
+
+  const ended = await Project.find({ status: "active", end_date: { $ne: null, $lt: now } }).lean();
+  for (const project of ended) {
+    if (await systemTransition(project, "completed", now)) completed += 1;
+  }
+
+  return { started, completed };
+};
+
+/**
+ * Runs the lifecycle scheduler every PROJECT_LIFECYCLE_INTERVAL_MINUTES
+ * Returns the timer, or null when disabled
+ */
+const startLifecycleScheduler = () => {
+  const value = Number(process.env.PROJECT_LIFECYCLE_INTERVAL_MINUTES);
+  const minutes = Number.isFinite(value) && value >= 0 ? value : 5;
+  if (minutes === 0) return null;
+
+  const tick = () =>
+    runScheduledTransitions()
+      .then(({ started, completed }) => {
+        if (started + completed > 0) {
+          console.log(`🗓️ Project lifecycle: ${started} started, ${completed} completed`);
+        }
+      })
+      .catch((err) => console.error("🔥 Project lifecycle scheduler error:", err));
+
+  const timer = setInterval(tick, minutes * 60 * 1000);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  ACTIONS,
+  projectEvents,
+  scheduledAt,
+  targetFor,
+  dateError,
+  transitionError,
+  applyTransition,
+  emitTransition,
+  runScheduledTransitions,
+  startLifecycleScheduler,
+};
@@ -0,0 +1,229 @@
+const Project = require("../models/Project");
+const ProjectRevision = require("../models/ProjectRevision");
+const { dateError } = require("./projectLifecycle");
+
+/**
+ * Project Revisions
+ * Records every change to a project's details as a numbered revision with a
+ * field-level diff, and restores earlier revisions
+ *
+ * - Tracked: the descriptive fields, dates, seats, coordinator details and
+ *   each eligibility criterion ("eligibility.minCgpa", ...)
+ * - Not tracked: status (kept in Project.statusHistory) and attachments
+ * - Projects created before revisions existed get a "baseline" revision with
+ *   their previous state the first time they change, so it can be restored
+ * - Restoring copies a revision's snapshot back and is itself a new revision;
+ *   the restored fields are checked like an edit (see editError)
+ */
+
+const FIELDS = [
+  "project_code",
+  "project_name",
+  "description",
+  "scheduled_time",
+  "start_date",
+  "end_date",
+  "seats",
+  "internsRequired",
+  "cgpaRequirement",
+  "discipline",
+  "skills",
+  "coordinatorName",
+  "coordinatorDesignation",
+  "coordinatorEmail",
+  "coordinatorAltEmail",
+  "coordinatorPhone",
+];
+const DATE_FIELDS = ["start_date", "end_date"];
+const ELIGIBILITY_FIELDS = ["minCgpa", "disciplines", "programmes", "semesters", "requiredSkills", "optionalSkills"];
+const TRACKED_FIELDS = [...FIELDS, ...ELIGIBILITY_FIELDS.map((field) => `eligibility.${field}`)];
+
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return [...value];
+  return value;
+};
+
+/**
+ * The tracked fields of a project as plain JSON values
+ */
+const snapshot = (project) => {
+  const values = {};
+  for (const field of FIELDS) values[field] = plain(project[field]);
+  for (const field of ELIGIBILITY_FIELDS) {
+    const value = plain(project.eligibility ? project.eligibility[field] : null);
+    values[`eligibility.${field}`] = field === "minCgpa" ? value : value || [];
+  }
+  return values;
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {[{ field, from, to }]}
+ */
+const diff = (before, after) =>
+  TRACKED_FIELDS.filter((field) => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)).map(
+    (field) => ({ field, from: before[field] ?? null, to: after[field] ?? null })
+  );
+
+/**
+ * Copies a snapshot back onto a project document (caller saves)
+ */
+const applySnapshot = (project, values) => {
+  for (const field of TRACKED_FIELDS) {
+    if (!(field in values)) continue;
+    const value = values[field];
+    const bare = field.replace("eligibility.", "");
+    project.set(field, DATE_FIELDS.includes(bare) && value ? new Date(value) : value);
+  }
+};
+
+// Whether another of the organization's projects already uses the code
+const codeTaken = (organizationId, code, exceptId = null) =>
+  Project.exists({
+    organization_id: organizationId,
+    project_code: code,
+    ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+  });
+
+/**
+ * Checks an edited project before it is saved (PUT and revision restore):
+ * a changed code must be free, and changed dates must still suit the status
+ * Returns an error message, or null
+ */
+const editError = async (project) => {
+  const codeChanged = project.isModified("project_code");
+  if (codeChanged && (await codeTaken(project.organization_id, project.project_code, project._id))) {
+    return "Project code already exists";
+  }
+  if (["scheduled_time", "end_date"].some((field) => project.isModified(field))) {
+    return dateError(project, project.status);
+  }
+  return null;
+};
+
+/**
+ * Copies a revision's snapshot back onto a project document and checks the
+ * result (caller saves, then records the "restore" revision)
+ * @returns {{ before } | { error }} - before is the snapshot taken before the restore
+ */
+const restoreRevision = async (project, revision) => {
+  const before = snapshot(project);
+  applySnapshot(project, revision.snapshot);
+  if (project.start_date && project.end_date && project.start_date > project.end_date) {
+    return { error: "start_date must be before end_date" };
+  }
+  if (diff(before, snapshot(project)).length === 0) {
+    return { error: "The project already matches this revision" };
+  }
+  const error = await editError(project);
+  return error ? { error } : { before };
+};
+
+/**
+ * Records a revision after a project was saved
+ * Updates that changed no tracked field are not recorded
+ * @param {object} before - snapshot taken before the change (ignored for "create")
+ * @param {object} actor - { role, id }
+ * @returns the new revision, or null
+ */
+const recordRevision = async ({ project, before, actor, action = "update", restoredFrom = null }) => {
+  const after = snapshot(project);
+  const changes = action === "create" ? [] : diff(before, after);
+  if (action === "update" && changes.length === 0) return null;
+
+  // Retried when two saves race for the same revision number
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const last = await ProjectRevision.findOne({ projectId: project._id }).sort({ revision: -1 }).lean();
+      let next = last ? last.revision + 1 : 1;
+
+      if (!last && action !== "create") {
+        await ProjectRevision.create({
+          projectId: project._id,
+          organization_id: project.organization_id,
+          revision: next,
+          action: "baseline",
+          actorRole: "system",
+          changes: [],
+          snapshot: before,
+        });
+        next += 1;
+      }
+
+      return await ProjectRevision.create({
+        projectId: project._id,
+        organization_id: project.organization_id,
+        revision: next,
+        action,
+        restoredFrom,
+        actorRole: actor.role,
+        actorId: String(actor.id),
+        changes,
+        snapshot: after,
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+};
+
+/**
+ * Fields changed on each project after the student applied
+ * @param {Array} applications - { projectId, createdAt }
+ * @returns {Map} projectId -> { fields, last_changed_at }
+ */
+const changesSinceApplied = async (applications) => {
+  const appliedAt = new Map();
+  for (const application of applications) {
+    const id = (application.projectId?._id || application.projectId).toString();
+    appliedAt.set(id, new Date(application.createdAt));
+  }
+  if (appliedAt.size === 0) return new Map();
+
+  const revisions = await ProjectRevision.find({
+    projectId: { $in: [...appliedAt.keys()] },
+    action: { $in: ["update", "restore"] },
+  })
+    .select("projectId changes createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const changed = new Map();
+  for (const revision of revisions) {
+    const id = revision.projectId.toString();
+    if (revision.createdAt <= appliedAt.get(id)) continue;
+    const entry = changed.get(id) || { fields: new Set(), last_changed_at: null };
+    revision.changes.forEach((change) => entry.fields.add(change.field));
+    entry.last_changed_at = revision.createdAt;
+    changed.set(id, entry);
+  }
+
+  return new Map(
+    [...changed].map(([id, entry]) => [id, { fields: [...entry.fields], last_changed_at: entry.last_changed_at }])
+  );
+};
+
+const formatRevision = (revision, { withSnapshot = false } = {}) => ({
+  revision: revision.revision,
+  action: revision.action,
+  restored_from: revision.restoredFrom ?? null,
+  actor_role: revision.actorRole || null,
+  actor_id: revision.actorId || null,
+  created_at: revision.createdAt,
+  changes: revision.changes,
+  ...(withSnapshot ? { snapshot: revision.snapshot } : {}),
+});
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshot,
+  diff,
+  applySnapshot,
+  editError,
+  restoreRevision,
+  recordRevision,
+  changesSinceApplied,
+  formatRevision,
+};
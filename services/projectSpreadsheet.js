@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+
+/**
+ * Project Spreadsheets
+ * Reads project rows from CSV / XLSX uploads and writes project exports
+ *
+ * - One row per project; the first row holds the column headers
+ * - Headers are matched ignoring case, spaces and underscores, so
+ *   "Project Code", "project_code" and "projectCode" are the same column
+ * - List columns (disciplines, skills, ...) take values separated by ; or ,
+ * - Exports use the same columns, so an export can be edited and imported again
+ */
+
+const MAX_ROWS = 500;
+
+const list = (values) => (values || []).join("; ");
+const isoDate = (value) => (value ? new Date(value).toISOString() : "");
+
+/**
+ * Importable columns: header, the body field it fills (as accepted by
+ * POST /api/organization/projects) and how it is read back for export
+ * Columns with `criterion` fill body.eligibility
+ */
+const COLUMNS = [
+  { header: "project_code", field: "project_code", get: (p) => p.project_code },
+  { header: "project_name", field: "project_name", get: (p) => p.project_name },
+  { header: "description", field: "description", get: (p) => p.description || "" },
+  { header: "status", field: "status", get: (p) => p.status || "draft" },
+  { header: "scheduled_time", field: "scheduled_time", get: (p) => p.scheduled_time || "" },
+  { header: "start_date", field: "start_date", get: (p) => isoDate(p.start_date) },
+  { header: "end_date", field: "end_date", get: (p) => isoDate(p.end_date) },
+  { header: "seats", field: "seats", get: (p) => (p.seats ?? "") },
+  { header: "min_cgpa", criterion: "minCgpa", get: (p) => (p.eligibility?.minCgpa ?? "") },
+  { header: "disciplines", criterion: "disciplines", get: (p) => list(p.eligibility?.disciplines) },
+  { header: "programmes", criterion: "programmes", get: (p) => list(p.eligibility?.programmes) },
+  { header: "semesters", criterion: "semesters", get: (p) => list(p.eligibility?.semesters) },
+  { header: "required_skills", criterion: "requiredSkills", get: (p) => list(p.eligibility?.requiredSkills) },
+  { header: "optional_skills", criterion: "optionalSkills", get: (p) => list(p.eligibility?.optionalSkills) },
+  { header: "coordinator_name", field: "coordinatorName", get: (p) => p.coordinatorName || "" },
+  { header: "coordinator_designation", field: "coordinatorDesignation", get: (p) => p.coordinatorDesignation || "" },
+  { header: "coordinator_email", field: "coordinatorEmail", get: (p) => p.coordinatorEmail || "" },
+  { header: "coordinator_alt_email", field: "coordinatorAltEmail", get: (p) => p.coordinatorAltEmail || "" },
+  { header: "coordinator_phone", field: "coordinatorPhone", get: (p) => p.coordinatorPhone || "" },
+];
+
+const headerKey = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const COLUMNS_BY_KEY = new Map(COLUMNS.map((column) => [headerKey(column.header), column]));
+
+const CSV_TYPES = ["text/csv", "application/csv", "text/plain", "application/vnd.ms-excel"];
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+const MIME_TYPES = [...CSV_TYPES, XLSX_TYPE];
+
+/**
+ * "csv" or "xlsx" for an uploaded file, or null
+ */
+const formatOf = (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  if (extension === ".xlsx" || file.mimetype === XLSX_TYPE) return "xlsx";
+  if (extension === ".csv" || CSV_TYPES.includes(file.mimetype)) return "csv";
+  return null;
+};
+
+// Plain text of an ExcelJS cell value (dates, rich text, links and formulas included)
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+/**
+ * Reads the first worksheet of a spreadsheet
+ * @returns {{ rows: [{ row, body }], ignoredHeaders } | { error }}
+ * `row` is the spreadsheet row number, `body` the request body it stands for
+ */
+const readProjects = async (filePath, format) => {
+  const workbook = new ExcelJS.Workbook();
+  if (format === "xlsx") {
+    await workbook.xlsx.readFile(filePath);
+  } else {
+    // Keep every value as text; the default parser turns codes like "007" into numbers
+    await workbook.csv.read(fs.createReadStream(filePath), { map: (value) => value });
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.actualRowCount < 1) return { error: "The file is empty" };
+
+  const header = sheet.getRow(1);
+  const columns = new Map();
+  const ignoredHeaders = [];
+  header.eachCell((cell, index) => {
+    const text = cellText(cell.value);
+    const column = COLUMNS_BY_KEY.get(headerKey(text));
+    if (column) columns.set(index, column);
+    else if (text) ignoredHeaders.push(text);
+  });
+
+  const missing = ["project_code", "project_name"].filter(
+    (name) => ![...columns.values()].some((column) => column.header === name)
+  );
+  if (missing.length > 0) return { error: `Missing required column(s): ${missing.join(", ")}` };
+
+  const rows = [];
+  for (let number = 2; number <= sheet.rowCount; number += 1) {
+    const values = sheet.getRow(number);
+    const body = {};
+    const eligibility = {};
+    let filled = false;
+    for (const [index, column] of columns) {
+      const text = cellText(values.getCell(index).value);
+      if (!text) continue;
+      filled = true;
+      if (column.criterion) eligibility[column.criterion] = text;
+      else body[column.field] = text;
+    }
+    if (!filled) continue; // Blank rows are skipped
+    if (Object.keys(eligibility).length > 0) body.eligibility = eligibility;
+    rows.push({ row: number, body });
+  }
+
+  if (rows.length === 0) return { error: "The file has no project rows" };
+  if (rows.length > MAX_ROWS) return { error: `A file can hold at most ${MAX_ROWS} projects` };
+  return { rows, ignoredHeaders };
+};
+
+/**
+ * Builds an export of projects with their application counts
+ * @param {Map} counts - projectId -> { status: count }
+ * @param {string[]} statuses - application statuses, one column each
+ * @returns {Promise<Buffer>}
+ */
+const writeProjects = async (projects, counts, statuses, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Projects");
+  sheet.columns = [
+    ...COLUMNS.map((column) => ({ header: column.header, key: column.header, width: 20 })),
+    { header: "applications", key: "applications", width: 14 },
+    ...statuses.map((status) => ({ header: `applications_${status}`, key: `applications_${status}`, width: 14 })),
+    { header: "created_at", key: "created_at", width: 24 },
+  ];
+
+  for (const project of projects) {
+    const byStatus = counts.get(project._id.toString()) || {};
+    const row = Object.fromEntries(COLUMNS.map((column) => [column.header, column.get(project)]));
+    row.applications = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    for (const status of statuses) row[`applications_${status}`] = byStatus[status] || 0;
+    row.created_at = isoDate(project.createdAt);
+    sheet.addRow(row);
+  }
+
+  if (format === "xlsx") {
+    sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return Buffer.from(await workbook.csv.writeBuffer());
+};
+
+module.exports = {
+  MAX_ROWS,
+  COLUMNS,
+  MIME_TYPES,
+  XLSX_TYPE,
+  formatOf,
+  readProjects,
+  writeProjects,
+};
@@ -0,0 +1,173 @@
+const Project = require("../models/Project");
+const { snapshot, applySnapshot } = require("./projectRevisions");
+const { copyAttachments, formatAttachment } = require("./attachments");
+
+/**
+ * Project Templates
+ * Builds new draft projects from a saved template or by cloning a project
+ *
+ * - Description, requirements, seats, eligibility, coordinator fields and
+ *   attachments (as file copies) are carried over; status starts at draft
+ * - Dates move by the same amount: give the new start_date, or shift_days;
+ *   with neither, the dates are left empty to be set before publishing
+ * - project_code is generated from PROJECT_CODE_PATTERN unless one is given
+ *
+ * Config (env):
+ *   PROJECT_CODE_PATTERN - pattern for generated codes (default "{base}-{year}-{seq}")
+ *     {code}  the source project's code
+ *     {base}  that code without the -YYYY-NN suffix an earlier clone added
+ *             ("PRJ-2025-01" -> "PRJ"; "PRJ-042" is kept whole)
+ *     {year}  {month}  of the new start date (or today)
+ *     {seq}   01, 02, ... - the first number that gives an unused code
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEYS = ["start_date", "end_date", "scheduled_time"];
+
+const codePattern = () => process.env.PROJECT_CODE_PATTERN || "{base}-{year}-{seq}";
+
+/**
+ * Moves the dates of a snapshot (returns a new snapshot)
+ * @param {object} options - { start_date, shift_days } from the request body
+ * @returns {{ values } | { error }}
+ */
+const shiftDates = (values, { start_date, shift_days } = {}) => {
+  const shifted = { ...values };
+  let delta;
+
+  if (start_date) {
+    const start = new Date(start_date);
+    if (isNaN(start.getTime())) return { error: "Invalid start_date format" };
+    if (!values.start_date) {
+      shifted.start_date = start.toISOString();
+      shifted.end_date = null;
+      shifted.scheduled_time = null;
+      return { values: shifted };
+    }
+    delta = start - new Date(values.start_date);
+  } else if (shift_days !== undefined && shift_days !== null && shift_days !== "") {
+    const days = Number(shift_days);
+    if (!Number.isInteger(days)) return { error: "shift_days must be a whole number" };
+    delta = days * DAY_MS;
+  } else {
+    for (const key of DATE_KEYS) shifted[key] = null;
+    return { values: shifted };
+  }
+
+  for (const key of DATE_KEYS) {
+    const date = values[key] ? new Date(values[key]) : null;
+    // scheduled_time is free text; text that is not a date is dropped
+    shifted[key] = date && !isNaN(date.getTime()) ? new Date(date.getTime() + delta).toISOString() : null;
+  }
+  return { values: shifted };
+};
+
+/**
+ * Generates an unused project code for the organization from PROJECT_CODE_PATTERN
+ */
+const generateCode = async (organizationId, sourceCode, startDate) => {
+  const date = startDate ? new Date(startDate) : new Date();
+  const code = String(sourceCode || "PROJECT");
+  const values = {
+    code,
+    // Only the "-{year}-{seq}" suffix the default pattern produces is dropped
+    base: code.replace(/-\d{4}-\d{2,3}$/, "") || code,
+    year: String(date.getUTCFullYear()),
+    month: String(date.getUTCMonth() + 1).padStart(2, "0"),
+  };
+  const fill = (pattern, seq) =>
+    pattern.replace(/\{(\w+)\}/g, (match, key) =>
+      key === "seq" ? String(seq).padStart(2, "0") : values[key] ?? match
+    );
+
+  const existing = await Project.find({ organization_id: organizationId }).select("project_code").lean();
+  const taken = new Set(existing.map((p) => String(p.project_code).toLowerCase()));
+
+  let pattern = codePattern();
+  // Without {seq} in the pattern, a number is only appended when the code is taken
+  if (!pattern.includes("{seq}")) {
+    const candidate = fill(pattern);
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+    pattern += "-{seq}";
+  }
+
+  for (let seq = 1; ; seq += 1) {
+    const candidate = fill(pattern, seq);
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+};
+
+/**
+ * Builds an unsaved draft project from a snapshot and attachments
+ * @param {object} body - { project_code?, project_name?, start_date?, shift_days? }
+ * @param {object} actor - { role, id }
+ * @returns {{ project } | { error }}
+ */
+const buildProject = async ({ organizationId, values, attachments, body, actor }) => {
+  const { values: shifted, error } = shiftDates(values, body);
+  if (error) return { error };
+  if (shifted.start_date && shifted.end_date && new Date(shifted.start_date) > new Date(shifted.end_date)) {
+    return { error: "start_date must be before end_date" };
+  }
+
+  let projectCode = body.project_code ? String(body.project_code).trim() : null;
+  if (projectCode) {
+    const taken = await Project.exists({ organization_id: organizationId, project_code: projectCode });
+    if (taken) return { error: "Project code already exists" };
+  } else {
+    projectCode = await generateCode(organizationId, values.project_code, shifted.start_date);
+  }
+
+  const project = new Project({ organization_id: organizationId, status: "draft" });
+  applySnapshot(project, shifted);
+  project.project_code = projectCode;
+  if (body.project_name) project.project_name = String(body.project_name).trim();
+  project.attachments = await copyAttachments(attachments, actor);
+
+  return { project };
+};
+
+/**
+ * Copies a project into a new draft
+ */
+const cloneProject = (source, body, actor) =>
+  buildProject({
+    organizationId: source.organization_id,
+    values: snapshot(source),
+    attachments: source.attachments,
+    body,
+    actor,
+  });
+
+/**
+ * Creates a new draft from a template
+ */
+const projectFromTemplate = (template, body, actor) =>
+  buildProject({
+    organizationId: template.organization_id,
+    values: template.snapshot,
+    attachments: template.attachments,
+    body,
+    actor,
+  });
+
+const formatTemplate = (template) => ({
+  _id: template._id.toString(),
+  name: template.name,
+  source_project_id: template.sourceProjectId ? template.sourceProjectId.toString() : null,
+  project_code: template.snapshot.project_code,
+  project_name: template.snapshot.project_name,
+  fields: template.snapshot,
+  attachments: (template.attachments || []).map(formatAttachment),
+  created_at: template.createdAt,
+  updated_at: template.updatedAt,
+});
+
+module.exports = {
+  codePattern,
+  shiftDates,
+  generateCode,
+  cloneProject,
+  projectFromTemplate,
+  formatTemplate,
+};
@@ -0,0 +1,113 @@
+const createMemoryStore = require("./memoryStore");
+const createMongoStore = require("./mongoStore");
+
+/**
+ * Rate Limit Service
+ * Attempt counters and account lockout on top of a pluggable store
+ *
+ * Config (env):
+ *   RATE_LIMIT_STORE                    - "memory" (default) | "mongo"
+ *   RATE_LIMIT_<NAME>_MAX               - requests allowed per window for a named limit
+ *   RATE_LIMIT_<NAME>_WINDOW_MINUTES    - window length for a named limit
+ *   LOCKOUT_THRESHOLD                   - failures before an account is locked (default 5)
+ *   LOCKOUT_WINDOW_MINUTES              - window the failures are counted in (default 15)
+ *   LOCKOUT_MINUTES                     - how long a lock lasts (default 15)
+ */
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+const storeName = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+if (!stores[storeName]) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}". Use one of: ${Object.keys(stores).join(", ")}`);
+}
+const store = stores[storeName]();
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const minutes = (n) => n * 60 * 1000;
+
+/**
+ * Reads a named limit, letting RATE_LIMIT_<NAME>_* override the defaults
+ * e.g. limit("login_ip", 20, 15) reads RATE_LIMIT_LOGIN_IP_MAX / _WINDOW_MINUTES
+ */
+const limit = (name, max, windowMinutes) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    name,
+    max: envNumber(`${prefix}_MAX`, max),
+    windowMs: minutes(envNumber(`${prefix}_WINDOW_MINUTES`, windowMinutes)),
+  };
+};
+
+const lockoutConfig = () => ({
+  threshold: envNumber("LOCKOUT_THRESHOLD", 5),
+  windowMs: minutes(envNumber("LOCKOUT_WINDOW_MINUTES", 15)),
+  lockMs: minutes(envNumber("LOCKOUT_MINUTES", 15)),
+});
+
+// Account identifiers are compared case-insensitively
+const normalize = (identifier) => String(identifier || "").trim().toLowerCase();
+
+const failureKey = (scope, identifier) => `fail:${scope}:${normalize(identifier)}`;
+const lockKey = (scope, identifier) => `lock:${scope}:${normalize(identifier)}`;
+
+/**
+ * Counts one request against a limit
+ * Returns { allowed, retryAfterMs }
+ */
+const hit = async ({ name, max, windowMs }, key) => {
+  const { count, resetAt } = await store.increment(`rate:${name}:${key}`, windowMs);
+  return {
+    allowed: count <= max,
+    retryAfterMs: Math.max(resetAt - Date.now(), 0),
+  };
+};
+
+/**
+ * Returns the remaining lock time in ms, or 0 when the account is not locked
+ */
+const lockRemaining = async (scope, identifier) => {
+  const lock = await store.get(lockKey(scope, identifier));
+  return lock ? Math.max(lock.resetAt - Date.now(), 0) : 0;
+};
+
+/**
+ * Records a failed attempt and locks the account once the threshold is reached
+ * Returns true when this failure caused a lock
+ */
+const recordFailure = async (scope, identifier) => {
+  const { threshold, windowMs, lockMs } = lockoutConfig();
+  const { count } = await store.increment(failureKey(scope, identifier), windowMs);
+  if (count < threshold) return false;
+
+  await store.set(lockKey(scope, identifier), 1, lockMs);
+  await store.delete(failureKey(scope, identifier));
+  console.warn(`🔒 Locked ${scope} account ${normalize(identifier)} after ${count} failed attempts`);
+  return true;
+};
+
+const recordSuccess = (scope, identifier) => store.delete(failureKey(scope, identifier));
+
+/**
+ * Clears the lock and failure counter for an account (admin unlock)
+ */
+const unlock = async (scope, identifier) => {
+  await store.delete(lockKey(scope, identifier));
+  await store.delete(failureKey(scope, identifier));
+};
+
+module.exports = {
+  store,
+  limit,
+  hit,
+  lockRemaining,
+  recordFailure,
+  recordSuccess,
+  unlock,
+};
@@ -0,0 +1,56 @@
+/**
+ * In-process rate-limit store
+ * Counters live in a Map and are lost on restart; limits only apply per instance
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const live = (key) => {
+    const entry = counters.get(key);
+    if (!entry) return null;
+    if (entry.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Drop expired counters so the Map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      const entry = live(key);
+      if (entry) {
+        entry.count += 1;
+        return { ...entry };
+      }
+      const fresh = { count: 1, resetAt: Date.now() + windowMs };
+      counters.set(key, fresh);
+      return { ...fresh };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
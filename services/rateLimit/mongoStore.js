@@ -0,0 +1,61 @@
+const RateLimitCounter = require("../../models/RateLimitCounter");
+
+/**
+ * Mongo-backed rate-limit store
+ * Counters are shared by every instance pointing at the same database
+ */
+const toResult = (doc) => (doc ? { count: doc.count, resetAt: doc.expiresAt.getTime() } : null);
+
+const createMongoStore = () => ({
+  name: "mongo",
+
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$expiresAt", now] };
+
+    try {
+      // A single pipeline update either bumps the live window or starts a new one,
+      // since the TTL monitor may not have removed an expired counter yet
+      const doc = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+              expiresAt: {
+                $cond: [windowOpen, "$expiresAt", new Date(now.getTime() + windowMs)],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      ).lean();
+      return toResult(doc);
+    } catch (err) {
+      // Two instances upserting the same new key at once; the retry will find it
+      if (err.code === 11000 && !retried) {
+        return this.increment(key, windowMs, true);
+      }
+      throw err;
+    }
+  },
+
+  async get(key) {
+    const doc = await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return toResult(doc);
+  },
+
+  async set(key, count, ttlMs) {
+    await RateLimitCounter.updateOne(
+      { key },
+      { count, expiresAt: new Date(Date.now() + ttlMs) },
+      { upsert: true }
+    );
+  },
+
+  async delete(key) {
+    await RateLimitCounter.deleteOne({ key });
+  },
+});
+
+module.exports = createMongoStore;
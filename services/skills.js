@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Skill Taxonomy
+ * Maps the many spellings of a skill ("ReactJS", "react", "React.js") to one
+ * canonical name, using the list in data/skills.json
+ *
+ * Skills that are not in the taxonomy are kept as typed (trimmed) so nothing
+ * a student or organization enters is lost
+ */
+
+// Lowercase and drop everything but letters, digits, "+" and "#" ("C++", "C#")
+const skillKey = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]/g, "");
+
+const TAXONOMY = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "data", "skills.json"), "utf8"));
+
+const CANONICAL = new Map();
+for (const skill of TAXONOMY) {
+  for (const spelling of [skill.name, ...skill.aliases]) {
+    CANONICAL.set(skillKey(spelling), skill.name);
+  }
+}
+
+/**
+ * Returns the canonical name of a skill, or the trimmed input when unknown
+ */
+const canonicalSkill = (value) => {
+  const text = String(value || "").trim();
+  return CANONICAL.get(skillKey(text)) || text;
+};
+
+/**
+ * Splits a comma-separated string (or takes an array) and returns the
+ * canonical names, without duplicates, in the order given
+ */
+const canonicalizeSkills = (value) => {
+  const items = Array.isArray(value) ? value : String(value || "").split(/\s*(?:,|;|\||\n)\s*/);
+  const seen = new Set();
+  const skills = [];
+  for (const item of items) {
+    const skill = canonicalSkill(item);
+    const key = skillKey(skill);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    skills.push(skill);
+  }
+  return skills;
+};
+
+// Canonical form of a free-text skills field, as stored on Student / Project
+const canonicalSkillText = (value) => canonicalizeSkills(value).join(", ");
+
+// Whether two spellings refer to the same skill
+const sameSkill = (a, b) => {
+  const key = skillKey(canonicalSkill(a));
+  return Boolean(key) && key === skillKey(canonicalSkill(b));
+};
+
+const listTaxonomy = () => TAXONOMY.map(({ name, category, aliases }) => ({ name, category, aliases }));
+
+module.exports = {
+  skillKey,
+  canonicalSkill,
+  canonicalizeSkills,
+  canonicalSkillText,
+  sameSkill,
+  listTaxonomy,
+};
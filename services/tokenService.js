@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+
+/**
+ * Token Service
+ * Mints short-lived access JWTs and rotating refresh tokens for every login endpoint
+ *
+ * Config (env):
+ *   JWT_SECRET               - signing secret for access tokens (required)
+ *   ACCESS_TOKEN_TTL         - access token lifetime, jsonwebtoken format (default "15m")
+ *   REFRESH_TOKEN_TTL_DAYS   - refresh token lifetime in days (default 7)
+ *   TWO_FACTOR_CHALLENGE_TTL - lifetime of the token between password and 2FA steps (default "5m")
+ *   EMAIL_VERIFICATION_TTL   - lifetime of email verification links (default "24h")
+ */
+
+const ROLES = ["student", "admin", "org"];
+
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  return secret;
+};
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+
+const refreshTokenTtlMs = () => {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Refresh tokens are stored hashed so a database leak cannot be replayed
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Signs an access JWT carrying the subject and role
+ * `id` is kept alongside `sub` for routes that still read decoded.id
+ */
+const signAccessToken = ({ subject, role, claims = {} }) =>
+  jwt.sign({ ...claims, sub: subject, id: subject, role }, getSecret(), {
+    expiresIn: accessTokenTtl(),
+  });
+
+// Special-purpose tokens carry a `typ` claim; access tokens never do
+// Marks tokens that only prove the password step of a two-factor login
+const CHALLENGE_TYPE = "2fa-challenge";
+// Marks tokens embedded in email verification links
+const EMAIL_VERIFICATION_TYPE = "email-verify";
+
+/**
+ * Verifies an access JWT and returns its payload
+ * Throws jsonwebtoken errors (JsonWebTokenError / TokenExpiredError) on failure
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.typ) {
+    throw new jwt.JsonWebTokenError(`A ${decoded.typ} token cannot be used for access`);
+  }
+  return decoded;
+};
+
+/**
+ * Signs the short-lived token returned by a login that still needs a second factor
+ * It is exchanged for real tokens at /api/auth/2fa/verify
+ */
+const issueChallengeToken = ({ subject, role, claims = {} }) =>
+  jwt.sign({ ...claims, sub: subject.toString(), role, typ: CHALLENGE_TYPE }, getSecret(), {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m",
+  });
+
+/**
+ * Verifies a challenge token and returns its payload
+ * Throws jsonwebtoken errors on failure or when given any other kind of token
+ */
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.typ !== CHALLENGE_TYPE) {
+    throw new jwt.JsonWebTokenError("Not a two-factor challenge token");
+  }
+  return decoded;
+};
+
+/**
+ * Signs the token for an email verification link
+ * The address is part of the token so a link stops working once the email changes
+ */
+const issueEmailVerificationToken = ({ subject, role, email }) =>
+  jwt.sign({ sub: subject.toString(), role, email, typ: EMAIL_VERIFICATION_TYPE }, getSecret(), {
+    expiresIn: process.env.EMAIL_VERIFICATION_TTL || "24h",
+  });
+
+/**
+ * Verifies an email verification token and returns { sub, role, email }
+ * Throws jsonwebtoken errors on failure or when given any other kind of token
+ */
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, getSecret());
+  if (decoded.typ !== EMAIL_VERIFICATION_TYPE) {
+    throw new jwt.JsonWebTokenError("Not an email verification token");
+  }
+  return decoded;
+};
+
+const createRefreshToken = async ({ subject, role, claims = {}, family }) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    subject,
+    role,
+    claims,
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+  });
+
+  return token;
+};
+
+/**
+ * Issues a fresh access/refresh token pair for a login
+ * Response shape is shared by all login endpoints and /api/auth/refresh
+ */
+const issueTokens = async ({ subject, role, claims = {}, family }) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const id = subject.toString();
+  const accessToken = signAccessToken({ subject: id, role, claims });
+  const refreshToken = await createRefreshToken({ subject: id, role, claims, family });
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    tokenType: "Bearer",
+    accessToken,
+    accessTokenExpiresAt: new Date(exp * 1000).toISOString(),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair
+ * The presented token is revoked; presenting an already-revoked token
+ * is treated as theft and revokes every token in its family
+ * Returns null when the token is unknown, expired or revoked
+ */
+const rotateRefreshToken = async (token) => {
+  if (!token) return null;
+
+  const now = new Date();
+  const tokenHash = hashToken(token);
+
+  // Claim the token in one update so two concurrent refreshes cannot both succeed
+  const entry = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  ).lean();
+
+  if (!entry) {
+    const existing = await RefreshToken.findOne({ tokenHash }).lean();
+    if (existing && existing.revokedAt) {
+      console.warn("⚠️ Refresh token reuse detected for", existing.role, existing.subject);
+      await revokeFamily(existing.family);
+    }
+    return null;
+  }
+
+  const tokens = await issueTokens({
+    subject: entry.subject,
+    role: entry.role,
+    claims: entry.claims || {},
+    family: entry.family,
+  });
+
+  await RefreshToken.updateOne({ _id: entry._id }, { replacedBy: hashToken(tokens.refreshToken) });
+
+  return { ...tokens, subject: entry.subject, role: entry.role };
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+/**
+ * Revokes the session a refresh token belongs to (logout)
+ * Returns false when the token is unknown
+ */
+const revokeRefreshToken = async (token) => {
+  if (!token) return false;
+
+  const entry = await RefreshToken.findOne({ tokenHash: hashToken(token) }).lean();
+  if (!entry) return false;
+
+  await revokeFamily(entry.family);
+  return true;
+};
+
+/**
+ * Revokes every refresh token for an account (e.g. after a password reset)
+ */
+const revokeAllForSubject = (subject, role) =>
+  RefreshToken.updateMany(
+    { subject: subject.toString(), role, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+module.exports = {
+  ROLES,
+  issueTokens,
+  verifyAccessToken,
+  issueChallengeToken,
+  verifyChallengeToken,
+  issueEmailVerificationToken,
+  verifyEmailVerificationToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForSubject,
+};
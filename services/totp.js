@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238) helpers
+ * HMAC-SHA1, 30 second steps, 6 digits - the defaults every authenticator app supports
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new base32 secret (160 bits, as recommended by RFC 4226)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const stepAt = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * Computes the code for a given time step (RFC 4226 HOTP with a time-based counter)
+ */
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateCode = (secret, timeMs = Date.now()) => codeForStep(secret, stepAt(timeMs));
+
+/**
+ * Checks a code against the current step and `window` steps either side (clock drift)
+ * Steps at or before `afterStep` are refused so a code cannot be replayed
+ * Returns the matching step, or null
+ */
+const verifyCode = (secret, code, { window = 1, afterStep = -1, timeMs = Date.now() } = {}) => {
+  const candidate = String(code || "").replace(/\s+/g, "");
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const current = stepAt(timeMs);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI authenticator apps read from a QR code
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
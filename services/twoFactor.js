@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const totp = require("./totp");
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment and verification for any account document that has a
+ * `twoFactor` sub-document (see models/twoFactorSchema.js)
+ *
+ * Config (env):
+ *   TWO_FACTOR_ISSUER - name shown in authenticator apps (default "SIA Internship Portal")
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || "SIA Internship Portal";
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// e.g. "k3f9-x2mq": 40 random bits, easy to type
+const generateRecoveryCode = () => {
+  const raw = totp.base32Encode(crypto.randomBytes(5)).toLowerCase();
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+};
+
+const isEnabled = (account) => Boolean(account.twoFactor && account.twoFactor.enabled);
+
+/**
+ * Creates a pending secret and returns what the client needs to show a QR code
+ * The secret only becomes active once confirmEnrollment succeeds
+ */
+const startEnrollment = async (account, accountName) => {
+  const secret = totp.generateSecret();
+  account.twoFactor.pendingSecret = secret;
+  await account.save();
+
+  const otpauthUri = totp.buildOtpauthUri({ secret, accountName, issuer: issuer() });
+  return { secret, otpauthUri };
+};
+
+/**
+ * Replaces the recovery codes and returns the new plain codes (shown once)
+ */
+const regenerateRecoveryCodes = async (account) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  account.twoFactor.recoveryCodeHashes = codes.map(hashRecoveryCode);
+  await account.save();
+  return codes;
+};
+
+/**
+ * Activates the pending secret when `code` matches it
+ * Returns the recovery codes, or null when the code is wrong
+ */
+const confirmEnrollment = async (account, code) => {
+  const { pendingSecret } = account.twoFactor;
+  if (!pendingSecret) return null;
+
+  const step = totp.verifyCode(pendingSecret, code);
+  if (step === null) return null;
+
+  account.twoFactor.secret = pendingSecret;
+  account.twoFactor.pendingSecret = null;
+  account.twoFactor.enabled = true;
+  account.twoFactor.enabledAt = new Date();
+  account.twoFactor.lastUsedStep = step;
+
+  return regenerateRecoveryCodes(account);
+};
+
+/**
+ * Checks an authenticator code or, failing that, a recovery code
+ * Accepted codes are used up: the TOTP step cannot be replayed and the
+ * recovery code is removed
+ */
+const verifySecondFactor = async (account, { code, recoveryCode }) => {
+  if (!isEnabled(account)) return false;
+  const settings = account.twoFactor;
+
+  if (code) {
+    const step = totp.verifyCode(settings.secret, code, { afterStep: settings.lastUsedStep });
+    if (step === null) return false;
+    settings.lastUsedStep = step;
+    await account.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    if (!settings.recoveryCodeHashes.includes(hash)) return false;
+    settings.recoveryCodeHashes = settings.recoveryCodeHashes.filter((h) => h !== hash);
+    await account.save();
+    return true;
+  }
+
+  return false;
+};
+
+const disable = async (account) => {
+  account.twoFactor = {};
+  await account.save();
+};
+
+module.exports = {
+  isEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { STATUSES, TRANSITIONS, isFinal, transitionError, applyTransition } = require("../services/applicationStatus");
+
+test("organizations move applications through review", () => {
+  assert.equal(transitionError("pending", "shortlisted", "org"), null);
+  assert.equal(transitionError("shortlisted", "interview", "org"), null);
+  assert.equal(transitionError("interview", "offered", "org"), null);
+  assert.equal(transitionError("shortlisted", "offered", "org"), null);
+  assert.equal(transitionError("offered", "rejected", "org"), null);
+});
+
+test("organizations cannot accept, withdraw or skip review steps", () => {
+  assert.equal(transitionError("offered", "accepted", "org"), "You cannot set an application to accepted");
+  assert.equal(transitionError("pending", "withdrawn", "org"), "You cannot set an application to withdrawn");
+  assert.equal(transitionError("pending", "offered", "org"), "Cannot move an application from pending to offered");
+  assert.equal(transitionError("rejected", "shortlisted", "org"), "Cannot move an application from rejected to shortlisted");
+});
+
+test("students accept offers and withdraw open applications", () => {
+  assert.equal(transitionError("offered", "accepted", "student"), null);
+  for (const from of ["pending", "shortlisted", "interview", "offered"]) {
+    assert.equal(transitionError(from, "withdrawn", "student"), null, from);
+  }
+  assert.equal(transitionError("pending", "accepted", "student"), "Cannot move an application from pending to accepted");
+  assert.equal(transitionError("accepted", "withdrawn", "student"), "Cannot move an application from accepted to withdrawn");
+  assert.equal(transitionError("pending", "shortlisted", "student"), "You cannot set an application to shortlisted");
+});
+
+test("admins make any valid transition but final statuses stay final", () => {
+  assert.equal(transitionError("offered", "accepted", "admin"), null);
+  assert.equal(transitionError("pending", "withdrawn", "admin"), null);
+  for (const from of ["accepted", "rejected", "withdrawn"]) {
+    assert.equal(isFinal(from), true);
+    assert.equal(transitionError(from, "pending", "admin"), `Cannot move an application from ${from} to pending`);
+  }
+});
+
+test("unknown statuses and roles are refused", () => {
+  assert.match(transitionError("pending", "hired", "admin"), /^Unknown status "hired"/);
+  assert.equal(transitionError("pending", "shortlisted", "guest"), "You cannot set an application to shortlisted");
+  assert.deepEqual(Object.keys(TRANSITIONS), STATUSES);
+});
+
+test("applyTransition records the change in the history", () => {
+  const application = { status: "offered", statusHistory: [], withdrawnAt: null };
+  applyTransition(application, "withdrawn", { role: "student", id: "S1" }, "Took another offer");
+
+  assert.equal(application.status, "withdrawn");
+  assert.ok(application.withdrawnAt instanceof Date);
+  const [entry] = application.statusHistory;
+  assert.equal(entry.from, "offered");
+  assert.equal(entry.to, "withdrawn");
+  assert.equal(entry.actorRole, "student");
+  assert.equal(entry.actorId, "S1");
+  assert.equal(entry.note, "Took another offer");
+});
+
+test("the allotment engine settles any open application", () => {
+  for (const from of ["pending", "shortlisted", "interview", "offered"]) {
+    assert.equal(transitionError(from, "accepted", "system"), null, from);
+    assert.equal(transitionError(from, "rejected", "system"), null, from);
+  }
+  assert.equal(transitionError("withdrawn", "accepted", "system"), "Cannot move an application from withdrawn to accepted");
+  assert.equal(transitionError("pending", "shortlisted", "system"), "You cannot set an application to shortlisted");
+});
+
+test("students move a shortlisted application to interview by booking", () => {
+  assert.equal(transitionError("shortlisted", "interview", "student"), null);
+  assert.equal(transitionError("pending", "interview", "student"), "Cannot move an application from pending to interview");
+});
+
+test("applications to a withdrawn project are frozen for students and organizations", () => {
+  const withdrawn = { projectWithdrawn: true };
+  const message = "The project has been withdrawn; this application can no longer change";
+  assert.equal(transitionError("offered", "accepted", "student", withdrawn), message);
+  assert.equal(transitionError("pending", "withdrawn", "student", withdrawn), message);
+  assert.equal(transitionError("pending", "shortlisted", "org", withdrawn), message);
+  assert.equal(transitionError("pending", "shortlisted", "admin", withdrawn), null);
+  assert.equal(transitionError("pending", "rejected", "system", withdrawn), null);
+});
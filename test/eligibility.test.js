@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  splitList,
+  parseCgpa,
+  criteriaFromLegacy,
+  normalizeCriteria,
+  evaluateEligibility,
+} = require("../services/eligibility");
+
+test("splitList keeps names that contain 'and', '&' or '/'", () => {
+  assert.deepEqual(
+    splitList("Electronics and Communication Engineering, CSE; IT | Mech"),
+    ["Electronics and Communication Engineering", "CSE", "IT", "Mech"]
+  );
+  assert.deepEqual(splitList("Computer Science & Engineering\nAI/ML"), [
+    "Computer Science & Engineering",
+    "AI/ML",
+  ]);
+});
+
+test("splitList treats 'any' values as no restriction and drops duplicates", () => {
+  assert.deepEqual(splitList("Any"), []);
+  assert.deepEqual(splitList(""), []);
+  assert.deepEqual(splitList("CSE, any, C.S.E, ECE"), ["CSE", "ECE"]);
+  assert.deepEqual(splitList([" CSE ", "cse", "IT"]), ["CSE", "IT"]);
+});
+
+test("parseCgpa reads the 10-point scale only", () => {
+  assert.equal(parseCgpa(">= 7.5"), 7.5);
+  assert.equal(parseCgpa("7.0/10"), 7);
+  assert.equal(parseCgpa("75%"), null);
+  assert.equal(parseCgpa("75"), null);
+});
+
+test("criteriaFromLegacy keeps free-text skills optional", () => {
+  const { criteria, unparsed } = criteriaFromLegacy({
+    cgpaRequirement: "7 CGPA",
+    discipline: "Electronics and Communication Engineering",
+    skills: "Python, js",
+  });
+  assert.equal(criteria.minCgpa, 7);
+  assert.deepEqual(criteria.disciplines, ["Electronics and Communication Engineering"]);
+  assert.deepEqual(criteria.requiredSkills, []);
+  assert.deepEqual(criteria.optionalSkills, ["Python", "JavaScript"]);
+  assert.deepEqual(unparsed, []);
+});
+
+test("criteriaFromLegacy reports a CGPA it cannot read", () => {
+  const { criteria, unparsed } = criteriaFromLegacy({ cgpaRequirement: "70%" });
+  assert.equal(criteria.minCgpa, null);
+  assert.deepEqual(unparsed, ["cgpaRequirement"]);
+});
+
+test("normalizeCriteria rejects an out-of-range CGPA", () => {
+  assert.ok(normalizeCriteria({ minCgpa: 11 }).error);
+  assert.ok(normalizeCriteria([]).error);
+});
+
+const student = (academic) => ({ academic });
+
+test("evaluateEligibility accepts a student who meets every criterion", () => {
+  const { criteria } = normalizeCriteria({
+    minCgpa: 7,
+    disciplines: "Electronics and Communication Engineering, CSE",
+    semesters: "5, VI",
+    requiredSkills: ["python"],
+    optionalSkills: ["es6"],
+  });
+  const result = evaluateEligibility(
+    criteria,
+    student({
+      cgpa: "8.2",
+      discipline: "electronics and communication engineering",
+      semester: "Sem 6",
+      skills: ["Python3", "JavaScript"],
+    })
+  );
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.missingSkills, []);
+  assert.deepEqual(result.matchedOptionalSkills, ["JavaScript"]);
+  assert.deepEqual(
+    result.checks.map((check) => check.criterion),
+    ["minCgpa", "disciplines", "semesters", "requiredSkills"]
+  );
+});
+
+test("evaluateEligibility explains each unmet criterion", () => {
+  const { criteria } = normalizeCriteria({
+    minCgpa: 8,
+    disciplines: ["CSE"],
+    requiredSkills: ["Python"],
+  });
+  const result = evaluateEligibility(criteria, student({ cgpa: 7.5, discipline: "Mechanical" }));
+  assert.equal(result.eligible, false);
+  assert.deepEqual(result.missingSkills, ["Python"]);
+  assert.deepEqual(
+    result.checks.filter((check) => !check.met).map((check) => check.criterion),
+    ["minCgpa", "disciplines", "requiredSkills"]
+  );
+});
+
+test("evaluateEligibility fails criteria the profile leaves blank", () => {
+  const result = evaluateEligibility({ minCgpa: 6 }, student({}));
+  assert.equal(result.eligible, false);
+  assert.equal(result.checks[0].actual, null);
+});
+
+test("evaluateEligibility with no criteria is eligible", () => {
+  const result = evaluateEligibility(null, student({}));
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.checks, []);
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { stableMatch } = require("../services/allotment/matching");
+
+const byStudent = (matches) =>
+  Object.fromEntries(matches.map((m) => [m.studentId, m.projectId]));
+
+test("stableMatch gives each student their best project that will take them", () => {
+  const result = stableMatch({
+    students: [
+      { id: "s1", preferences: ["A", "B"] },
+      { id: "s2", preferences: ["A"] },
+    ],
+    projects: [
+      { id: "A", capacity: 1, ranking: ["s2", "s1"] },
+      { id: "B", capacity: 1, ranking: ["s1"] },
+    ],
+  });
+  assert.deepEqual(byStudent(result.matches), { s1: "B", s2: "A" });
+  assert.deepEqual(result.unmatched, []);
+
+  const s1 = result.matches.find((m) => m.studentId === "s1");
+  assert.equal(s1.studentChoice, 2);
+  assert.equal(s1.projectRank, 1);
+});
+
+test("stableMatch records a held student bumped by a higher-ranked one", () => {
+  const result = stableMatch({
+    students: [
+      { id: "s1", preferences: ["A"] },
+      { id: "s2", preferences: ["A"] },
+    ],
+    projects: [{ id: "A", capacity: 1, ranking: ["s2", "s1"] }],
+  });
+  assert.deepEqual(byStudent(result.matches), { s2: "A" });
+  assert.equal(result.unmatched.length, 1);
+  assert.equal(result.unmatched[0].studentId, "s1");
+  assert.deepEqual(result.unmatched[0].proposals, [{ projectId: "A", outcome: "displaced" }]);
+});
+
+test("stableMatch rejects a lower-ranked student once the project is full", () => {
+  const result = stableMatch({
+    students: [
+      { id: "s1", preferences: ["A"] },
+      { id: "s2", preferences: ["A"] },
+    ],
+    projects: [{ id: "A", capacity: 1, ranking: ["s1", "s2"] }],
+  });
+  assert.deepEqual(byStudent(result.matches), { s1: "A" });
+  assert.deepEqual(result.unmatched[0].proposals, [{ projectId: "A", outcome: "rejected_full" }]);
+});
+
+test("stableMatch fills every seat of a project", () => {
+  const result = stableMatch({
+    students: [
+      { id: "s1", preferences: ["A"] },
+      { id: "s2", preferences: ["A"] },
+      { id: "s3", preferences: ["A"] },
+    ],
+    projects: [{ id: "A", capacity: 2, ranking: ["s3", "s1", "s2"] }],
+  });
+  assert.deepEqual(byStudent(result.matches), { s1: "A", s3: "A" });
+  assert.deepEqual(result.projects, [{ projectId: "A", capacity: 2, filled: 2, remaining: 0 }]);
+});
+
+test("stableMatch explains why a student stayed unmatched", () => {
+  const result = stableMatch({
+    students: [
+      { id: "s1", preferences: ["A", "B", "C"] },
+      { id: "s2", preferences: [] },
+    ],
+    projects: [
+      { id: "A", capacity: 1, ranking: [] },
+      { id: "B", capacity: 0, ranking: ["s1"] },
+    ],
+  });
+  assert.deepEqual(result.matches, []);
+
+  const [s1, s2] = result.unmatched;
+  assert.deepEqual(
+    s1.proposals.map((p) => p.outcome),
+    ["not_ranked", "no_capacity", "unknown_project"]
+  );
+  assert.match(s1.reason, /choice 1 not ranked by the organization/);
+  assert.equal(s2.reason, "No preferred projects to allot");
+  assert.deepEqual(
+    result.projects.map((p) => p.remaining),
+    [1, 0]
+  );
+});
+
+test("stableMatch compares ids as strings", () => {
+  const result = stableMatch({
+    students: [{ id: 1, preferences: [10] }],
+    projects: [{ id: "10", capacity: 1, ranking: ["1"] }],
+  });
+  assert.deepEqual(byStudent(result.matches), { 1: "10" });
+});
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const pagination = require("../services/pagination");
+
+const id = new mongoose.Types.ObjectId();
+
+test("pageLimit clamps the page size", () => {
+  assert.equal(pagination.pageLimit(undefined), pagination.DEFAULT_LIMIT);
+  assert.equal(pagination.pageLimit("abc"), pagination.DEFAULT_LIMIT);
+  assert.equal(pagination.pageLimit("0"), pagination.DEFAULT_LIMIT);
+  assert.equal(pagination.pageLimit("-3"), 1);
+  assert.equal(pagination.pageLimit("10"), 10);
+  assert.equal(pagination.pageLimit("500"), pagination.MAX_LIMIT);
+});
+
+test("cursors round-trip numbers, strings and dates", () => {
+  for (const value of [42, "Robotics", null]) {
+    const cursor = pagination.decodeCursor(pagination.encodeCursor(value, id));
+    assert.deepEqual(cursor, { value, id });
+  }
+  const date = new Date("2026-06-01T10:00:00Z");
+  const cursor = pagination.decodeCursor(pagination.encodeCursor(date, id));
+  assert.ok(cursor.value instanceof Date);
+  assert.equal(cursor.value.getTime(), date.getTime());
+});
+
+test("tampered or foreign cursors are rejected", () => {
+  const valid = pagination.encodeCursor(5, id);
+  const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+  assert.equal(pagination.decodeCursor(`${valid.slice(0, -4)}!!!!`), null);
+  assert.equal(pagination.decodeCursor("not-a-cursor"), null);
+  assert.equal(pagination.decodeCursor(forge({ v: 5, id: "123" })), null);
+  assert.equal(pagination.decodeCursor(forge({ v: { $date: "yesterday" }, id: id.toString() })), null);
+  assert.equal(pagination.decodeCursor(undefined), null);
+});
+
+test("afterCursor continues after the last item in either direction", () => {
+  const cursor = { value: 7, id };
+  assert.deepEqual(pagination.afterCursor("score", -1, cursor), {
+    $or: [{ score: { $lt: 7 } }, { score: 7, _id: { $lt: id } }],
+  });
+  assert.deepEqual(pagination.afterCursor("score", 1, cursor), {
+    $or: [{ score: { $gt: 7 } }, { score: 7, _id: { $gt: id } }],
+  });
+});
+
+test("pageOf trims the extra item and points the cursor at the last one kept", () => {
+  const docs = [1, 2, 3].map((score) => ({ _id: new mongoose.Types.ObjectId(), score }));
+
+  const page = pagination.pageOf(docs, 2, "score");
+  assert.equal(page.hasMore, true);
+  assert.deepEqual(page.items, docs.slice(0, 2));
+  assert.deepEqual(pagination.decodeCursor(page.nextCursor), { value: 2, id: docs[1]._id });
+
+  const last = pagination.pageOf(docs, 3, "score");
+  assert.equal(last.hasMore, false);
+  assert.equal(last.nextCursor, null);
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { describePolicy, evaluatePassword, setPassword } = require("../services/passwordPolicy");
+
+test("describePolicy reports the default rules", () => {
+  assert.deepEqual(describePolicy(), {
+    minLength: 8,
+    maxLength: 128,
+    requiredClasses: ["lower", "upper", "digit"],
+    disallowCommonPasswords: true,
+    historySize: 5,
+  });
+});
+
+test("evaluatePassword accepts a password that meets every rule", async () => {
+  assert.deepEqual(await evaluatePassword("Tangerine42"), { valid: true, errors: [], message: "" });
+});
+
+test("evaluatePassword lists every rule a password breaks", async () => {
+  const { valid, errors } = await evaluatePassword("abc");
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    "Password must be at least 8 characters long.",
+    "Password must contain an uppercase letter, a number.",
+  ]);
+
+  assert.deepEqual((await evaluatePassword("A1" + "b".repeat(127))).errors, [
+    "Password must be at most 128 characters long.",
+  ]);
+  assert.deepEqual((await evaluatePassword("")).errors, ["Password is required."]);
+  assert.deepEqual((await evaluatePassword(undefined)).errors, ["Password is required."]);
+});
+
+test("evaluatePassword refuses common passwords whatever their case", async () => {
+  const { valid, message } = await evaluatePassword("Password1");
+  assert.equal(valid, false);
+  assert.match(message, /too common/);
+});
+
+test("evaluatePassword follows PASSWORD_REQUIRED_CLASSES", async (t) => {
+  process.env.PASSWORD_REQUIRED_CLASSES = "lower,symbol";
+  t.after(() => delete process.env.PASSWORD_REQUIRED_CLASSES);
+  assert.equal((await evaluatePassword("tangerines")).valid, false);
+  assert.equal((await evaluatePassword("tangerine!")).valid, true);
+});
+
+test("setPassword keeps recent hashes and evaluatePassword refuses them", async () => {
+  const account = { passwordHash: null, passwordHistory: [] };
+  await setPassword(account, "Tangerine42");
+  assert.deepEqual(account.passwordHistory, []);
+  await setPassword(account, "Nectarine42");
+  assert.equal(account.passwordHistory.length, 1);
+
+  const current = await evaluatePassword("Nectarine42", account);
+  assert.equal(current.valid, false);
+  assert.match(current.message, /last 5 passwords/);
+  assert.equal((await evaluatePassword("Tangerine42", account)).valid, false);
+  assert.equal((await evaluatePassword("Clementine42", account)).valid, true);
+});
+
+test("setPassword drops hashes older than the history size", async (t) => {
+  process.env.PASSWORD_HISTORY_SIZE = "1";
+  t.after(() => delete process.env.PASSWORD_HISTORY_SIZE);
+
+  const account = { passwordHash: null, passwordHistory: [] };
+  for (const password of ["Tangerine42", "Nectarine42", "Clementine42"]) {
+    await setPassword(account, password);
+  }
+  assert.equal(account.passwordHistory.length, 1);
+  assert.equal((await evaluatePassword("Nectarine42", account)).valid, false);
+  assert.equal((await evaluatePassword("Tangerine42", account)).valid, true);
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { schedule, updateCompletion, submissionsOpen } = require("../services/progress");
+
+// Four weeks; logs are due Jan 10, 17, 24 and 31, the final evaluation Feb 5
+const project = { start_date: new Date("2026-01-01"), end_date: new Date("2026-01-29") };
+
+const progress = ({ logs = [1, 2, 3, 4], midTerm = 60, final = 80, report = true } = {}) => ({
+  completionStatus: "in_progress",
+  finalScore: null,
+  completedAt: null,
+  weeklyLogs: logs.map((week) => ({ week })),
+  evaluations: [
+    ...(midTerm === null ? [] : [{ stage: "mid_term", percentage: midTerm }]),
+    ...(final === null ? [] : [{ stage: "final", percentage: final }]),
+  ],
+  finalReport: report ? { submittedAt: new Date("2026-01-29") } : {},
+});
+
+test("schedule spreads weekly logs and due dates over the project", () => {
+  const plan = schedule(project);
+  assert.deepEqual(
+    plan.weeks.map((w) => w.due.toISOString().slice(0, 10)),
+    ["2026-01-10", "2026-01-17", "2026-01-24", "2026-01-31"]
+  );
+  assert.equal(plan.finalEvaluationDue.toISOString().slice(0, 10), "2026-02-05");
+  assert.equal(schedule({ start_date: project.start_date }), null);
+});
+
+test("updateCompletion keeps the internship in progress until the project ends", () => {
+  const record = progress();
+  assert.equal(updateCompletion(record, project, new Date("2026-01-28")), false);
+  assert.equal(record.completionStatus, "in_progress");
+  assert.equal(record.finalScore, null);
+});
+
+test("updateCompletion waits for the final evaluation and the final report", () => {
+  const now = new Date("2026-02-10");
+  for (const missing of [{ final: null }, { report: false }]) {
+    const record = progress(missing);
+    updateCompletion(record, project, now);
+    assert.equal(record.completionStatus, "in_progress");
+  }
+});
+
+test("updateCompletion weighs the mid-term and final evaluations", () => {
+  const now = new Date("2026-02-10");
+  const record = progress();
+  assert.equal(updateCompletion(record, project, now), true);
+  assert.equal(record.completionStatus, "completed");
+  assert.equal(record.finalScore, 72);
+  assert.deepEqual(record.completedAt, now);
+
+  const finalOnly = progress({ midTerm: null, final: 45 });
+  updateCompletion(finalOnly, project, now);
+  assert.equal(finalOnly.finalScore, 45);
+  assert.equal(finalOnly.completionStatus, "not_completed");
+});
+
+test("updateCompletion counts only weekly logs that are already due", () => {
+  // Week 4's log is not due until Jan 31
+  const early = progress({ logs: [1, 2, 3] });
+  updateCompletion(early, project, new Date("2026-01-30"));
+  assert.equal(early.completionStatus, "completed");
+
+  const late = progress({ logs: [1, 2] });
+  updateCompletion(late, project, new Date("2026-02-10"));
+  assert.equal(late.completionStatus, "not_completed");
+});
+
+test("updateCompletion reports no change when the result is the same", () => {
+  const now = new Date("2026-02-10");
+  const record = progress();
+  updateCompletion(record, project, now);
+  assert.equal(updateCompletion(record, project, new Date("2026-02-11")), false);
+  assert.deepEqual(record.completedAt, now);
+});
+
+test("submissionsOpen stays open while the assessment is provisional", () => {
+  const record = progress();
+  assert.equal(submissionsOpen(record, project, new Date("2026-02-10")), true);
+
+  updateCompletion(record, project, new Date("2026-01-30"));
+  assert.equal(submissionsOpen(record, project, new Date("2026-02-01")), true);
+  assert.equal(submissionsOpen(record, project, new Date("2026-02-06")), false);
+});
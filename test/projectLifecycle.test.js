@@ -0,0 +1,106 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Application = require("../models/Application");
+const Project = require("../models/Project");
+const lifecycle = require("../services/projectLifecycle");
+
+const now = new Date("2026-06-01T00:00:00Z");
+const future = "2026-07-01T00:00:00Z";
+const past = "2026-05-01T00:00:00Z";
+
+afterEach(() => mock.restoreAll());
+
+test("targetFor maps each action to the status it leads to", () => {
+  assert.equal(lifecycle.targetFor("publish", { status: "draft", scheduled_time: future }, now), "scheduled");
+  assert.equal(lifecycle.targetFor("publish", { status: "draft", scheduled_time: past }, now), "active");
+  assert.equal(lifecycle.targetFor("publish", {}, now), "active");
+  assert.equal(lifecycle.targetFor("unpublish", { status: "scheduled" }, now), "draft");
+  assert.equal(lifecycle.targetFor("close", { status: "active" }, now), "completed");
+  assert.equal(lifecycle.targetFor("reopen", { status: "completed" }, now), "active");
+});
+
+test("targetFor returns null for actions that do not apply", () => {
+  assert.equal(lifecycle.targetFor("publish", { status: "active" }, now), null);
+  assert.equal(lifecycle.targetFor("unpublish", { status: "completed" }, now), null);
+  assert.equal(lifecycle.targetFor("close", { status: "draft" }, now), null);
+  assert.equal(lifecycle.targetFor("reopen", { status: "active" }, now), null);
+  assert.equal(lifecycle.targetFor("archive", { status: "draft" }, now), null);
+});
+
+test("transitionError allows the documented transitions", async () => {
+  assert.equal(await lifecycle.transitionError({ status: "draft", scheduled_time: future }, "scheduled", "org", now), null);
+  assert.equal(await lifecycle.transitionError({ status: "scheduled" }, "completed", "org", now), null);
+  assert.equal(await lifecycle.transitionError({ status: "completed", end_date: future }, "active", "org", now), null);
+});
+
+test("transitionError refuses unknown, skipped and role-forbidden transitions", async () => {
+  assert.match(await lifecycle.transitionError({ status: "draft" }, "archived", "org", now), /^Unknown status "archived"/);
+  assert.equal(
+    await lifecycle.transitionError({ status: "draft" }, "completed", "org", now),
+    "Cannot move a project from draft to completed"
+  );
+  assert.equal(
+    await lifecycle.transitionError({ status: "active" }, "draft", "system", now),
+    "You cannot set a project to draft"
+  );
+});
+
+test("transitionError checks the project's dates", async () => {
+  assert.equal(
+    await lifecycle.transitionError({ status: "draft", scheduled_time: past }, "scheduled", "org", now),
+    "scheduled_time must be a future date to schedule a project"
+  );
+  assert.equal(
+    await lifecycle.transitionError({ status: "completed", end_date: past }, "active", "org", now),
+    "The project's end_date has passed; set a later end_date first"
+  );
+});
+
+test("transitionError only unpublishes an active project without applications", async () => {
+  const count = mock.method(Application, "countDocuments", async () => 2);
+  assert.match(
+    await lifecycle.transitionError({ _id: "p1", status: "active" }, "draft", "org", now),
+    /cannot be unpublished/
+  );
+  count.mock.mockImplementation(async () => 0);
+  assert.equal(await lifecycle.transitionError({ _id: "p1", status: "active" }, "draft", "org", now), null);
+});
+
+test("applyTransition records the action taken", () => {
+  const project = { status: "draft", statusHistory: [] };
+  const event = lifecycle.applyTransition(project, "active", { role: "org", id: "ORG1" });
+  assert.equal(project.status, "active");
+  assert.equal(project.statusHistory[0].action, "publish");
+  assert.equal(event.from, "draft");
+  assert.equal(event.to, "active");
+});
+
+test("runScheduledTransitions starts due projects and completes ended ones", async (t) => {
+  const projects = {
+    scheduled: [
+      { _id: "due", status: "scheduled", scheduled_time: past, end_date: future },
+      { _id: "later", status: "scheduled", scheduled_time: future },
+      { _id: "overrun", status: "scheduled", scheduled_time: past, end_date: past },
+    ],
+    active: [{ _id: "ended", status: "active", end_date: past }],
+  };
+  mock.method(Project, "find", (filter) => ({ lean: async () => projects[filter.status] }));
+  const update = mock.method(Project, "updateOne", async () => ({ modifiedCount: 1 }));
+  const events = [];
+  const record = (event) => events.push(`${event.project._id}:${event.action}`);
+  lifecycle.projectEvents.on("transition", record);
+  t.after(() => lifecycle.projectEvents.off("transition", record));
+
+  assert.deepEqual(await lifecycle.runScheduledTransitions(now), { started: 1, completed: 2 });
+  assert.deepEqual(events, ["due:start", "overrun:complete", "ended:complete"]);
+  // The status filter keeps two schedulers from applying the same change
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: "due", status: "scheduled" });
+});
+
+test("runScheduledTransitions skips projects another instance already moved", async () => {
+  mock.method(Project, "find", (filter) => ({
+    lean: async () => (filter.status === "active" ? [{ _id: "ended", status: "active", end_date: past }] : []),
+  }));
+  mock.method(Project, "updateOne", async () => ({ modifiedCount: 0 }));
+  assert.deepEqual(await lifecycle.runScheduledTransitions(now), { started: 0, completed: 0 });
+});
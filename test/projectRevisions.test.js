@@ -0,0 +1,99 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Project = require("../models/Project");
+const revisions = require("../services/projectRevisions");
+
+afterEach(() => mock.restoreAll());
+
+// A project as it would be loaded from the database, with nothing modified yet
+const loaded = (fields = {}) =>
+  Project.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    organization_id: "ORG1",
+    project_code: "PRJ-01",
+    project_name: "Robotics",
+    description: "Build a rover",
+    status: "active",
+    start_date: new Date("2026-06-01T00:00:00Z"),
+    end_date: new Date("2027-01-31T00:00:00Z"),
+    eligibility: { minCgpa: 7, disciplines: ["CSE"], requiredSkills: ["Python"] },
+    ...fields,
+  });
+
+const revisionOf = (project, changes) => ({ snapshot: { ...revisions.snapshot(project), ...changes } });
+
+test("snapshot flattens tracked fields into plain values", () => {
+  const values = revisions.snapshot(loaded());
+  assert.equal(values.project_code, "PRJ-01");
+  assert.equal(values.start_date, "2026-06-01T00:00:00.000Z");
+  assert.equal(values.seats, null);
+  assert.equal(values["eligibility.minCgpa"], 7);
+  assert.deepEqual(values["eligibility.disciplines"], ["CSE"]);
+  assert.deepEqual(values["eligibility.programmes"], []);
+  assert.equal("status" in values, false);
+});
+
+test("diff lists only the fields that changed", () => {
+  const before = revisions.snapshot(loaded());
+  const after = { ...before, description: "Build two rovers", "eligibility.disciplines": ["CSE", "ECE"] };
+  assert.deepEqual(revisions.diff(before, after), [
+    { field: "description", from: "Build a rover", to: "Build two rovers" },
+    { field: "eligibility.disciplines", from: ["CSE"], to: ["CSE", "ECE"] },
+  ]);
+  assert.deepEqual(revisions.diff(before, { ...before }), []);
+  // A missing field and null are the same
+  assert.deepEqual(revisions.diff({ ...before, seats: undefined }, before), []);
+});
+
+test("restoreRevision copies the snapshot back and returns the previous state", async () => {
+  const exists = mock.method(Project, "exists", async () => null);
+  const project = loaded();
+  const revision = revisionOf(project, { description: "First draft", "eligibility.minCgpa": 6.5 });
+
+  const { before, error } = await revisions.restoreRevision(project, revision);
+  assert.equal(error, undefined);
+  assert.equal(before.description, "Build a rover");
+  assert.equal(project.description, "First draft");
+  assert.equal(project.eligibility.minCgpa, 6.5);
+  // The code did not change, so it is not looked up
+  assert.equal(exists.mock.callCount(), 0);
+});
+
+test("restoreRevision refuses a revision the project already matches", async () => {
+  const project = loaded();
+  assert.deepEqual(await revisions.restoreRevision(project, revisionOf(project, {})), {
+    error: "The project already matches this revision",
+  });
+});
+
+test("restoreRevision refuses a code another project now uses", async () => {
+  const exists = mock.method(Project, "exists", async () => ({ _id: "other" }));
+  const project = loaded();
+  const { error } = await revisions.restoreRevision(project, revisionOf(project, { project_code: "PRJ-00" }));
+  assert.equal(error, "Project code already exists");
+
+  const [filter] = exists.mock.calls[0].arguments;
+  assert.equal(filter.project_code, "PRJ-00");
+  assert.deepEqual(filter._id, { $ne: project._id });
+});
+
+test("restoreRevision refuses dates that no longer suit the project", async () => {
+  const project = loaded();
+  const reversed = revisionOf(project, { start_date: "2027-03-01T00:00:00.000Z" });
+  assert.deepEqual(await revisions.restoreRevision(project, reversed), {
+    error: "start_date must be before end_date",
+  });
+
+  const active = loaded();
+  const ended = revisionOf(active, { start_date: "2020-01-01T00:00:00.000Z", end_date: "2020-02-01T00:00:00.000Z" });
+  assert.deepEqual(await revisions.restoreRevision(active, ended), {
+    error: "The project's end_date has passed; set a later end_date first",
+  });
+
+  const scheduled = loaded({ status: "scheduled", scheduled_time: "2099-01-01T00:00:00Z" });
+  const due = revisionOf(scheduled, { scheduled_time: "2020-01-01T00:00:00Z" });
+  assert.deepEqual(await revisions.restoreRevision(scheduled, due), {
+    error: "scheduled_time must be a future date to schedule a project",
+  });
+});
@@ -0,0 +1,100 @@
+const { test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Project = require("../models/Project");
+
+// Records the filter or pipeline each query hands to the driver; no database is needed
+let sent;
+const RESULTS = {
+  find: () => ({ toArray: async () => [], next: async () => null, close: async () => {} }),
+  findOne: async () => null,
+  countDocuments: async () => 0,
+  distinct: async () => [],
+  updateOne: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  updateMany: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  replaceOne: async () => ({ matchedCount: 0, modifiedCount: 0 }),
+  findOneAndReplace: async () => ({ value: null, ok: 1 }),
+  deleteOne: async () => ({ deletedCount: 0 }),
+  deleteMany: async () => ({ deletedCount: 0 }),
+  estimatedDocumentCount: async () => 0,
+  aggregate: () => ({ toArray: async () => [], next: async () => null, close: async () => {} }),
+};
+
+beforeEach(() => {
+  sent = {};
+  for (const [method, result] of Object.entries(RESULTS)) {
+    mock.method(Project.collection, method, (...args) => {
+      sent[method] = method === "distinct" ? args[1] : args[0];
+      return result();
+    });
+  }
+});
+
+afterEach(() => mock.restoreAll());
+
+test("queries leave out soft-deleted projects", async () => {
+  await Project.find({ status: "active" });
+  assert.deepEqual(sent.find, { status: "active", deletedAt: null });
+
+  await Project.findOne({ project_code: "PRJ" });
+  assert.deepEqual(sent.findOne, { project_code: "PRJ", deletedAt: null });
+
+  await Project.countDocuments({});
+  assert.deepEqual(sent.countDocuments, { deletedAt: null });
+
+  await Project.distinct("organization_id", {});
+  assert.deepEqual(sent.distinct, { deletedAt: null });
+});
+
+test("updates do not touch soft-deleted projects", async () => {
+  await Project.updateOne({ project_code: "PRJ" }, { $set: { status: "active" } });
+  assert.deepEqual(sent.updateOne, { project_code: "PRJ", deletedAt: null });
+
+  await Project.updateMany({ status: "draft" }, { $set: { status: "active" } });
+  assert.deepEqual(sent.updateMany, { status: "draft", deletedAt: null });
+});
+
+test("deletes and replacements do not touch soft-deleted projects", async () => {
+  await Project.deleteOne({ project_code: "PRJ" });
+  assert.deepEqual(sent.deleteOne, { project_code: "PRJ", deletedAt: null });
+
+  await Project.deleteMany({ organization_id: "org" });
+  assert.deepEqual(sent.deleteMany, { organization_id: "org", deletedAt: null });
+
+  await Project.replaceOne({ project_code: "PRJ" }, { project_code: "PRJ" });
+  assert.deepEqual(sent.replaceOne, { project_code: "PRJ", deletedAt: null });
+
+  await Project.findOneAndReplace({ project_code: "PRJ" }, { project_code: "PRJ" });
+  assert.deepEqual(sent.findOneAndReplace, { project_code: "PRJ", deletedAt: null });
+
+  await Project.deleteOne({ project_code: "PRJ" }).setOptions({ withDeleted: true });
+  assert.deepEqual(sent.deleteOne, { project_code: "PRJ" });
+});
+
+test("estimatedDocumentCount must ask for deleted projects", async () => {
+  await assert.rejects(Project.estimatedDocumentCount(), /includes deleted projects/);
+  assert.equal(Project.collection.estimatedDocumentCount.mock.callCount(), 0);
+
+  assert.equal(await Project.estimatedDocumentCount().setOptions({ withDeleted: true }), 0);
+});
+
+test("queries that filter on deletedAt or ask for deleted projects are left alone", async () => {
+  await Project.find({ deletedAt: { $ne: null } });
+  assert.deepEqual(sent.find, { deletedAt: { $ne: null } });
+
+  await Project.find({ status: "active" }).setOptions({ withDeleted: true });
+  assert.deepEqual(sent.find, { status: "active" });
+});
+
+test("aggregations add the condition to the first $match", async () => {
+  await Project.aggregate([{ $match: { $text: { $search: "robotics" } } }, { $limit: 5 }]);
+  assert.deepEqual(sent.aggregate, [
+    { $match: { $text: { $search: "robotics" }, deletedAt: null } },
+    { $limit: 5 },
+  ]);
+
+  await Project.aggregate([{ $group: { _id: "$status" } }]);
+  assert.deepEqual(sent.aggregate, [{ $match: { deletedAt: null } }, { $group: { _id: "$status" } }]);
+
+  await Project.aggregate([{ $group: { _id: "$status" } }]).option({ withDeleted: true });
+  assert.deepEqual(sent.aggregate, [{ $group: { _id: "$status" } }]);
+});
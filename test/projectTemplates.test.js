@@ -0,0 +1,81 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Project = require("../models/Project");
+const { shiftDates, generateCode } = require("../services/projectTemplates");
+
+const values = {
+  project_code: "PRJ",
+  start_date: "2026-01-01T00:00:00.000Z",
+  end_date: "2026-03-01T00:00:00.000Z",
+  scheduled_time: "2025-12-20T10:00:00.000Z",
+};
+
+// Stands in for the organization's existing project codes
+const existingCodes = (codes) =>
+  mock.method(Project, "find", () => ({
+    select: () => ({ lean: async () => codes.map((project_code) => ({ project_code })) }),
+  }));
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.PROJECT_CODE_PATTERN;
+});
+
+test("shiftDates moves every date to keep the gaps between them", () => {
+  const { values: shifted } = shiftDates(values, { start_date: "2026-07-01" });
+  assert.equal(shifted.start_date, "2026-07-01T00:00:00.000Z");
+  assert.equal(shifted.end_date, "2026-08-29T00:00:00.000Z");
+  assert.equal(shifted.scheduled_time, "2026-06-19T10:00:00.000Z");
+  assert.equal(shifted.project_code, "PRJ");
+});
+
+test("shiftDates moves the dates by shift_days", () => {
+  const { values: shifted } = shiftDates(values, { shift_days: "-1" });
+  assert.equal(shifted.start_date, "2025-12-31T00:00:00.000Z");
+  assert.equal(shifted.end_date, "2026-02-28T00:00:00.000Z");
+});
+
+test("shiftDates clears dates when no new start is given", () => {
+  const { values: shifted } = shiftDates(values);
+  assert.deepEqual(
+    [shifted.start_date, shifted.end_date, shifted.scheduled_time],
+    [null, null, null]
+  );
+});
+
+test("shiftDates drops a free-text scheduled_time and keeps only the start of an undated source", () => {
+  const { values: shifted } = shiftDates({ ...values, scheduled_time: "after exams" }, { shift_days: 7 });
+  assert.equal(shifted.scheduled_time, null);
+
+  const { values: undated } = shiftDates({ project_code: "PRJ" }, { start_date: "2026-07-01" });
+  assert.equal(undated.start_date, "2026-07-01T00:00:00.000Z");
+  assert.equal(undated.end_date, null);
+});
+
+test("shiftDates rejects bad input", () => {
+  assert.equal(shiftDates(values, { start_date: "soon" }).error, "Invalid start_date format");
+  assert.equal(shiftDates(values, { shift_days: 1.5 }).error, "shift_days must be a whole number");
+});
+
+test("generateCode takes the first free sequence number", async () => {
+  existingCodes(["PRJ-2026-01", "prj-2026-02"]);
+  assert.equal(await generateCode("org", "PRJ", "2026-07-01"), "PRJ-2026-03");
+});
+
+test("generateCode replaces the suffix an earlier clone added", async () => {
+  existingCodes([]);
+  assert.equal(await generateCode("org", "PRJ-2025-01", "2026-07-01"), "PRJ-2026-01");
+});
+
+test("generateCode keeps codes that only end in a number", async () => {
+  existingCodes([]);
+  assert.equal(await generateCode("org", "PRJ-042", "2026-07-01"), "PRJ-042-2026-01");
+  assert.equal(await generateCode("org", "AI-2026", "2026-07-01"), "AI-2026-2026-01");
+});
+
+test("generateCode appends a number only when a pattern without {seq} is taken", async () => {
+  process.env.PROJECT_CODE_PATTERN = "{base}-{year}{month}";
+  existingCodes(["PRJ-202607"]);
+  assert.equal(await generateCode("org", "PRJ", "2026-07-01"), "PRJ-202607-01");
+  assert.equal(await generateCode("org", "PRJ", "2026-08-01"), "PRJ-202608");
+});
@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const totp = require("../services/totp");
+
+// RFC 6238 appendix B: the SHA1 seed "12345678901234567890", last six digits of each code
+const SECRET = totp.base32Encode(Buffer.from("12345678901234567890"));
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+test("base32 round-trips the RFC 6238 seed", () => {
+  assert.equal(SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(totp.base32Decode(SECRET.toLowerCase()).toString(), "12345678901234567890");
+  assert.throws(() => totp.base32Decode("ABC1"), /Invalid base32 character/);
+});
+
+test("generateCode matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(totp.generateCode(SECRET, seconds * 1000), code, `T = ${seconds}`);
+  }
+});
+
+test("verifyCode accepts codes within the drift window", () => {
+  const timeMs = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs }), step);
+  assert.equal(totp.verifyCode(SECRET, "050 471", { timeMs }), step);
+  // One step behind and one ahead
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs: timeMs + 30000 }), step);
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs: timeMs - 30000 }), step);
+});
+
+test("verifyCode rejects codes outside the window, replays and malformed input", () => {
+  const timeMs = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs: timeMs + 60000 }), null);
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs: timeMs + 60000, window: 2 }), step);
+  assert.equal(totp.verifyCode(SECRET, "050471", { timeMs, afterStep: step }), null);
+  assert.equal(totp.verifyCode(SECRET, "50471", { timeMs }), null);
+  assert.equal(totp.verifyCode(SECRET, "abcdef", { timeMs }), null);
+  assert.equal(totp.verifyCode(SECRET, "", { timeMs }), null);
+});
+
+test("generateSecret returns 160-bit base32 secrets", () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(totp.base32Decode(secret).length, 20);
+});
+
+test("buildOtpauthUri describes the secret for authenticator apps", () => {
+  const uri = new URL(totp.buildOtpauthUri({ secret: SECRET, accountName: "org@example.com", issuer: "SIA" }));
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/SIA:org@example.com");
+  assert.equal(uri.searchParams.get("secret"), SECRET);
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+});
@@ -0,0 +1,79 @@
+const { test } = require("node:test");
+const jwt = require("jsonwebtoken");
+const assert = require("node:assert/strict");
+const totp = require("../services/totp");
+const twoFactor = require("../services/twoFactor");
+const tokenService = require("../services/tokenService");
+
+process.env.JWT_SECRET = "test-secret";
+
+// A stand-in for an Admin / Organization document
+const account = (twoFactorSettings = {}) => ({
+  twoFactor: { recoveryCodeHashes: [], ...twoFactorSettings },
+  saves: 0,
+  async save() {
+    this.saves += 1;
+  },
+});
+
+const enrolled = async () => {
+  const doc = account();
+  const { secret } = await twoFactor.startEnrollment(doc, "org@example.com");
+  const recoveryCodes = await twoFactor.confirmEnrollment(doc, totp.generateCode(secret));
+  return { doc, secret, recoveryCodes };
+};
+
+test("confirmEnrollment activates the pending secret only with a matching code", async () => {
+  const doc = account();
+  const { secret, otpauthUri } = await twoFactor.startEnrollment(doc, "org@example.com");
+  assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+  assert.equal(twoFactor.isEnabled(doc), false);
+
+  const wrong = totp.generateCode(secret) === "000000" ? "111111" : "000000";
+  assert.equal(await twoFactor.confirmEnrollment(doc, wrong), null);
+  assert.equal(twoFactor.isEnabled(doc), false);
+
+  const codes = await twoFactor.confirmEnrollment(doc, totp.generateCode(secret));
+  assert.equal(codes.length, 10);
+  assert.equal(twoFactor.isEnabled(doc), true);
+  assert.equal(doc.twoFactor.secret, secret);
+  assert.equal(doc.twoFactor.pendingSecret, null);
+  // Only hashes are stored
+  assert.ok(!doc.twoFactor.recoveryCodeHashes.includes(codes[0]));
+});
+
+test("an authenticator code cannot be replayed", async () => {
+  const { doc, secret } = await enrolled();
+  // The enrollment code's step is already used
+  assert.equal(await twoFactor.verifySecondFactor(doc, { code: totp.generateCode(secret) }), false);
+
+  const next = totp.generateCode(secret, Date.now() + 30000);
+  assert.equal(await twoFactor.verifySecondFactor(doc, { code: next }), true);
+  assert.equal(await twoFactor.verifySecondFactor(doc, { code: next }), false);
+});
+
+test("a recovery code is accepted once", async () => {
+  const { doc, recoveryCodes } = await enrolled();
+  const [code] = recoveryCodes;
+
+  assert.equal(await twoFactor.verifySecondFactor(doc, { recoveryCode: code.toUpperCase() }), true);
+  assert.equal(doc.twoFactor.recoveryCodeHashes.length, 9);
+  assert.equal(await twoFactor.verifySecondFactor(doc, { recoveryCode: code }), false);
+  assert.equal(await twoFactor.verifySecondFactor(doc, { recoveryCode: recoveryCodes[1].replace("-", "") }), true);
+});
+
+test("verifySecondFactor refuses accounts without two-factor and empty input", async () => {
+  assert.equal(await twoFactor.verifySecondFactor(account(), { recoveryCode: "abcd-efgh" }), false);
+  const { doc } = await enrolled();
+  assert.equal(await twoFactor.verifySecondFactor(doc, {}), false);
+});
+
+test("challenge tokens and access tokens are not interchangeable", () => {
+  const challenge = tokenService.issueChallengeToken({ subject: "a1", role: "admin" });
+  const access = jwt.sign({ sub: "a1", id: "a1", role: "admin" }, process.env.JWT_SECRET);
+
+  assert.equal(tokenService.verifyChallengeToken(challenge).sub, "a1");
+  assert.throws(() => tokenService.verifyAccessToken(challenge), /cannot be used for access/);
+  assert.throws(() => tokenService.verifyChallengeToken(access), /Not a two-factor challenge token/);
+  assert.throws(() => tokenService.verifyChallengeToken(`${challenge}x`), /invalid signature/);
+});